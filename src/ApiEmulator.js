@@ -0,0 +1,2534 @@
+import { EventEmitter } from 'node:events';
+import {
+    parseType,
+    parsedTypeCheck
+} from 'type-check';
+import { matchPathTemplate } from './RequestMatcher.js';
+import {
+    catenisIdPrefix,
+    newCatenisId,
+    newTxid,
+    newIpfsCid
+} from './CatenisId.js';
+import {
+    AssetLedger,
+    AssetLedgerError,
+    fromRawAmount
+} from './AssetLedger.js';
+import {
+    PermissionRights,
+    permissionEvents
+} from './PermissionRights.js';
+
+const maxEmbeddedMessageSize = 75;
+const maxListedMessages = 500;
+const maxListedAssetItems = 500;
+const defaultAsyncDuration = 1000;
+const defaultAsyncProgressSteps = 100;
+const defaultContinuationTimeout = 60000;
+const defaultAsyncRetention = 600000;
+
+/**
+ * Name (as used in error messages) and default price, in Catenis credits, of the emulated billable services
+ * @type {Object<string, {name: string, price: number}>}
+ */
+const billableServices = {
+    logMessage: {name: 'log message', price: 1},
+    logOffChainMessage: {name: 'log off-chain message', price: 0.5},
+    sendMessage: {name: 'send message', price: 1.5},
+    sendOffChainMessage: {name: 'send off-chain message', price: 0.75},
+    issueAsset: {name: 'issue asset', price: 5},
+    reissueAsset: {name: 'reissue asset', price: 3},
+    transferAsset: {name: 'transfer asset', price: 2},
+    issueNFAsset: {name: 'issue non-fungible asset', price: 5},
+    reissueNFAsset: {name: 'reissue non-fungible asset', price: 3},
+    transferNFToken: {name: 'transfer non-fungible token', price: 2}
+};
+
+const messageEncodings = new Set([
+    'utf8',
+    'base64',
+    'hex'
+]);
+const storageTypes = new Set([
+    'auto',
+    'embedded',
+    'external'
+]);
+
+const catenisNodeInfo = {
+    ctnNodeIndex: 0,
+    name: 'Catenis Hub',
+    description: 'Central Catenis node used to house clients that access the system through the Internet'
+};
+
+const permissionRightValues = new Set([
+    'allow',
+    'deny'
+]);
+
+const asyncOperationErrorMessages = {
+    nfAssetIssuance: {
+        invalid: 'Invalid asset issuance ID',
+        noPermission: 'No permission to retrieve asset issuance progress'
+    },
+    nfTokenRetrieval: {
+        invalid: 'Invalid token retrieval ID',
+        noPermission: 'No permission to retrieve token retrieval progress'
+    },
+    nfTokenTransfer: {
+        invalid: 'Invalid token transfer ID',
+        noPermission: 'No permission to retrieve token transfer progress'
+    },
+    provisionalMessage: {
+        invalid: 'Invalid message ID',
+        noPermission: 'No permission to retrieve message progress'
+    },
+    cachedMessage: {
+        invalid: 'Invalid message ID',
+        noPermission: 'No permission to retrieve message progress'
+    }
+};
+
+const emulationSettingsType = parseType(`{
+    enabled: Boolean,
+    asyncDuration: Maybe NonNegativeInteger,
+    asyncProgressSteps: Maybe PositiveInteger,
+    asyncRetention: Maybe NonNegativeInteger,
+    continuationTimeout: Maybe NonNegativeInteger
+}`);
+const creditSettingsType = parseType(`{
+    prices: Maybe ServicePrices,
+    devices: Maybe CreditBalances,
+    clients: Maybe CreditBalances
+}`);
+const logMessageParamsType = parseType(`{
+    message: String | MessageChunk,
+    options: Maybe {
+        encoding: Maybe MessageEncoding,
+        encrypt: Maybe Boolean,
+        offChain: Maybe Boolean,
+        storage: Maybe StorageType,
+        async: Maybe Boolean
+    }
+}`);
+const sendMessageParamsType = parseType(`{
+    message: String | MessageChunk,
+    targetDevice: {
+        id: NonEmptyString,
+        isProdUniqueId: Maybe Boolean
+    },
+    options: Maybe {
+        encoding: Maybe MessageEncoding,
+        encrypt: Maybe Boolean,
+        offChain: Maybe Boolean,
+        storage: Maybe StorageType,
+        readConfirmation: Maybe Boolean,
+        async: Maybe Boolean
+    }
+}`);
+const issueAssetParamsType = parseType(`{
+    assetInfo: {
+        name: NonEmptyString,
+        description: Maybe String,
+        canReissue: Boolean,
+        decimalPlaces: NonNegativeInteger
+    },
+    amount: PositiveNumber,
+    holdingDevice: Maybe DeviceSpec
+}`);
+const reissueAssetParamsType = parseType(`{
+    amount: PositiveNumber,
+    holdingDevice: Maybe DeviceSpec
+}`);
+const transferAssetParamsType = parseType(`{
+    amount: PositiveNumber,
+    receivingDevice: DeviceSpec
+}`);
+const issueNFAssetParamsType = parseType(`{
+    assetInfo: Maybe {
+        name: NonEmptyString,
+        description: Maybe String,
+        canReissue: Boolean
+    },
+    encryptNFTContents: Maybe Boolean,
+    holdingDevices: Maybe DeviceSpec | [DeviceSpec],
+    async: Maybe Boolean,
+    nonFungibleTokens: Maybe [Maybe {
+        metadata: Maybe {
+            name: NonEmptyString,
+            description: Maybe String,
+            custom: Maybe Object
+        },
+        contents: Maybe {
+            data: String,
+            encoding: Maybe MessageEncoding
+        }
+    }],
+    isFinal: Maybe Boolean,
+    continuationToken: Maybe NonEmptyString
+}`);
+const transferNFTokenParamsType = parseType(`{
+    receivingDevice: DeviceSpec,
+    async: Maybe Boolean
+}`);
+const setPermissionRightsParamsType = parseType(`{
+    system: Maybe PermissionRight,
+    catenisNode: Maybe {
+        allow: Maybe NonEmptyString | [NonEmptyString],
+        deny: Maybe NonEmptyString | [NonEmptyString],
+        none: Maybe NonEmptyString | [NonEmptyString]
+    },
+    client: Maybe {
+        allow: Maybe NonEmptyString | [NonEmptyString],
+        deny: Maybe NonEmptyString | [NonEmptyString],
+        none: Maybe NonEmptyString | [NonEmptyString]
+    },
+    device: Maybe {
+        allow: Maybe DeviceSpec | [DeviceSpec],
+        deny: Maybe DeviceSpec | [DeviceSpec],
+        none: Maybe DeviceSpec | [DeviceSpec]
+    }
+}`);
+const messageChunkType = parseType(`{
+    data: String,
+    isFinal: Maybe Boolean,
+    continuationToken: Maybe NonEmptyString
+}`);
+const deviceSpecType = parseType(`{
+    id: NonEmptyString,
+    isProdUniqueId: Maybe Boolean
+}`);
+
+const nonEmptyStringTypeDef = {
+    typeOf: 'String',
+    validate: d => d.length > 0
+};
+const messageEncodingTypeDef = {
+    typeOf: 'String',
+    validate: d => messageEncodings.has(d)
+};
+const storageTypeTypeDef = {
+    typeOf: 'String',
+    validate: d => storageTypes.has(d)
+};
+const positiveNumberTypeDef = {
+    typeOf: 'Number',
+    validate: d => Number.isFinite(d) && d > 0
+};
+const nonNegativeIntegerTypeDef = {
+    typeOf: 'Number',
+    validate: d => Number.isInteger(d) && d >= 0
+};
+const positiveIntegerTypeDef = {
+    typeOf: 'Number',
+    validate: d => Number.isInteger(d) && d > 0
+};
+const permissionRightTypeDef = {
+    typeOf: 'String',
+    validate: d => permissionRightValues.has(d)
+};
+const deviceSpecTypeDef = {
+    typeOf: 'Object',
+    validate: d => parsedTypeCheck(deviceSpecType, d, {customTypes: {NonEmptyString: nonEmptyStringTypeDef}})
+};
+const messageChunkTypeDef = {
+    typeOf: 'Object',
+    validate: d => parsedTypeCheck(messageChunkType, d, {customTypes: {NonEmptyString: nonEmptyStringTypeDef}})
+};
+const servicePricesTypeDef = {
+    typeOf: 'Object',
+    validate: o => Object.keys(o).every(key => Object.hasOwn(billableServices, key) && Number.isFinite(o[key]) && o[key] >= 0)
+};
+const creditBalancesTypeDef = {
+    typeOf: 'Object',
+    validate: o => Object.keys(o).every(key => key.length > 0 && Number.isFinite(o[key]) && o[key] >= 0)
+};
+const apiParamsCustomTypes = {
+    NonEmptyString: nonEmptyStringTypeDef,
+    MessageEncoding: messageEncodingTypeDef,
+    StorageType: storageTypeTypeDef,
+    PositiveNumber: positiveNumberTypeDef,
+    NonNegativeInteger: nonNegativeIntegerTypeDef,
+    PositiveInteger: positiveIntegerTypeDef,
+    PermissionRight: permissionRightTypeDef,
+    DeviceSpec: deviceSpecTypeDef,
+    MessageChunk: messageChunkTypeDef
+};
+
+/**
+ * @typedef {Object} EmulationSettings
+ * @property {boolean} enabled Indicates whether the API emulator should process the requests that do not match any
+ *                              HTTP context or HTTP stub.
+ * @property {number} [asyncDuration=1000] Time, in milliseconds, that it takes for an emulated asynchronous operation
+ *                                          to complete.
+ * @property {number} [asyncProgressSteps=100] Number of discrete steps in which the progress of an emulated
+ *                                              asynchronous operation advances.
+ * @property {number} [asyncRetention=600000] Time, in milliseconds, during which a finished emulated asynchronous
+ *                                             operation is kept (so its progress can be retrieved).
+ * @property {number} [continuationTimeout=60000] Time, in milliseconds, after which an unused continuation token
+ *                                                 expires.
+ */
+
+/**
+ * @typedef {Object} CreditSettings
+ * @property {Object<string, number>} [prices] The price, in Catenis credits, per billable service. Services not
+ *                                              specified keep their default price.
+ * @property {Object<string, number>} [devices] The credit balance per virtual device ID.
+ * @property {Object<string, number>} [clients] The credit balance per client ID. It is used by the virtual devices
+ *                                               that belong to the client and have no credit balance of their own.
+ */
+
+/**
+ * @typedef {Object} EmulatedRequest
+ * @property {string} deviceId The ID of the authenticated virtual device.
+ * @property {Object<string, string>} params The parameters captured from the request path.
+ * @property {URLSearchParams} query The query parameters of the request.
+ * @property {*} [body] The (parsed) JSON data of the request.
+ */
+
+/**
+ * @callback EmulatorRouteHandler
+ * @param {EmulatedRequest} request
+ * @return {Object} The data to be returned in the success response.
+ */
+
+/**
+ * @typedef {Object} EmulatorRoute
+ * @property {HttpRequestMethod} method
+ * @property {string} path The path template of the Catenis API method (e.g. messages/:messageId).
+ * @property {EmulatorRouteHandler} handler
+ */
+
+/**
+ * @typedef {Object} EmulatorRouteMatch
+ * @property {EmulatorRoute} route
+ * @property {Object<string, string>} params The parameters captured from the request path.
+ */
+
+/**
+ * @typedef {Object} MessageContainer
+ * @property {{cid: string}} [offChain]
+ * @property {{txid: string, isConfirmed: boolean}} [blockchain]
+ * @property {{ipfs: string}} [externalStorage]
+ */
+
+/**
+ * @typedef {Object} EmulatedMessage
+ * @property {string} messageId
+ * @property {('log'|'send')} action
+ * @property {string} originDeviceId
+ * @property {string} [targetDeviceId]
+ * @property {Buffer} data The message contents.
+ * @property {boolean} readConfirmation
+ * @property {MessageContainer} container
+ * @property {Date} date
+ * @property {boolean} read Indicates whether the message has already been read by its target device (or by its
+ *                           origin device, for logged messages).
+ */
+
+/**
+ * @typedef {Object} EmulatedContinuation
+ * @property {string} type The type of operation being continued (e.g. nfAssetIssuance).
+ * @property {string} deviceId The ID of the virtual device that started the operation.
+ * @property {string} [target] The ID of the entity (e.g. asset, non-fungible token) targeted by the operation.
+ * @property {Object} state Operation specific state.
+ * @property {number} expiresAt Time (in milliseconds since the epoch) when the continuation token expires.
+ */
+
+/**
+ * @typedef {Object} EmulatedAsyncOperation
+ * @property {string} id
+ * @property {string} type The type of operation (e.g. nfAssetIssuance). Should be one of the keys of catenisIdPrefix.
+ * @property {string} deviceId The ID of the virtual device that started the operation.
+ * @property {string} [target] The ID of the entity (e.g. asset, non-fungible token) targeted by the operation.
+ * @property {number} size The amount of data being processed, in bytes.
+ * @property {Date} startDate
+ * @property {number} duration Time, in milliseconds, that it takes for the operation to complete.
+ * @property {number} progressSteps Number of discrete steps in which the progress of the operation advances.
+ * @property {('log'|'send'|'read')} [action] The action being processed. Only for asynchronous message operations.
+ * @property {boolean} done
+ * @property {boolean} [success]
+ * @property {{code: number, message: string}} [error]
+ * @property {Object} [result]
+ * @property {Date} [finishDate]
+ * @property {NodeJS.Timeout} [timer]
+ */
+
+export class ApiEmulatorError extends Error {
+    /**
+     * @param {number} statusCode The HTTP status code of the error response.
+     * @param {string} message The error message.
+     */
+    constructor(statusCode, message) {
+        super(message);
+
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Emulates (part of) the Catenis API against an in-memory store.
+ *
+ * Emits a 'notification' event, with the arguments deviceId, eventName and data, whenever a notification message
+ *  should be sent to a virtual device.
+ */
+export class ApiEmulator extends EventEmitter {
+    /**
+     * @param {ApiServer} apiServer
+     */
+    constructor(apiServer) {
+        super();
+
+        this.apiServer = apiServer;
+        this._enabled = false;
+        this._asyncDuration = defaultAsyncDuration;
+        this._asyncProgressSteps = defaultAsyncProgressSteps;
+        this._asyncRetention = defaultAsyncRetention;
+        this._continuationTimeout = defaultContinuationTimeout;
+        /**
+         * @type {Map<string, EmulatedMessage>}
+         */
+        this._messages = new Map();
+        this._assetLedger = new AssetLedger();
+        this._permissionRights = new PermissionRights();
+        /**
+         * @type {Object<string, number>}
+         */
+        this._servicePrices = getDefaultServicePrices();
+        /**
+         * @type {Map<string, number>}
+         */
+        this._deviceCredits = new Map();
+        /**
+         * @type {Map<string, number>}
+         */
+        this._clientCredits = new Map();
+        /**
+         * @type {Map<string, EmulatedContinuation>}
+         */
+        this._continuations = new Map();
+        /**
+         * @type {Map<string, EmulatedAsyncOperation>}
+         */
+        this._asyncOperations = new Map();
+        /**
+         * @type {EmulatorRoute[]}
+         */
+        this._routes = [
+            {method: 'POST', path: 'messages/log', handler: this._logMessage},
+            {method: 'POST', path: 'messages/send', handler: this._sendMessage},
+            {method: 'GET', path: 'messages/:messageId', handler: this._readMessage},
+            {method: 'GET', path: 'messages/:messageId/container', handler: this._retrieveMessageContainer},
+            {method: 'GET', path: 'messages/:messageId/progress', handler: this._retrieveMessageProgress},
+            {method: 'GET', path: 'messages', handler: this._listMessages},
+            {method: 'POST', path: 'assets/non-fungible/issue', handler: this._issueNFAsset},
+            {method: 'POST', path: 'assets/non-fungible/:assetId/issue', handler: this._reissueNFAsset},
+            {
+                method: 'GET',
+                path: 'assets/non-fungible/issuance/:issuanceId',
+                handler: this._retrieveNFAssetIssuanceProgress
+            },
+            {method: 'GET', path: 'assets/non-fungible/tokens/:tokenId', handler: this._retrieveNFToken},
+            {
+                method: 'GET',
+                path: 'assets/non-fungible/tokens/:tokenId/retrieval/:retrievalId',
+                handler: this._retrieveNFTokenRetrievalProgress
+            },
+            {method: 'POST', path: 'assets/non-fungible/tokens/:tokenId/transfer', handler: this._transferNFToken},
+            {
+                method: 'GET',
+                path: 'assets/non-fungible/tokens/:tokenId/transfer/:transferId',
+                handler: this._retrieveNFTokenTransferProgress
+            },
+            {method: 'GET', path: 'assets/non-fungible/tokens/:tokenId/owner', handler: this._retrieveNFTokenOwner},
+            {method: 'POST', path: 'assets/issue', handler: this._issueAsset},
+            {method: 'POST', path: 'assets/:assetId/issue', handler: this._reissueAsset},
+            {method: 'POST', path: 'assets/:assetId/transfer', handler: this._transferAsset},
+            {method: 'GET', path: 'assets/owned', handler: this._listOwnedAssets},
+            {method: 'GET', path: 'assets/issued', handler: this._listIssuedAssets},
+            {method: 'GET', path: 'assets/:assetId', handler: this._retrieveAssetInfo},
+            {method: 'GET', path: 'assets/:assetId/balance', handler: this._getAssetBalance},
+            {method: 'GET', path: 'assets/:assetId/issuance', handler: this._retrieveAssetIssuanceHistory},
+            {method: 'GET', path: 'assets/:assetId/holders', handler: this._listAssetHolders},
+            {method: 'GET', path: 'permission/events', handler: this._retrievePermissionEvents},
+            {method: 'GET', path: 'permission/events/:eventName/rights', handler: this._retrievePermissionRights},
+            {method: 'POST', path: 'permission/events/:eventName/rights', handler: this._setPermissionRights},
+            {
+                method: 'GET',
+                path: 'permission/events/:eventName/rights/:deviceId',
+                handler: this._checkEffectivePermissionRight
+            },
+            {method: 'GET', path: 'devices/:deviceId', handler: this._retrieveDeviceIdentificationInfo}
+        ];
+    }
+
+    /**
+     * @return {boolean}
+     */
+    get enabled() {
+        return this._enabled;
+    }
+
+    /**
+     * @return {EmulationSettings}
+     */
+    get settings() {
+        return {
+            enabled: this._enabled,
+            asyncDuration: this._asyncDuration,
+            asyncProgressSteps: this._asyncProgressSteps,
+            asyncRetention: this._asyncRetention,
+            continuationTimeout: this._continuationTimeout
+        };
+    }
+
+    /**
+     * @param {*} data
+     */
+    set settings(data) {
+        if (!parsedTypeCheck(emulationSettingsType, data, {customTypes: apiParamsCustomTypes})) {
+            throw new TypeError('Not a valid EmulationSettings data type');
+        }
+
+        this._enabled = data.enabled;
+        this._asyncDuration = data.asyncDuration !== undefined ? data.asyncDuration : defaultAsyncDuration;
+        this._asyncProgressSteps = data.asyncProgressSteps !== undefined ? data.asyncProgressSteps
+            : defaultAsyncProgressSteps;
+        this._asyncRetention = data.asyncRetention !== undefined ? data.asyncRetention : defaultAsyncRetention;
+        this._continuationTimeout = data.continuationTimeout !== undefined ? data.continuationTimeout
+            : defaultContinuationTimeout;
+    }
+
+    /**
+     * @return {CreditSettings} The current service prices and credit balances.
+     */
+    get credits() {
+        return {
+            prices: {...this._servicePrices},
+            devices: Object.fromEntries(this._deviceCredits),
+            clients: Object.fromEntries(this._clientCredits)
+        };
+    }
+
+    /**
+     * @param {*} data
+     */
+    set credits(data) {
+        if (!parsedTypeCheck(creditSettingsType, data, {
+                customTypes: {
+                    ServicePrices: servicePricesTypeDef,
+                    CreditBalances: creditBalancesTypeDef
+                }
+            })) {
+            throw new TypeError('Not a valid CreditSettings data type');
+        }
+
+        this._servicePrices = {
+            ...getDefaultServicePrices(),
+            ...data.prices
+        };
+        this._deviceCredits = new Map(Object.entries(data.devices || {}));
+        this._clientCredits = new Map(Object.entries(data.clients || {}));
+    }
+
+    /**
+     * Discard all the emulated state.
+     */
+    reset() {
+        this._messages.clear();
+        this._assetLedger.clear();
+        this._permissionRights.clear();
+        this._continuations.clear();
+
+        // Cancel pending asynchronous operations
+        for (const operation of this._asyncOperations.values()) {
+            clearTimeout(operation.timer);
+        }
+
+        this._asyncOperations.clear();
+    }
+
+    /**
+     * Find the route that handles a given Catenis API method.
+     * @param {string} method The HTTP method of the request.
+     * @param {string} path The Catenis API method path of the request (e.g. messages/mjvHYitWYCbJHvKqT3vk).
+     * @return {(EmulatorRouteMatch|undefined)} The matching route, or undefined if the API method is not emulated.
+     */
+    findRoute(method, path) {
+        for (const route of this._routes) {
+            if (route.method === method) {
+                const params = matchPathTemplate(route.path, path);
+
+                if (params) {
+                    return {
+                        route,
+                        params
+                    };
+                }
+            }
+        }
+    }
+
+    /**
+     * Process a request to an emulated Catenis API method.
+     * @param {EmulatorRouteMatch} routeMatch
+     * @param {string} deviceId The ID of the authenticated virtual device.
+     * @param {URLSearchParams} query The query parameters of the request.
+     * @param {*} [body] The (parsed) JSON data of the request.
+     * @return {Object} The data to be returned in the success response.
+     * @throws {ApiEmulatorError}
+     */
+    processRequest(routeMatch, deviceId, query, body) {
+        try {
+            return routeMatch.route.handler.call(this, {
+                deviceId,
+                params: routeMatch.params,
+                query,
+                body
+            });
+        }
+        catch (err) {
+            if (err instanceof AssetLedgerError) {
+                // Asset operation rejected by the ledger
+                throw new ApiEmulatorError(400, err.message);
+            }
+
+            throw err;
+        }
+    }
+
+    /**
+     * Emulate the Log Message API method.
+     * @param {EmulatedRequest} request
+     * @return {Object}
+     * @private
+     */
+    _logMessage(request) {
+        if (!parsedTypeCheck(logMessageParamsType, request.body, {customTypes: apiParamsCustomTypes})) {
+            throw new ApiEmulatorError(400, 'Invalid parameters');
+        }
+
+        const options = request.body.options || {};
+        const collected = this._collectMessageData('log', request.deviceId, undefined, request.body.message, options);
+
+        if (!collected.data) {
+            return collected;
+        }
+
+        const result = this._processMessage('log', request.deviceId, undefined, collected.data, options);
+
+        // Message successfully processed. Invalidate the continuation token of its final chunk (if any)
+        this._endContinuation(request.body.message.continuationToken);
+
+        return result;
+    }
+
+    /**
+     * Emulate the Send Message API method.
+     * @param {EmulatedRequest} request
+     * @return {Object}
+     * @private
+     */
+    _sendMessage(request) {
+        if (!parsedTypeCheck(sendMessageParamsType, request.body, {customTypes: apiParamsCustomTypes})) {
+            throw new ApiEmulatorError(400, 'Invalid parameters');
+        }
+
+        const targetDeviceId = this._resolveDeviceId(request.body.targetDevice);
+
+        if (!targetDeviceId) {
+            throw new ApiEmulatorError(400, 'Invalid target device');
+        }
+
+        if (!this._isPermitted(targetDeviceId, 'receive-msg', request.deviceId)) {
+            throw new ApiEmulatorError(403, 'No permission to send message to target device');
+        }
+
+        const options = request.body.options || {};
+        const collected = this._collectMessageData('send', request.deviceId, targetDeviceId, request.body.message,
+            options);
+
+        if (!collected.data) {
+            return collected;
+        }
+
+        const result = this._processMessage('send', request.deviceId, targetDeviceId, collected.data, options);
+
+        // Message successfully processed. Invalidate the continuation token of its final chunk (if any)
+        this._endContinuation(request.body.message.continuationToken);
+
+        return result;
+    }
+
+    /**
+     * Emulate the Read Message API method.
+     * @param {EmulatedRequest} request
+     * @return {Object}
+     * @private
+     */
+    _readMessage(request) {
+        const message = this._getMessage(request.params.messageId);
+
+        if (request.query.has('continuationToken')) {
+            // Continue reading the message's contents
+            const reading = this._takeContinuation(request.query.get('continuationToken'), 'readMessage',
+                request.deviceId, message.messageId);
+
+            return this._nextMessageDataChunk(message, reading, request.deviceId);
+        }
+
+        const reading = {
+            encoding: request.query.get('encoding') || 'utf8',
+            dataChunkSize: request.query.has('dataChunkSize') ? Number(request.query.get('dataChunkSize'))
+                : Number.MAX_SAFE_INTEGER,
+            offset: 0
+        };
+
+        if (!messageEncodings.has(reading.encoding) || !Number.isInteger(reading.dataChunkSize)
+                || reading.dataChunkSize < 1) {
+            throw new ApiEmulatorError(400, 'Invalid parameters');
+        }
+
+        const isOrigin = message.originDeviceId === request.deviceId;
+        const isTarget = message.action === 'send' && message.targetDeviceId === request.deviceId;
+
+        if (!isOrigin && !isTarget) {
+            throw new ApiEmulatorError(403, 'No permission to read message');
+        }
+
+        if (parseQueryBoolean(request.query, 'async', false)) {
+            const operation = this._startAsyncOperation('cachedMessage', request.deviceId, message.messageId,
+                message.data.length, () => ({
+                    messageId: message.messageId,
+                    continuationToken: this._newContinuation('readMessage', request.deviceId, message.messageId,
+                        reading)
+                }), operation => this._notifyFinalMessageProgress(operation));
+
+            operation.action = 'read';
+
+            return {
+                cachedMessageId: operation.id
+            };
+        }
+
+        return this._nextMessageDataChunk(message, reading, request.deviceId);
+    }
+
+    /**
+     * Emulate the Retrieve Message Container API method.
+     * @param {EmulatedRequest} request
+     * @return {Object}
+     * @private
+     */
+    _retrieveMessageContainer(request) {
+        const message = this._getMessage(request.params.messageId);
+
+        if (message.originDeviceId !== request.deviceId) {
+            throw new ApiEmulatorError(403, 'No permission to retrieve message container');
+        }
+
+        return message.container;
+    }
+
+    /**
+     * Emulate the Retrieve Message Progress API method.
+     * @param {EmulatedRequest} request
+     * @return {Object}
+     * @private
+     */
+    _retrieveMessageProgress(request) {
+        const ephemeralMessageId = request.params.messageId;
+        const type = ephemeralMessageId.startsWith(catenisIdPrefix.cachedMessage) ? 'cachedMessage'
+            : 'provisionalMessage';
+        const operation = this._getAsyncOperation(ephemeralMessageId, type, request.deviceId);
+
+        return getMessageProgress(operation);
+    }
+
+    /**
+     * Emulate the List Messages API method.
+     * @param {EmulatedRequest} request
+     * @return {Object}
+     * @private
+     */
+    _listMessages(request) {
+        const filter = parseListMessagesQuery(request.query);
+        const entries = [];
+
+        for (const message of this._messages.values()) {
+            for (const entry of this._getMessageListEntries(message, request.deviceId)) {
+                if (isListEntryMatch(entry, message, filter)) {
+                    entries.push(entry);
+                }
+            }
+        }
+
+        const page = paginate(entries, filter);
+
+        return {
+            messages: page.items,
+            msgCount: page.items.length,
+            hasMore: page.hasMore
+        };
+    }
+
+    /**
+     * Emulate the Issue Asset API method.
+     * @param {EmulatedRequest} request
+     * @return {Object}
+     * @private
+     */
+    _issueAsset(request) {
+        if (!parsedTypeCheck(issueAssetParamsType, request.body, {customTypes: apiParamsCustomTypes})) {
+            throw new ApiEmulatorError(400, 'Invalid parameters');
+        }
+
+        const holdingDeviceId = this._resolveHoldingDeviceId(request);
+        const asset = this._payForService(request.deviceId, 'issueAsset', () => this._assetLedger.issueAsset(
+            request.deviceId, request.body.assetInfo, request.body.amount, holdingDeviceId));
+
+        return {
+            assetId: asset.assetId
+        };
+    }
+
+    /**
+     * Emulate the Reissue Asset API method.
+     * @param {EmulatedRequest} request
+     * @return {Object}
+     * @private
+     */
+    _reissueAsset(request) {
+        if (!parsedTypeCheck(reissueAssetParamsType, request.body, {customTypes: apiParamsCustomTypes})) {
+            throw new ApiEmulatorError(400, 'Invalid parameters');
+        }
+
+        if (this._assetLedger.getAsset(request.params.assetId).issuerDeviceId !== request.deviceId) {
+            throw new ApiEmulatorError(403, 'No permission to reissue asset');
+        }
+
+        const holdingDeviceId = this._resolveHoldingDeviceId(request);
+        const asset = this._payForService(request.deviceId, 'reissueAsset', () => this._assetLedger.reissueAsset(
+            request.params.assetId, request.body.amount, holdingDeviceId));
+
+        return {
+            totalExistentBalance: fromRawAmount(asset, asset.totalRawAmount)
+        };
+    }
+
+    /**
+     * Emulate the Transfer Asset API method.
+     * @param {EmulatedRequest} request
+     * @return {Object}
+     * @private
+     */
+    _transferAsset(request) {
+        if (!parsedTypeCheck(transferAssetParamsType, request.body, {customTypes: apiParamsCustomTypes})) {
+            throw new ApiEmulatorError(400, 'Invalid parameters');
+        }
+
+        const receivingDeviceId = this._resolveDeviceId(request.body.receivingDevice);
+
+        if (!receivingDeviceId) {
+            throw new ApiEmulatorError(400, 'Invalid receiving device');
+        }
+
+        const asset = this._assetLedger.getAsset(request.params.assetId);
+
+        if (!this._isAssetReceiptPermitted(receivingDeviceId, request.deviceId, asset)) {
+            throw new ApiEmulatorError(403, 'No permission to transfer asset to receiving device');
+        }
+
+        const remainingBalance = this._payForService(request.deviceId, 'transferAsset', () => this._assetLedger
+            .transferAsset(asset.assetId, request.deviceId, receivingDeviceId, request.body.amount));
+
+        return {
+            remainingBalance: fromRawAmount(asset, remainingBalance)
+        };
+    }
+
+    /**
+     * Emulate the Retrieve Asset Info API method.
+     * @param {EmulatedRequest} request
+     * @return {Object}
+     * @private
+     */
+    _retrieveAssetInfo(request) {
+        const asset = this._assetLedger.getAsset(request.params.assetId);
+
+        return {
+            assetId: asset.assetId,
+            name: asset.name,
+            description: asset.description,
+            isNonFungible: asset.isNonFungible,
+            canReissue: asset.canReissue,
+            decimalPlaces: asset.decimalPlaces,
+            issuer: this._getDeviceInfo(asset.issuerDeviceId, request.deviceId),
+            totalExistentBalance: fromRawAmount(asset, asset.totalRawAmount)
+        };
+    }
+
+    /**
+     * Emulate the Get Asset Balance API method.
+     * @param {EmulatedRequest} request
+     * @return {Object}
+     * @private
+     */
+    _getAssetBalance(request) {
+        const asset = this._assetLedger.getAsset(request.params.assetId);
+
+        return getAssetBalance(asset, request.deviceId);
+    }
+
+    /**
+     * Emulate the List Owned Assets API method.
+     * @param {EmulatedRequest} request
+     * @return {Object}
+     * @private
+     */
+    _listOwnedAssets(request) {
+        const page = paginate(this._assetLedger.getOwnedAssets(request.deviceId),
+            parsePagingQuery(request.query, maxListedAssetItems));
+
+        return {
+            ownedAssets: page.items.map(asset => ({
+                assetId: asset.assetId,
+                balance: getAssetBalance(asset, request.deviceId)
+            })),
+            hasMore: page.hasMore
+        };
+    }
+
+    /**
+     * Emulate the List Issued Assets API method.
+     * @param {EmulatedRequest} request
+     * @return {Object}
+     * @private
+     */
+    _listIssuedAssets(request) {
+        const page = paginate(this._assetLedger.getIssuedAssets(request.deviceId),
+            parsePagingQuery(request.query, maxListedAssetItems));
+
+        return {
+            issuedAssets: page.items.map(asset => ({
+                assetId: asset.assetId,
+                totalExistentBalance: fromRawAmount(asset, asset.totalRawAmount)
+            })),
+            hasMore: page.hasMore
+        };
+    }
+
+    /**
+     * Emulate the Retrieve Asset Issuance History API method.
+     * @param {EmulatedRequest} request
+     * @return {Object}
+     * @private
+     */
+    _retrieveAssetIssuanceHistory(request) {
+        const startDate = parseQueryDate(request.query, 'startDate');
+        const endDate = parseQueryDate(request.query, 'endDate');
+        const paging = parsePagingQuery(request.query, maxListedAssetItems);
+        const asset = this._assetLedger.getAsset(request.params.assetId);
+
+        if (asset.issuerDeviceId !== request.deviceId) {
+            throw new ApiEmulatorError(403, 'No permission to retrieve asset issuance history');
+        }
+
+        const page = paginate(asset.issuanceEvents.filter(event => (!startDate || event.date >= startDate)
+            && (!endDate || event.date <= endDate)), paging);
+
+        return {
+            issuanceEvents: page.items.map(event => asset.isNonFungible ? {
+                nfTokenIds: event.nfTokenIds,
+                holdingDevices: event.holdingDeviceIds.map(deviceId => this._getDeviceInfo(deviceId,
+                    request.deviceId)),
+                date: event.date.toISOString()
+            } : {
+                amount: fromRawAmount(asset, event.rawAmount),
+                holdingDevice: this._getDeviceInfo(event.holdingDeviceId, request.deviceId),
+                date: event.date.toISOString()
+            }),
+            hasMore: page.hasMore
+        };
+    }
+
+    /**
+     * Emulate the List Asset Holders API method.
+     * @param {EmulatedRequest} request
+     * @return {Object}
+     * @private
+     */
+    _listAssetHolders(request) {
+        const paging = parsePagingQuery(request.query, maxListedAssetItems);
+        const asset = this._assetLedger.getAsset(request.params.assetId);
+
+        if (asset.issuerDeviceId !== request.deviceId) {
+            throw new ApiEmulatorError(403, 'No permission to list asset holders');
+        }
+
+        const page = paginate(Array.from(asset.balances.keys()), paging);
+
+        return {
+            assetHolders: page.items.map(deviceId => ({
+                holder: this._getDeviceInfo(deviceId, request.deviceId),
+                balance: getAssetBalance(asset, deviceId)
+            })),
+            hasMore: page.hasMore
+        };
+    }
+
+    /**
+     * Emulate the Issue Non-Fungible Asset API method.
+     * @param {EmulatedRequest} request
+     * @return {Object}
+     * @private
+     */
+    _issueNFAsset(request) {
+        return this._processNFAssetIssuance(request);
+    }
+
+    /**
+     * Emulate the Reissue Non-Fungible Asset API method.
+     * @param {EmulatedRequest} request
+     * @return {Object}
+     * @private
+     */
+    _reissueNFAsset(request) {
+        return this._processNFAssetIssuance(request, request.params.assetId);
+    }
+
+    /**
+     * Emulate the Retrieve Non-Fungible Asset Issuance Progress API method.
+     * @param {EmulatedRequest} request
+     * @return {Object}
+     * @private
+     */
+    _retrieveNFAssetIssuanceProgress(request) {
+        const operation = this._getAsyncOperation(request.params.issuanceId, 'nfAssetIssuance', request.deviceId);
+
+        return getNFAssetIssuanceProgress(operation);
+    }
+
+    /**
+     * Emulate the Retrieve Non-Fungible Token API method.
+     * @param {EmulatedRequest} request
+     * @return {Object}
+     * @private
+     */
+    _retrieveNFToken(request) {
+        const nfToken = this._assetLedger.getNFToken(request.params.tokenId);
+
+        if (request.query.has('continuationToken')) {
+            // Continue retrieving the non-fungible token's data
+            const retrieval = this._takeContinuation(request.query.get('continuationToken'), 'nfTokenRetrieval',
+                request.deviceId, nfToken.tokenId);
+
+            return this._nextNFTokenDataChunk(retrieval, request.deviceId);
+        }
+
+        const retrieval = {
+            nfToken,
+            retrieveContents: parseQueryBoolean(request.query, 'retrieveContents', true),
+            contentsOnly: parseQueryBoolean(request.query, 'contentsOnly', false),
+            contentsEncoding: request.query.get('contentsEncoding') || 'base64',
+            dataChunkSize: request.query.has('dataChunkSize') ? Number(request.query.get('dataChunkSize'))
+                : Number.MAX_SAFE_INTEGER,
+            offset: 0
+        };
+
+        if (!messageEncodings.has(retrieval.contentsEncoding) || !Number.isInteger(retrieval.dataChunkSize)
+                || retrieval.dataChunkSize < 1) {
+            throw new ApiEmulatorError(400, 'Invalid parameters');
+        }
+
+        if (parseQueryBoolean(request.query, 'async', false)) {
+            const operation = this._startAsyncOperation('nfTokenRetrieval', request.deviceId, nfToken.tokenId,
+                nfToken.contents.length, () => ({
+                    continuationToken: this._newContinuation('nfTokenRetrieval', request.deviceId, nfToken.tokenId,
+                        retrieval)
+                }), operation => {
+                    this.emit('notification', operation.deviceId, 'nf-token-retrieval-outcome', {
+                        nfTokenId: operation.target,
+                        tokenRetrievalId: operation.id,
+                        ...getNFTokenRetrievalProgress(operation)
+                    });
+                });
+
+            return {
+                tokenRetrievalId: operation.id
+            };
+        }
+
+        return this._nextNFTokenDataChunk(retrieval, request.deviceId);
+    }
+
+    /**
+     * Emulate the Retrieve Non-Fungible Token Retrieval Progress API method.
+     * @param {EmulatedRequest} request
+     * @return {Object}
+     * @private
+     */
+    _retrieveNFTokenRetrievalProgress(request) {
+        const operation = this._getAsyncOperation(request.params.retrievalId, 'nfTokenRetrieval', request.deviceId,
+            request.params.tokenId);
+
+        return getNFTokenRetrievalProgress(operation);
+    }
+
+    /**
+     * Emulate the Transfer Non-Fungible Token API method.
+     * @param {EmulatedRequest} request
+     * @return {Object}
+     * @private
+     */
+    _transferNFToken(request) {
+        if (!parsedTypeCheck(transferNFTokenParamsType, request.body, {customTypes: apiParamsCustomTypes})) {
+            throw new ApiEmulatorError(400, 'Invalid parameters');
+        }
+
+        const nfToken = this._assetLedger.getNFToken(request.params.tokenId);
+        const receivingDeviceId = this._resolveDeviceId(request.body.receivingDevice);
+
+        if (!receivingDeviceId) {
+            throw new ApiEmulatorError(400, 'Invalid receiving device');
+        }
+
+        if (nfToken.holderDeviceId !== request.deviceId) {
+            throw new ApiEmulatorError(403, 'No permission to transfer non-fungible token');
+        }
+
+        if (!this._isAssetReceiptPermitted(receivingDeviceId, request.deviceId,
+                this._assetLedger.getAsset(nfToken.assetId))) {
+            throw new ApiEmulatorError(403, 'No permission to transfer asset to receiving device');
+        }
+
+        const transfer = () => this._payForService(request.deviceId, 'transferNFToken', () => {
+            this._assetLedger.transferNFToken(nfToken.tokenId, request.deviceId, receivingDeviceId);
+
+            return {};
+        });
+
+        if (request.body.async) {
+            this._checkServiceCredits(request.deviceId, 'transferNFToken');
+
+            const operation = this._startAsyncOperation('nfTokenTransfer', request.deviceId, nfToken.tokenId,
+                nfToken.contents.length, transfer, operation => {
+                    this.emit('notification', operation.deviceId, 'nf-token-transfer-outcome', {
+                        nfTokenId: operation.target,
+                        tokenTransferId: operation.id,
+                        ...getNFTokenTransferProgress(operation)
+                    });
+                });
+
+            return {
+                tokenTransferId: operation.id
+            };
+        }
+
+        transfer();
+
+        return {
+            success: true
+        };
+    }
+
+    /**
+     * Emulate the Retrieve Non-Fungible Token Transfer Progress API method.
+     * @param {EmulatedRequest} request
+     * @return {Object}
+     * @private
+     */
+    _retrieveNFTokenTransferProgress(request) {
+        const operation = this._getAsyncOperation(request.params.transferId, 'nfTokenTransfer', request.deviceId,
+            request.params.tokenId);
+
+        return getNFTokenTransferProgress(operation);
+    }
+
+    /**
+     * Emulate the Retrieve Non-Fungible Token Owner API method.
+     * @param {EmulatedRequest} request
+     * @return {Object}
+     * @private
+     */
+    _retrieveNFTokenOwner(request) {
+        const nfToken = this._assetLedger.getNFToken(request.params.tokenId);
+
+        return {
+            owner: this._getDeviceInfo(nfToken.holderDeviceId, request.deviceId),
+            isConfirmed: true
+        };
+    }
+
+    /**
+     * Emulate the Retrieve Permission Events API method.
+     * @return {Object}
+     * @private
+     */
+    _retrievePermissionEvents() {
+        return {
+            ...permissionEvents
+        };
+    }
+
+    /**
+     * Emulate the Retrieve Permission Rights API method.
+     * @param {EmulatedRequest} request
+     * @return {Object}
+     * @private
+     */
+    _retrievePermissionRights(request) {
+        const rights = this._permissionRights.getRights(request.deviceId,
+            checkPermissionEventName(request.params.eventName));
+        const result = {
+            system: rights.system
+        };
+
+        const catenisNodeRights = formatEntityRights(rights.catenisNode, ctnNodeIndex => ctnNodeIndex);
+
+        if (catenisNodeRights) {
+            result.catenisNode = catenisNodeRights;
+        }
+
+        const clientRights = formatEntityRights(rights.client, clientId => clientId);
+
+        if (clientRights) {
+            result.client = clientRights;
+        }
+
+        const deviceRights = formatEntityRights(rights.device, deviceId => this._getDeviceInfo(deviceId,
+            request.deviceId));
+
+        if (deviceRights) {
+            result.device = deviceRights;
+        }
+
+        return result;
+    }
+
+    /**
+     * Emulate the Set Permission Rights API method.
+     * @param {EmulatedRequest} request
+     * @return {Object}
+     * @private
+     */
+    _setPermissionRights(request) {
+        const eventName = checkPermissionEventName(request.params.eventName);
+
+        if (!parsedTypeCheck(setPermissionRightsParamsType, request.body, {customTypes: apiParamsCustomTypes})) {
+            throw new ApiEmulatorError(400, 'Invalid parameters');
+        }
+
+        const changes = {
+            system: request.body.system
+        };
+
+        if (request.body.catenisNode) {
+            changes.catenisNode = resolvePermissionEntities(request.body.catenisNode, ctnNodeIndex => {
+                if (ctnNodeIndex === 'self') {
+                    // The Catenis node that houses the virtual device
+                    ctnNodeIndex = String(catenisNodeInfo.ctnNodeIndex);
+                }
+
+                if (ctnNodeIndex !== String(catenisNodeInfo.ctnNodeIndex)) {
+                    // Only the Catenis Hub node is emulated
+                    throw new ApiEmulatorError(400, 'Invalid Catenis node');
+                }
+
+                return ctnNodeIndex;
+            });
+        }
+
+        if (request.body.client) {
+            changes.client = resolvePermissionEntities(request.body.client, clientId => {
+                if (clientId === 'self') {
+                    // The client to which the virtual device belongs
+                    clientId = this._getDeviceClientId(request.deviceId);
+
+                    if (!clientId) {
+                        throw new ApiEmulatorError(400, 'Invalid client');
+                    }
+                }
+
+                return clientId;
+            });
+        }
+
+        if (request.body.device) {
+            changes.device = resolvePermissionEntities(request.body.device, deviceSpec => {
+                const deviceId = deviceSpec.id === 'self' ? request.deviceId : this._resolveDeviceId(deviceSpec);
+
+                if (!deviceId) {
+                    throw new ApiEmulatorError(400, 'Invalid device');
+                }
+
+                return deviceId;
+            });
+        }
+
+        this._permissionRights.setRights(request.deviceId, eventName, changes);
+
+        return {
+            success: true
+        };
+    }
+
+    /**
+     * Emulate the Check Effective Permission Right API method.
+     * @param {EmulatedRequest} request
+     * @return {Object}
+     * @private
+     */
+    _checkEffectivePermissionRight(request) {
+        const eventName = checkPermissionEventName(request.params.eventName);
+        const deviceId = this._resolveDeviceId({
+            id: request.params.deviceId,
+            isProdUniqueId: parseQueryBoolean(request.query, 'isProdUniqueId', false)
+        });
+
+        if (!deviceId) {
+            throw new ApiEmulatorError(400, 'Invalid device');
+        }
+
+        return {
+            [deviceId]: this._isPermitted(request.deviceId, eventName, deviceId) ? 'allow' : 'deny'
+        };
+    }
+
+    /**
+     * Emulate the Retrieve Device Identification Info API method.
+     * @param {EmulatedRequest} request
+     * @return {Object}
+     * @private
+     */
+    _retrieveDeviceIdentificationInfo(request) {
+        const deviceId = this._resolveDeviceId({
+            id: request.params.deviceId,
+            isProdUniqueId: parseQueryBoolean(request.query, 'isProdUniqueId', false)
+        });
+
+        if (!deviceId) {
+            throw new ApiEmulatorError(400, 'Invalid device');
+        }
+
+        if (!this._isDisclosurePermitted(deviceId, 'disclose-identity-info', request.deviceId)) {
+            throw new ApiEmulatorError(403, 'No permission to retrieve info');
+        }
+
+        const device = this._getDeviceCredentials(deviceId);
+        const result = {
+            catenisNode: {
+                ...catenisNodeInfo
+            }
+        };
+
+        if (device.clientId) {
+            result.client = {
+                clientId: device.clientId
+            };
+        }
+
+        result.device = {
+            deviceId
+        };
+
+        if (device.name) {
+            result.device.name = device.name;
+        }
+
+        if (device.prodUniqueId) {
+            result.device.prodUniqueId = device.prodUniqueId;
+        }
+
+        return result;
+    }
+
+    /**
+     * Process a (possibly multi-part) non-fungible asset issuance request.
+     * @param {EmulatedRequest} request
+     * @param {string} [assetId] The ID of the non-fungible asset being reissued.
+     * @return {Object}
+     * @private
+     */
+    _processNFAssetIssuance(request, assetId) {
+        const params = request.body;
+
+        if (!parsedTypeCheck(issueNFAssetParamsType, params, {customTypes: apiParamsCustomTypes})) {
+            throw new ApiEmulatorError(400, 'Invalid parameters');
+        }
+
+        let issuance;
+
+        if (params.continuationToken === undefined) {
+            // First part of the issuance: asset info (if new asset) and tokens' metadata and contents required
+            if ((assetId === undefined) !== (params.assetInfo !== undefined) || !params.nonFungibleTokens
+                    || params.nonFungibleTokens.length === 0
+                    || params.nonFungibleTokens.some(tokenInfo => !tokenInfo || !tokenInfo.metadata
+                    || !tokenInfo.contents)) {
+                throw new ApiEmulatorError(400, 'Invalid parameters');
+            }
+
+            if (assetId !== undefined) {
+                const asset = this._assetLedger.getNonFungibleAsset(assetId);
+
+                if (asset.issuerDeviceId !== request.deviceId) {
+                    throw new ApiEmulatorError(403, 'No permission to reissue asset');
+                }
+
+                if (!asset.canReissue) {
+                    throw new ApiEmulatorError(400, 'Asset is not reissuable');
+                }
+            }
+
+            issuance = {
+                assetInfo: params.assetInfo,
+                holdingDeviceIds: this._resolveNFTokenHoldingDeviceIds(request.deviceId, params.holdingDevices,
+                    params.nonFungibleTokens.length),
+                nfTokens: params.nonFungibleTokens.map(tokenInfo => ({
+                    metadata: tokenInfo.metadata,
+                    contents: decodeContents(tokenInfo.contents)
+                }))
+            };
+        }
+        else {
+            // Continuation of the issuance: only additional contents for the tokens allowed
+            if (params.assetInfo !== undefined || params.holdingDevices !== undefined
+                    || params.encryptNFTContents !== undefined) {
+                throw new ApiEmulatorError(400, 'Invalid parameters');
+            }
+
+            issuance = this._getContinuation(params.continuationToken, 'nfAssetIssuance', request.deviceId, assetId);
+
+            if (params.nonFungibleTokens) {
+                if (params.nonFungibleTokens.length !== issuance.nfTokens.length
+                        || params.nonFungibleTokens.some(tokenInfo => tokenInfo && (tokenInfo.metadata
+                        || !tokenInfo.contents))) {
+                    throw new ApiEmulatorError(400, 'Invalid parameters');
+                }
+
+                // Note: the saved issuance state is not modified, so the issuance can still be continued (with the
+                //  same continuation token) should this request fail
+                issuance = {
+                    ...issuance,
+                    nfTokens: issuance.nfTokens.map((nfToken, idx) => {
+                        const tokenInfo = params.nonFungibleTokens[idx];
+
+                        return tokenInfo ? {
+                            ...nfToken,
+                            contents: Buffer.concat([nfToken.contents, decodeContents(tokenInfo.contents)])
+                        } : nfToken;
+                    })
+                };
+            }
+        }
+
+        if (params.isFinal === false) {
+            // Wait for the next part of the issuance
+            const continuationToken = this._newContinuation('nfAssetIssuance', request.deviceId, assetId, issuance);
+
+            this._endContinuation(params.continuationToken);
+
+            return {
+                continuationToken
+            };
+        }
+
+        const service = assetId === undefined ? 'issueNFAsset' : 'reissueNFAsset';
+        const issue = () => this._payForService(request.deviceId, service, () => {
+            if (assetId === undefined) {
+                const issueResult = this._assetLedger.issueNonFungibleAsset(request.deviceId, issuance.assetInfo,
+                    issuance.nfTokens, issuance.holdingDeviceIds);
+
+                return {
+                    assetId: issueResult.asset.assetId,
+                    nfTokenIds: issueResult.nfTokenIds
+                };
+            }
+            else {
+                return {
+                    nfTokenIds: this._assetLedger.reissueNonFungibleAsset(assetId, issuance.nfTokens,
+                        issuance.holdingDeviceIds)
+                };
+            }
+        });
+
+        if (params.async) {
+            this._checkServiceCredits(request.deviceId, service);
+
+            const operation = this._startAsyncOperation('nfAssetIssuance', request.deviceId, assetId,
+                issuance.nfTokens.reduce((size, nfToken) => size + nfToken.contents.length, 0), issue, operation => {
+                    this.emit('notification', operation.deviceId, 'nf-asset-issuance-outcome', {
+                        assetIssuanceId: operation.id,
+                        ...getNFAssetIssuanceProgress(operation)
+                    });
+                });
+
+            this._endContinuation(params.continuationToken);
+
+            return {
+                assetIssuanceId: operation.id
+            };
+        }
+
+        const result = issue();
+
+        // Issuance successfully completed. Invalidate the continuation token of its final part (if any)
+        this._endContinuation(params.continuationToken);
+
+        return result;
+    }
+
+    /**
+     * Get the IDs of the virtual devices to which the issued non-fungible tokens should be assigned.
+     * @param {string} issuerDeviceId
+     * @param {(DeviceSpec|DeviceSpec[])} [holdingDevices] Either a single holding device for all tokens, or one
+     *                                                      holding device per token.
+     * @param {number} tokensCount
+     * @return {string[]} One virtual device ID per token.
+     * @throws {ApiEmulatorError}
+     * @private
+     */
+    _resolveNFTokenHoldingDeviceIds(issuerDeviceId, holdingDevices, tokensCount) {
+        if (!holdingDevices) {
+            // Issued tokens are held by the issuing device itself
+            return new Array(tokensCount).fill(issuerDeviceId);
+        }
+
+        if (Array.isArray(holdingDevices) && holdingDevices.length !== tokensCount) {
+            throw new ApiEmulatorError(400, 'Invalid parameters');
+        }
+
+        const holdingDeviceIds = (Array.isArray(holdingDevices) ? holdingDevices
+            : new Array(tokensCount).fill(holdingDevices)).map(deviceSpec => this._resolveDeviceId(deviceSpec));
+
+        if (holdingDeviceIds.some(deviceId => !deviceId)) {
+            throw new ApiEmulatorError(400, 'Invalid holding device');
+        }
+
+        return holdingDeviceIds;
+    }
+
+    /**
+     * Get the next chunk of a non-fungible token's data being retrieved.
+     * @param {Object} retrieval The non-fungible token retrieval state.
+     * @param {string} deviceId The ID of the virtual device that is retrieving the non-fungible token.
+     * @return {Object}
+     * @private
+     */
+    _nextNFTokenDataChunk(retrieval, deviceId) {
+        const nfToken = {};
+        const result = {
+            nonFungibleToken: nfToken
+        };
+
+        if (retrieval.offset === 0 && !retrieval.contentsOnly) {
+            nfToken.assetId = retrieval.nfToken.assetId;
+            nfToken.metadata = retrieval.nfToken.metadata;
+        }
+
+        if (retrieval.retrieveContents) {
+            const contents = retrieval.nfToken.contents;
+            const endOffset = Math.min(retrieval.offset + retrieval.dataChunkSize, contents.length);
+
+            nfToken.contents = {
+                data: contents.subarray(retrieval.offset, endOffset).toString(retrieval.contentsEncoding)
+            };
+
+            if (endOffset < contents.length) {
+                // More data to retrieve
+                result.continuationToken = this._newContinuation('nfTokenRetrieval', deviceId,
+                    retrieval.nfToken.tokenId, {
+                        ...retrieval,
+                        offset: endOffset
+                    });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Get the credit balance that a virtual device uses to pay for services.
+     * @param {string} deviceId
+     * @return {({credits: Map<string, number>, key: string}|undefined)} The map holding the credit balance, and its
+     *                                                                    key, or undefined if the credits used by the
+     *                                                                    virtual device are not being tracked.
+     * @private
+     */
+    _getCreditBalance(deviceId) {
+        if (this._deviceCredits.has(deviceId)) {
+            return {
+                credits: this._deviceCredits,
+                key: deviceId
+            };
+        }
+
+        const clientId = this._getDeviceClientId(deviceId);
+
+        if (clientId && this._clientCredits.has(clientId)) {
+            return {
+                credits: this._clientCredits,
+                key: clientId
+            };
+        }
+    }
+
+    /**
+     * Make sure that a virtual device has enough credits to pay for a service.
+     * @param {string} deviceId
+     * @param {string} service The billable service. Should be one of the keys of billableServices.
+     * @throws {ApiEmulatorError} If there are not enough credits to pay for the service.
+     * @private
+     */
+    _checkServiceCredits(deviceId, service) {
+        const balance = this._getCreditBalance(deviceId);
+
+        if (balance && balance.credits.get(balance.key) < this._servicePrices[service]) {
+            throw new ApiEmulatorError(400, `Not enough credits to pay for ${billableServices[service].name} service`);
+        }
+    }
+
+    /**
+     * Carry out a service, and deduct its price from the credit balance of the virtual device.
+     * @param {string} deviceId
+     * @param {string} service The billable service. Should be one of the keys of billableServices.
+     * @param {function(): *} perform Carries out the service, returning its result.
+     * @return {*} The result of the service.
+     * @throws {ApiEmulatorError} If there are not enough credits to pay for the service.
+     * @private
+     */
+    _payForService(deviceId, service, perform) {
+        this._checkServiceCredits(deviceId, service);
+
+        const result = perform();
+        const balance = this._getCreditBalance(deviceId);
+
+        if (balance) {
+            // Round the remaining balance to avoid floating point artifacts
+            balance.credits.set(balance.key,
+                Math.round((balance.credits.get(balance.key) - this._servicePrices[service]) * 1e8) / 1e8);
+        }
+
+        return result;
+    }
+
+    /**
+     * Save the state of an operation that should be continued by a subsequent API request.
+     * @param {string} type The type of operation.
+     * @param {string} deviceId The ID of the virtual device that is carrying out the operation.
+     * @param {(string|undefined)} target The ID of the entity targeted by the operation.
+     * @param {Object} state
+     * @return {string} The continuation token that should be used to continue the operation.
+     * @private
+     */
+    _newContinuation(type, deviceId, target, state) {
+        const now = Date.now();
+
+        // Discard expired continuations
+        for (const [continuationToken, continuation] of this._continuations) {
+            if (continuation.expiresAt <= now) {
+                this._continuations.delete(continuationToken);
+            }
+        }
+
+        const continuationToken = newCatenisId('continuationToken');
+
+        this._continuations.set(continuationToken, {
+            type,
+            deviceId,
+            target,
+            state,
+            expiresAt: now + this._continuationTimeout
+        });
+
+        return continuationToken;
+    }
+
+    /**
+     * Retrieve the state of an operation being continued, without invalidating it. The state should not be modified,
+     *  and the continuation should be ended (with _endContinuation()) once the operation has been successfully
+     *  continued.
+     * @param {string} continuationToken
+     * @param {string} type The expected type of operation.
+     * @param {string} deviceId The ID of the virtual device that is continuing the operation.
+     * @param {(string|undefined)} target The ID of the entity targeted by the operation.
+     * @return {Object} The saved operation state.
+     * @throws {ApiEmulatorError} If the continuation token is not valid for the operation, or it has expired.
+     * @private
+     */
+    _getContinuation(continuationToken, type, deviceId, target) {
+        const continuation = this._continuations.get(continuationToken);
+
+        if (!continuation || continuation.type !== type || continuation.deviceId !== deviceId
+                || continuation.target !== target || continuation.expiresAt <= Date.now()) {
+            throw new ApiEmulatorError(400, 'Invalid or expired continuation token');
+        }
+
+        return continuation.state;
+    }
+
+    /**
+     * Invalidate a continuation token.
+     * @param {string} [continuationToken]
+     * @private
+     */
+    _endContinuation(continuationToken) {
+        if (continuationToken !== undefined) {
+            this._continuations.delete(continuationToken);
+        }
+    }
+
+    /**
+     * Retrieve (and invalidate) the state of an operation being continued.
+     * @param {string} continuationToken
+     * @param {string} type The expected type of operation.
+     * @param {string} deviceId The ID of the virtual device that is continuing the operation.
+     * @param {(string|undefined)} target The ID of the entity targeted by the operation.
+     * @return {Object} The saved operation state.
+     * @throws {ApiEmulatorError} If the continuation token is not valid for the operation, or it has expired.
+     * @private
+     */
+    _takeContinuation(continuationToken, type, deviceId, target) {
+        const state = this._getContinuation(continuationToken, type, deviceId, target);
+
+        this._endContinuation(continuationToken);
+
+        return state;
+    }
+
+    /**
+     * Start an emulated asynchronous operation, which completes after the configured duration.
+     * @param {string} type The type of operation.
+     * @param {string} deviceId The ID of the virtual device that started the operation.
+     * @param {(string|undefined)} target The ID of the entity targeted by the operation.
+     * @param {number} size The amount of data being processed, in bytes.
+     * @param {function(): Object} perform Carries out the operation, returning its result.
+     * @param {function(EmulatedAsyncOperation): void} onFinish Called once the operation is finished.
+     * @return {EmulatedAsyncOperation}
+     * @private
+     */
+    _startAsyncOperation(type, deviceId, target, size, perform, onFinish) {
+        this._discardExpiredAsyncOperations();
+
+        const operation = {
+            id: newCatenisId(type),
+            type,
+            deviceId,
+            target,
+            size,
+            startDate: new Date(),
+            duration: this._asyncDuration,
+            progressSteps: this._asyncProgressSteps,
+            done: false
+        };
+
+        operation.timer = setTimeout(() => {
+            try {
+                operation.result = perform();
+                operation.success = true;
+            }
+            catch (err) {
+                operation.success = false;
+                operation.error = err instanceof ApiEmulatorError || err instanceof AssetLedgerError ? {
+                    code: err instanceof ApiEmulatorError ? err.statusCode : 400,
+                    message: err.message
+                } : {
+                    code: 500,
+                    message: 'Internal server error'
+                };
+            }
+
+            operation.done = true;
+            operation.finishDate = new Date();
+            operation.timer = undefined;
+
+            onFinish(operation);
+        }, operation.duration);
+
+        this._asyncOperations.set(operation.id, operation);
+
+        return operation;
+    }
+
+    /**
+     * Discard the finished asynchronous operations that have been kept for longer than the configured retention time.
+     * @private
+     */
+    _discardExpiredAsyncOperations() {
+        const now = Date.now();
+
+        for (const [operationId, operation] of this._asyncOperations) {
+            if (operation.done && operation.finishDate.getTime() + this._asyncRetention <= now) {
+                this._asyncOperations.delete(operationId);
+            }
+        }
+    }
+
+    /**
+     * @param {string} operationId
+     * @param {string} type The expected type of operation.
+     * @param {string} deviceId The ID of the virtual device that is querying the operation.
+     * @param {string} [target] The expected ID of the entity targeted by the operation.
+     * @return {EmulatedAsyncOperation}
+     * @throws {ApiEmulatorError} If no such asynchronous operation exists, or it belongs to another virtual device.
+     * @private
+     */
+    _getAsyncOperation(operationId, type, deviceId, target) {
+        this._discardExpiredAsyncOperations();
+
+        const operation = this._asyncOperations.get(operationId);
+
+        if (!operation || operation.type !== type || (target !== undefined && operation.target !== target)) {
+            throw new ApiEmulatorError(400, asyncOperationErrorMessages[type].invalid);
+        }
+
+        if (operation.deviceId !== deviceId) {
+            throw new ApiEmulatorError(403, asyncOperationErrorMessages[type].noPermission);
+        }
+
+        return operation;
+    }
+
+    /**
+     * Get the ID of the virtual device to which an issued asset amount should be assigned.
+     * @param {EmulatedRequest} request
+     * @return {string}
+     * @throws {ApiEmulatorError} If the specified holding device does not exist.
+     * @private
+     */
+    _resolveHoldingDeviceId(request) {
+        if (!request.body.holdingDevice) {
+            // Issued amount is held by the issuing device itself
+            return request.deviceId;
+        }
+
+        const holdingDeviceId = this._resolveDeviceId(request.body.holdingDevice);
+
+        if (!holdingDeviceId) {
+            throw new ApiEmulatorError(400, 'Invalid holding device');
+        }
+
+        return holdingDeviceId;
+    }
+
+    /**
+     * Collect the contents of a message passed to the Log Message or Send Message API method, which may be passed in
+     *  chunks across several requests.
+     * @param {('log'|'send')} action
+     * @param {string} originDeviceId
+     * @param {(string|undefined)} targetDeviceId
+     * @param {(string|{data: string, isFinal: boolean, continuationToken: string})} message The message passed to the
+     *                                                                                        API method.
+     * @param {Object} options The options passed to the API method.
+     * @return {{data: Buffer}|{continuationToken: string}} The whole message contents, or the continuation token to
+     *                                                        be used to pass the next chunk if the message is not
+     *                                                        complete. Note that the continuation token passed with
+     *                                                        the final chunk is not invalidated: that should be done
+     *                                                        once the message has been successfully processed.
+     * @throws {ApiEmulatorError} If the continuation token is not valid for the message, or it has expired.
+     * @private
+     */
+    _collectMessageData(action, originDeviceId, targetDeviceId, message, options) {
+        const encoding = options.encoding || 'utf8';
+
+        if (typeof message === 'string') {
+            return {
+                data: Buffer.from(message, encoding)
+            };
+        }
+
+        const type = `${action}Message`;
+        const chunks = (message.continuationToken !== undefined
+            ? this._getContinuation(message.continuationToken, type, originDeviceId, targetDeviceId).chunks : [])
+            .concat(Buffer.from(message.data, encoding));
+
+        if (message.isFinal === false) {
+            // Wait for the next chunk of the message
+            const continuationToken = this._newContinuation(type, originDeviceId, targetDeviceId, {chunks});
+
+            this._endContinuation(message.continuationToken);
+
+            return {
+                continuationToken
+            };
+        }
+
+        return {
+            data: Buffer.concat(chunks)
+        };
+    }
+
+    /**
+     * Store a new logged or sent message, either right away or asynchronously.
+     * @param {('log'|'send')} action
+     * @param {string} originDeviceId
+     * @param {(string|undefined)} targetDeviceId
+     * @param {Buffer} data The message contents.
+     * @param {Object} options The options passed to the API method.
+     * @return {Object} The data to be returned by the API method.
+     * @private
+     */
+    _processMessage(action, originDeviceId, targetDeviceId, data, options) {
+        const service = options.offChain !== false ? `${action}OffChainMessage` : `${action}Message`;
+        const store = () => this._payForService(originDeviceId, service, () => ({
+            messageId: this._storeMessage(action, originDeviceId, targetDeviceId, data, options).messageId
+        }));
+
+        if (options.async) {
+            this._checkServiceCredits(originDeviceId, service);
+
+            const operation = this._startAsyncOperation('provisionalMessage', originDeviceId, undefined, data.length,
+                store, operation => this._notifyFinalMessageProgress(operation));
+
+            operation.action = action;
+
+            return {
+                provisionalMessageId: operation.id
+            };
+        }
+
+        return store();
+    }
+
+    /**
+     * Get the next chunk of a message's contents being read.
+     * @param {EmulatedMessage} message
+     * @param {{encoding: string, dataChunkSize: number, offset: number}} reading The message reading state.
+     * @param {string} deviceId The ID of the virtual device that is reading the message.
+     * @return {Object}
+     * @private
+     */
+    _nextMessageDataChunk(message, reading, deviceId) {
+        const result = {};
+
+        if (reading.offset === 0) {
+            const isOrigin = message.originDeviceId === deviceId;
+            const isTarget = message.action === 'send' && message.targetDeviceId === deviceId;
+            const msgInfo = {
+                action: message.action
+            };
+
+            if (message.action === 'send') {
+                if (isTarget) {
+                    msgInfo.from = this._getDeviceInfo(message.originDeviceId, deviceId);
+                }
+
+                if (isOrigin) {
+                    msgInfo.to = this._getDeviceInfo(message.targetDeviceId, deviceId);
+                }
+            }
+
+            if (message.action === 'log' || isTarget) {
+                message.read = true;
+            }
+
+            result.msgInfo = msgInfo;
+        }
+
+        const endOffset = Math.min(reading.offset + reading.dataChunkSize, message.data.length);
+
+        result.msgData = message.data.subarray(reading.offset, endOffset).toString(reading.encoding);
+
+        if (endOffset < message.data.length) {
+            // More data to read
+            result.continuationToken = this._newContinuation('readMessage', deviceId, message.messageId, {
+                ...reading,
+                offset: endOffset
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Send the notification message for the final progress of an asynchronous message operation.
+     * @param {EmulatedAsyncOperation} operation
+     * @private
+     */
+    _notifyFinalMessageProgress(operation) {
+        this.emit('notification', operation.deviceId, 'final-msg-progress', {
+            ephemeralMessageId: operation.id,
+            ...getMessageProgress(operation)
+        });
+    }
+
+    /**
+     * Store a new message.
+     * @param {('log'|'send')} action
+     * @param {string} originDeviceId
+     * @param {string} [targetDeviceId]
+     * @param {Buffer} data The message contents.
+     * @param {Object} options The options passed to the API method.
+     * @return {EmulatedMessage}
+     * @private
+     */
+    _storeMessage(action, originDeviceId, targetDeviceId, data, options) {
+        const offChain = options.offChain !== undefined ? options.offChain : true;
+        let container;
+
+        if (offChain) {
+            container = {
+                offChain: {
+                    cid: newIpfsCid()
+                }
+            };
+        }
+        else {
+            const storage = options.storage || 'auto';
+
+            container = {
+                blockchain: {
+                    txid: newTxid(),
+                    isConfirmed: false
+                }
+            };
+
+            if (storage === 'external' || (storage === 'auto' && data.length > maxEmbeddedMessageSize)) {
+                container.externalStorage = {
+                    ipfs: newIpfsCid()
+                };
+            }
+        }
+
+        const message = {
+            messageId: newCatenisId('message'),
+            action,
+            originDeviceId,
+            targetDeviceId,
+            data,
+            readConfirmation: action === 'send' && !!options.readConfirmation,
+            container,
+            date: new Date(),
+            read: false
+        };
+
+        this._messages.set(message.messageId, message);
+
+        return message;
+    }
+
+    /**
+     * @param {string} messageId
+     * @return {EmulatedMessage}
+     * @throws {ApiEmulatorError} If no message with the given ID exists.
+     * @private
+     */
+    _getMessage(messageId) {
+        const message = this._messages.get(messageId);
+
+        if (!message) {
+            throw new ApiEmulatorError(400, 'Invalid message ID');
+        }
+
+        return message;
+    }
+
+    /**
+     * Get the entries that represent a message in the list of messages of a virtual device.
+     * @param {EmulatedMessage} message
+     * @param {string} deviceId
+     * @return {Object[]}
+     * @private
+     */
+    _getMessageListEntries(message, deviceId) {
+        const entries = [];
+
+        if (message.action === 'log') {
+            if (message.originDeviceId === deviceId) {
+                entries.push({
+                    messageId: message.messageId,
+                    action: 'log',
+                    read: message.read,
+                    date: message.date.toISOString()
+                });
+            }
+        }
+        else {
+            if (message.originDeviceId === deviceId) {
+                const entry = {
+                    messageId: message.messageId,
+                    action: 'send',
+                    direction: 'outbound',
+                    to: this._getDeviceInfo(message.targetDeviceId, deviceId),
+                    readConfirmationEnabled: message.readConfirmation
+                };
+
+                if (message.readConfirmation) {
+                    entry.read = message.read;
+                }
+
+                entry.date = message.date.toISOString();
+                entries.push(entry);
+            }
+
+            if (message.targetDeviceId === deviceId) {
+                entries.push({
+                    messageId: message.messageId,
+                    action: 'send',
+                    direction: 'inbound',
+                    from: this._getDeviceInfo(message.originDeviceId, deviceId),
+                    read: message.read,
+                    date: message.date.toISOString()
+                });
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Get the ID of the virtual device identified in an API request.
+     * @param {{id: string, isProdUniqueId: boolean}} deviceSpec
+     * @return {(string|undefined)} The ID of the virtual device, or undefined if no such virtual device exists.
+     * @private
+     */
+    _resolveDeviceId(deviceSpec) {
+        const device = this.apiServer.credentials.find(device => deviceSpec.isProdUniqueId
+            ? device.prodUniqueId === deviceSpec.id : device.deviceId === deviceSpec.id);
+
+        return device ? device.deviceId : undefined;
+    }
+
+    /**
+     * Get the credentials (and properties) of a virtual device.
+     * @param {string} deviceId
+     * @return {(SingleDeviceCredentials|undefined)}
+     * @private
+     */
+    _getDeviceCredentials(deviceId) {
+        return this.apiServer.credentials.find(device => device.deviceId === deviceId);
+    }
+
+    /**
+     * Get the ID of the client to which a virtual device belongs.
+     * @param {string} deviceId
+     * @return {(string|undefined)}
+     * @private
+     */
+    _getDeviceClientId(deviceId) {
+        const device = this._getDeviceCredentials(deviceId);
+
+        return device ? device.clientId : undefined;
+    }
+
+    /**
+     * Check whether a virtual device has permission to carry out an action on another virtual device.
+     * @param {string} deviceId The ID of the controlling virtual device (the one that is acted upon).
+     * @param {string} eventName The permission event.
+     * @param {string} originDeviceId The ID of the virtual device that carries out the action.
+     * @return {boolean}
+     * @private
+     */
+    _isPermitted(deviceId, eventName, originDeviceId) {
+        // Note: every virtual device is housed by the Catenis Hub node
+        return this._permissionRights.isAllowed(deviceId, eventName, originDeviceId,
+            this._getDeviceClientId(originDeviceId), String(catenisNodeInfo.ctnNodeIndex));
+    }
+
+    /**
+     * Check whether a virtual device is allowed to receive an amount of an asset sent by another virtual device.
+     * @param {string} receivingDeviceId
+     * @param {string} sendingDeviceId
+     * @param {LedgerAsset} asset
+     * @return {boolean}
+     * @private
+     */
+    _isAssetReceiptPermitted(receivingDeviceId, sendingDeviceId, asset) {
+        return this._isPermitted(receivingDeviceId, 'receive-asset-from', sendingDeviceId)
+            && this._isPermitted(receivingDeviceId, 'receive-asset-of', asset.issuerDeviceId);
+    }
+
+    /**
+     * Check whether the identity of a virtual device can be disclosed to another virtual device.
+     *
+     * A private virtual device only discloses its identity to the virtual devices that belong to its own client.
+     * @param {string} deviceId The ID of the virtual device whose identity is to be disclosed.
+     * @param {string} eventName The permission event that controls the disclosure.
+     * @param {string} viewerDeviceId The ID of the virtual device to which the identity is to be disclosed.
+     * @return {boolean}
+     * @private
+     */
+    _isDisclosurePermitted(deviceId, eventName, viewerDeviceId) {
+        if (deviceId === viewerDeviceId) {
+            return true;
+        }
+
+        const device = this._getDeviceCredentials(deviceId);
+
+        if (device && device.public === false && (!device.clientId
+                || device.clientId !== this._getDeviceClientId(viewerDeviceId))) {
+            return false;
+        }
+
+        return this._isPermitted(deviceId, eventName, viewerDeviceId);
+    }
+
+    /**
+     * Get the identification of a virtual device to be returned by the API methods.
+     * @param {string} deviceId
+     * @param {string} viewerDeviceId The ID of the virtual device to which the identification is returned.
+     * @return {Object}
+     * @private
+     */
+    _getDeviceInfo(deviceId, viewerDeviceId) {
+        const deviceInfo = {
+            deviceId
+        };
+        const device = this._getDeviceCredentials(deviceId);
+
+        if (device && this._isDisclosurePermitted(deviceId, 'disclose-main-props', viewerDeviceId)) {
+            // Include the device's main properties
+            if (device.name) {
+                deviceInfo.name = device.name;
+            }
+
+            if (device.prodUniqueId) {
+                deviceInfo.prodUniqueId = device.prodUniqueId;
+            }
+        }
+
+        return deviceInfo;
+    }
+}
+
+/**
+ * Make sure that a permission event name is valid.
+ * @param {string} eventName
+ * @return {string} The permission event name.
+ * @throws {ApiEmulatorError} If the permission event name is not valid.
+ */
+function checkPermissionEventName(eventName) {
+    if (!Object.hasOwn(permissionEvents, eventName)) {
+        throw new ApiEmulatorError(400, 'Invalid event name');
+    }
+
+    return eventName;
+}
+
+/**
+ * Convert the entities specified in a Set Permission Rights API request into a list of entity IDs per permission
+ *  right.
+ * @param {Object} entities The entities specified per permission right (allow, deny or none).
+ * @param {function(*): string} resolve Function used to get the ID of each specified entity.
+ * @return {PermissionEntityChanges}
+ */
+function resolvePermissionEntities(entities, resolve) {
+    const changes = {};
+
+    for (const right of ['allow', 'deny', 'none']) {
+        if (entities[right] !== undefined && entities[right] !== null) {
+            changes[right] = (Array.isArray(entities[right]) ? entities[right] : [entities[right]]).map(resolve);
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Format the permission rights set for a given level (Catenis node, client or device) to be returned by the API.
+ * @param {PermissionEntityRights} entityRights
+ * @param {function(string): *} format Function used to format each entity ID.
+ * @return {(Object|undefined)} The formatted permission rights, or undefined if no permission rights are set.
+ */
+function formatEntityRights(entityRights, format) {
+    let result;
+
+    for (const right of ['allow', 'deny']) {
+        if (entityRights[right].size > 0) {
+            result = result || {};
+            result[right] = Array.from(entityRights[right]).map(format);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * @typedef {Object} ListMessagesFilter
+ * @property {('log'|'send'|'any')} action
+ * @property {('inbound'|'outbound'|'any')} direction
+ * @property {string[]} [fromDeviceIds] Only applies to inbound messages.
+ * @property {string[]} [toDeviceIds] Only applies to outbound messages.
+ * @property {('read'|'unread'|'any')} readState
+ * @property {Date} [startDate]
+ * @property {Date} [endDate]
+ * @property {number} limit
+ * @property {number} skip
+ */
+
+/**
+ * Parse the query parameters of a List Messages API request.
+ * @param {URLSearchParams} query
+ * @return {ListMessagesFilter}
+ * @throws {ApiEmulatorError} If any of the query parameters is not valid.
+ */
+function parseListMessagesQuery(query) {
+    const parseEnum = (name, values) => {
+        const value = query.get(name) || 'any';
+
+        if (!values.includes(value)) {
+            throw new ApiEmulatorError(400, 'Invalid parameters');
+        }
+
+        return value;
+    };
+    const parseList = name => query.has(name) ? query.get(name).split(',').filter(item => item.length > 0) : undefined;
+
+    return {
+        action: parseEnum('action', ['log', 'send', 'any']),
+        direction: parseEnum('direction', ['inbound', 'outbound', 'any']),
+        fromDeviceIds: parseList('fromDeviceIds'),
+        toDeviceIds: parseList('toDeviceIds'),
+        readState: parseEnum('readState', ['read', 'unread', 'any']),
+        startDate: parseQueryDate(query, 'startDate'),
+        endDate: parseQueryDate(query, 'endDate'),
+        ...parsePagingQuery(query, maxListedMessages)
+    };
+}
+
+/**
+ * @param {URLSearchParams} query
+ * @param {string} name The name of the query parameter.
+ * @param {boolean} defaultValue The value to return if the query parameter is not present.
+ * @return {boolean}
+ * @throws {ApiEmulatorError} If the query parameter is not a valid boolean.
+ */
+function parseQueryBoolean(query, name, defaultValue) {
+    if (query.has(name)) {
+        const value = query.get(name);
+
+        if (value !== 'true' && value !== 'false') {
+            throw new ApiEmulatorError(400, 'Invalid parameters');
+        }
+
+        return value === 'true';
+    }
+
+    return defaultValue;
+}
+
+/**
+ * @param {URLSearchParams} query
+ * @param {string} name The name of the query parameter.
+ * @return {(Date|undefined)} The date, or undefined if the query parameter is not present.
+ * @throws {ApiEmulatorError} If the query parameter is not a valid date.
+ */
+function parseQueryDate(query, name) {
+    if (query.has(name)) {
+        const date = new Date(query.get(name));
+
+        if (isNaN(date.getTime())) {
+            throw new ApiEmulatorError(400, 'Invalid parameters');
+        }
+
+        return date;
+    }
+}
+
+/**
+ * @return {Object<string, number>} The default price, in Catenis credits, per billable service.
+ */
+function getDefaultServicePrices() {
+    return Object.fromEntries(Object.entries(billableServices).map(([service, info]) => [service, info.price]));
+}
+
+/**
+ * @typedef {Object} PagingParams
+ * @property {number} limit Maximum number of items to return.
+ * @property {number} skip Number of items to skip.
+ */
+
+/**
+ * Parse the query parameters used to page through a list of items.
+ * @param {URLSearchParams} query
+ * @param {number} maxLimit
+ * @return {PagingParams}
+ * @throws {ApiEmulatorError} If any of the query parameters is not valid.
+ */
+function parsePagingQuery(query, maxLimit) {
+    const parseCount = (name, defaultValue, min, max) => {
+        const value = query.has(name) ? Number(query.get(name)) : defaultValue;
+
+        if (!Number.isInteger(value) || value < min || value > max) {
+            throw new ApiEmulatorError(400, 'Invalid parameters');
+        }
+
+        return value;
+    };
+
+    return {
+        limit: parseCount('limit', maxLimit, 1, maxLimit),
+        skip: parseCount('skip', 0, 0, Number.MAX_SAFE_INTEGER)
+    };
+}
+
+/**
+ * @param {Array} items
+ * @param {PagingParams} paging
+ * @return {{items: Array, hasMore: boolean}} The requested page of items, and whether there are more items after it.
+ */
+function paginate(items, paging) {
+    return {
+        items: items.slice(paging.skip, paging.skip + paging.limit),
+        hasMore: paging.skip + paging.limit < items.length
+    };
+}
+
+/**
+ * @param {LedgerAsset} asset
+ * @param {string} deviceId
+ * @return {{total: number, unconfirmed: number}} The balance of the asset held by the virtual device. As emulated
+ *                                                  transactions are never pending, the unconfirmed balance is always
+ *                                                  zero.
+ */
+function getAssetBalance(asset, deviceId) {
+    return {
+        total: fromRawAmount(asset, asset.balances.get(deviceId) || 0),
+        unconfirmed: 0
+    };
+}
+
+/**
+ * @param {Object} entry An entry of the list of messages.
+ * @param {EmulatedMessage} message The message that the entry represents.
+ * @param {ListMessagesFilter} filter
+ * @return {boolean}
+ */
+function isListEntryMatch(entry, message, filter) {
+    return (filter.action === 'any' || entry.action === filter.action)
+        && (filter.direction === 'any' || entry.action === 'log' || entry.direction === filter.direction)
+        && (!filter.fromDeviceIds || entry.direction !== 'inbound'
+            || filter.fromDeviceIds.includes(message.originDeviceId))
+        && (!filter.toDeviceIds || entry.direction !== 'outbound'
+            || filter.toDeviceIds.includes(message.targetDeviceId))
+        && (filter.readState === 'any' || (entry.read !== undefined && entry.read === (filter.readState === 'read')))
+        && (!filter.startDate || message.date >= filter.startDate)
+        && (!filter.endDate || message.date <= filter.endDate);
+}
+
+/**
+ * Decode the contents passed to an API method.
+ * @param {{data: string, encoding: string}} contents
+ * @return {Buffer}
+ */
+function decodeContents(contents) {
+    return Buffer.from(contents.data, contents.encoding || 'base64');
+}
+
+/**
+ * @param {EmulatedAsyncOperation} operation
+ * @return {number} The fraction (between 0 and 1) of the operation that has already been processed.
+ */
+function getProcessedFraction(operation) {
+    if (operation.done) {
+        return 1;
+    }
+
+    // Progress advances in discrete steps, and the last step is only reached when the operation is done
+    const elapsedFraction = operation.duration > 0 ? (Date.now() - operation.startDate.getTime()) / operation.duration
+        : 0;
+
+    return Math.min(Math.floor(elapsedFraction * operation.progressSteps), operation.progressSteps - 1)
+        / operation.progressSteps;
+}
+
+/**
+ * @param {EmulatedAsyncOperation} operation
+ * @param {Object} processed Operation specific info about the amount already processed.
+ * @return {Object} The progress of the asynchronous operation, as returned by the API methods.
+ */
+function formatProgress(operation, processed) {
+    const progress = {
+        ...processed,
+        done: operation.done
+    };
+
+    if (operation.done) {
+        progress.success = operation.success;
+
+        if (!operation.success) {
+            progress.error = operation.error;
+        }
+
+        progress.finishDate = operation.finishDate.toISOString();
+    }
+
+    return progress;
+}
+
+/**
+ * @param {EmulatedAsyncOperation} operation
+ * @return {Object}
+ */
+function getNFAssetIssuanceProgress(operation) {
+    const result = {};
+
+    if (operation.target) {
+        result.assetId = operation.target;
+    }
+
+    result.progress = formatProgress(operation, {
+        percentProcessed: Math.floor(getProcessedFraction(operation) * 100)
+    });
+
+    if (operation.success) {
+        result.result = operation.result;
+    }
+
+    return result;
+}
+
+/**
+ * @param {EmulatedAsyncOperation} operation
+ * @return {Object}
+ */
+function getNFTokenRetrievalProgress(operation) {
+    const result = {
+        progress: formatProgress(operation, {
+            bytesRetrieved: Math.floor(getProcessedFraction(operation) * operation.size)
+        })
+    };
+
+    if (operation.success) {
+        result.continuationToken = operation.result.continuationToken;
+    }
+
+    return result;
+}
+
+/**
+ * @param {EmulatedAsyncOperation} operation
+ * @return {Object}
+ */
+function getNFTokenTransferProgress(operation) {
+    const bytesProcessed = Math.floor(getProcessedFraction(operation) * operation.size);
+
+    return {
+        progress: formatProgress(operation, {
+            dataManipulation: {
+                bytesRead: bytesProcessed,
+                bytesWritten: bytesProcessed
+            }
+        })
+    };
+}
+
+/**
+ * @param {EmulatedAsyncOperation} operation
+ * @return {Object}
+ */
+function getMessageProgress(operation) {
+    const result = {
+        action: operation.action,
+        progress: formatProgress(operation, {
+            bytesProcessed: Math.floor(getProcessedFraction(operation) * operation.size)
+        })
+    };
+
+    if (operation.success) {
+        result.result = operation.result;
+    }
+
+    return result;
+}
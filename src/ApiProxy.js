@@ -0,0 +1,306 @@
+import fs from 'node:fs';
+import {
+    mkdir,
+    writeFile
+} from 'node:fs/promises';
+import path from 'node:path';
+import {
+    parseType,
+    parsedTypeCheck
+} from 'type-check';
+import { buildAuthenticationHeaders } from './Authentication.js';
+
+const defaultUpstreamTimeout = 30000;
+
+const proxyModes = new Set([
+    'off',
+    'record',
+    'replay'
+]);
+
+const proxySettingsType = parseType(`{
+    mode: ProxyMode,
+    upstreamUrl: Maybe HttpUrl,
+    credentials: Maybe {
+        deviceId: NonEmptyString,
+        apiAccessSecret: String
+    },
+    fixturesDir: Maybe NonEmptyString,
+    timeout: Maybe PositiveInteger
+}`);
+
+const proxyModeTypeDef = {
+    typeOf: 'String',
+    validate: d => proxyModes.has(d)
+};
+const httpUrlTypeDef = {
+    typeOf: 'String',
+    validate: d => {
+        let ok;
+
+        try {
+            const url = new URL(d);
+            ok = url.protocol === 'http:' || url.protocol === 'https:';
+        }
+        catch (err) {
+            ok = false;
+        }
+
+        return ok;
+    }
+};
+const nonEmptyStringTypeDef = {
+    typeOf: 'String',
+    validate: d => d.length > 0
+};
+const positiveIntegerTypeDef = {
+    typeOf: 'Number',
+    validate: d => Number.isInteger(d) && d > 0
+};
+
+/**
+ * @typedef {Object} ProxySettings
+ * @property {('off'|'record'|'replay')} mode The proxy mode. In 'record' mode, every request received by the API
+ *                                            server is forwarded to the upstream Catenis API server, and the
+ *                                            request/response pair is recorded as a fixture file. In 'replay' mode,
+ *                                            the recorded fixtures are replayed, in order, as a list of HTTP
+ *                                            contexts.
+ * @property {string} [upstreamUrl] The base URL of the upstream Catenis API server. Required in 'record' mode.
+ * @property {SigningCredentials} [credentials] The credentials used to sign the forwarded requests. If not specified,
+ *                                               the forwarded requests are signed with the credentials of the virtual
+ *                                               device that issued them (which should then be authenticated).
+ * @property {string} [fixturesDir] The directory where the fixture files are stored. Required in 'record' and
+ *                                   'replay' modes.
+ * @property {number} [timeout=30000] Time, in milliseconds, to wait for the upstream Catenis API server to respond to
+ *                                     a forwarded request.
+ */
+
+/**
+ * @typedef {Object} UpstreamResponse
+ * @property {number} statusCode
+ * @property {string} [contentType]
+ * @property {string} body
+ */
+
+/**
+ * Forwards API requests to an upstream Catenis API server, and records them as fixtures.
+ */
+export class ApiProxy {
+    constructor() {
+        /**
+         * @type {ProxySettings}
+         */
+        this._settings = {
+            mode: 'off'
+        };
+        this._recordedFixtures = 0;
+    }
+
+    /**
+     * @return {('off'|'record'|'replay')}
+     */
+    get mode() {
+        return this._settings.mode;
+    }
+
+    /**
+     * @return {(SigningCredentials|undefined)}
+     */
+    get credentials() {
+        return this._settings.credentials;
+    }
+
+    /**
+     * @return {ProxySettings}
+     */
+    get settings() {
+        return this._settings;
+    }
+
+    /**
+     * @param {*} data
+     */
+    set settings(data) {
+        if (!isValidProxySettings(data)) {
+            throw new TypeError('Not a valid ProxySettings data type');
+        }
+
+        this._settings = data;
+        // Continue numbering after the fixtures that have already been recorded
+        this._recordedFixtures = data.mode === 'record' ? getLastFixtureSeqNum(data.fixturesDir) : 0;
+    }
+
+    /**
+     * Forward a request to the upstream Catenis API server.
+     * @param {module:http.IncomingMessage} req
+     * @param {Buffer} body The (decoded) request body.
+     * @param {SigningCredentials} credentials The credentials used to sign the forwarded request.
+     * @return {Promise<UpstreamResponse>}
+     * @throws {DOMException} A TimeoutError if the upstream Catenis API server does not respond in time.
+     */
+    async forwardRequest(req, body, credentials) {
+        const upstreamUrl = new URL(this._settings.upstreamUrl);
+        const url = new URL(upstreamUrl.pathname.replace(/\/$/, '') + req.url, upstreamUrl);
+        const headers = buildAuthenticationHeaders(req.method, url, credentials, body);
+
+        if (req.headers['content-type']) {
+            headers['content-type'] = req.headers['content-type'];
+        }
+
+        const response = await fetch(url, {
+            method: req.method,
+            headers,
+            body: body.length > 0 ? body : undefined,
+            // Note: the timeout also applies to receiving the response body (below)
+            signal: AbortSignal.timeout(this._settings.timeout || defaultUpstreamTimeout)
+        });
+
+        return {
+            statusCode: response.status,
+            contentType: response.headers.get('content-type') || undefined,
+            body: await response.text()
+        };
+    }
+
+    /**
+     * Record a forwarded request and its response as a fixture file, containing the equivalent HTTP stub.
+     * @param {string} method The HTTP method of the request.
+     * @param {string} apiMethodPath The Catenis API method path of the request, including its query string.
+     * @param {string} [reqBody] The (decoded) request body.
+     * @param {UpstreamResponse} response
+     * @return {Promise<string>} The path of the fixture file.
+     */
+    async recordFixture(method, apiMethodPath, reqBody, response) {
+        const seqNum = ++this._recordedFixtures;
+        const fileName = `${String(seqNum).padStart(4, '0')}-${method}-${apiMethodPath.replace(/[^\w-]+/g, '_')}`;
+        const filePath = path.join(this._settings.fixturesDir, `${fileName}.json`);
+
+        await mkdir(this._settings.fixturesDir, {recursive: true});
+        await writeFile(filePath, JSON.stringify(newFixtureHttpStub(seqNum, method, apiMethodPath, reqBody, response),
+            null, 2));
+
+        return filePath;
+    }
+}
+
+/**
+ * @param {*} data
+ * @return {boolean}
+ */
+export function isValidProxySettings(data) {
+    return parsedTypeCheck(proxySettingsType, data, {
+        customTypes: {
+            ProxyMode: proxyModeTypeDef,
+            HttpUrl: httpUrlTypeDef,
+            NonEmptyString: nonEmptyStringTypeDef,
+            PositiveInteger: positiveIntegerTypeDef
+        }
+    }) && (data.mode !== 'record' || (data.upstreamUrl !== undefined && data.fixturesDir !== undefined))
+        && (data.mode !== 'replay' || data.fixturesDir !== undefined);
+}
+
+/**
+ * Load the fixtures recorded in a given directory, in the order in which they have been recorded.
+ * @param {string} fixturesDir
+ * @return {Object[]} The HTTP stubs contained in the fixture files.
+ * @throws {TypeError} If the fixture files could not be read.
+ */
+export function loadFixtures(fixturesDir) {
+    try {
+        const fileNames = fs.readdirSync(fixturesDir).filter(fileName => fileName.endsWith('.json')).sort();
+
+        return fileNames.map(fileName => JSON.parse(fs.readFileSync(path.join(fixturesDir, fileName), 'utf8')));
+    }
+    catch (err) {
+        throw new TypeError(`Error loading fixtures: ${err.message}`);
+    }
+}
+
+/**
+ * Get the sequence number of the latest fixture recorded in a given directory.
+ * @param {string} fixturesDir
+ * @return {number} The sequence number, or zero if no fixtures have been recorded (or the directory does not exist).
+ */
+function getLastFixtureSeqNum(fixturesDir) {
+    let fileNames;
+
+    try {
+        fileNames = fs.readdirSync(fixturesDir);
+    }
+    catch (err) {
+        return 0;
+    }
+
+    return fileNames.reduce((lastSeqNum, fileName) => {
+        const match = fileName.match(/^(\d+)-.*\.json$/);
+
+        return match ? Math.max(lastSeqNum, Number(match[1])) : lastSeqNum;
+    }, 0);
+}
+
+/**
+ * Create the HTTP stub that reproduces a recorded request/response pair.
+ * @param {number} seqNum
+ * @param {string} method
+ * @param {string} apiMethodPath
+ * @param {string} [reqBody]
+ * @param {UpstreamResponse} response
+ * @return {HttpStub}
+ */
+function newFixtureHttpStub(seqNum, method, apiMethodPath, reqBody, response) {
+    const expectedRequest = {
+        httpMethod: method,
+        apiMethodPath
+    };
+
+    if (reqBody !== undefined && isJsonData(reqBody)) {
+        expectedRequest.data = reqBody;
+        expectedRequest.dataMatch = {
+            mode: 'json'
+        };
+    }
+
+    // Do not require replayed requests to be signed with the upstream credentials
+    expectedRequest.authenticate = false;
+
+    let resBody;
+
+    try {
+        resBody = JSON.parse(response.body);
+    }
+    catch (err) {}
+
+    let requiredResponse;
+
+    if (response.statusCode === 200 && resBody && resBody.status === 'success' && resBody.data
+            && typeof resBody.data === 'object') {
+        requiredResponse = {
+            data: JSON.stringify(resBody.data)
+        };
+    }
+    else {
+        requiredResponse = {
+            statusCode: response.statusCode,
+            errorMessage: resBody && typeof resBody.message === 'string' ? resBody.message : response.body
+        };
+    }
+
+    return {
+        id: `recorded-${seqNum}`,
+        expectedRequest,
+        requiredResponse
+    };
+}
+
+/**
+ * @param {string} data
+ * @return {boolean}
+ */
+function isJsonData(data) {
+    try {
+        return JSON.parse(data) !== null;
+    }
+    catch (err) {
+        return false;
+    }
+}
@@ -1,7 +1,14 @@
 /**
  * Created by claudio on 2022-12-20
  */
-import { createServer } from 'node:http';
+import {
+    createServer,
+    validateHeaderName,
+    validateHeaderValue
+} from 'node:http';
+import { EventEmitter } from 'node:events';
+import { setTimeout as delay } from 'node:timers/promises';
+import zlib from 'node:zlib';
 import {
     parseType,
     parsedTypeCheck
@@ -9,41 +16,131 @@ import {
 import {
     hasJSONContentType,
     readData,
-    isCORSPreflightRequest
+    isCORSPreflightRequest,
+    RequestDataError
 } from './RequestUtil.js';
 import {
     AuthenticationError,
     parseHttpRequestAuthentication,
     signHttpRequest
 } from './Authentication.js';
+import {
+    findJsonDifferences,
+    isValidJsonSchema,
+    findJsonSchemaErrors,
+    isValidJsonPathPredicate,
+    findJsonPathPredicateFailure,
+    isValidValueMatcher,
+    isValueMatch,
+    describeValueMatcher,
+    matchPathTemplate
+} from './RequestMatcher.js';
+import { renderTemplate } from './ResponseTemplate.js';
+import { RequestJournal } from './RequestJournal.js';
+import {
+    ApiEmulator,
+    ApiEmulatorError
+} from './ApiEmulator.js';
+import {
+    ApiProxy,
+    isValidProxySettings,
+    loadFixtures
+} from './ApiProxy.js';
 import { display } from './main.js';
 
-const httpContextType = parseType(`{
-    expectedRequest: {
+const expectedRequestFields = `
         httpMethod: HttpMethod,
         apiMethodPath: HttpPath,
+        queryParams: Maybe HttpQueryParamSpec,
+        allowExtraQueryParams: Maybe Boolean,
         headers: Maybe HttpHeaderSpec,
         data: Maybe JsonData,
-        authenticate: Maybe Boolean
+        dataEncoding: Maybe DataEncoding,
+        dataMatch: Maybe {
+            mode: Maybe DataMatchMode,
+            partial: Maybe Boolean,
+            ignoreFields: Maybe [NonEmptyString]
+        },
+        dataSchema: Maybe JsonSchema,
+        dataPaths: Maybe [JsonPathPredicate],
+        authenticate: Maybe Boolean`;
+const httpContextFields = `
+    expectedRequest: {${expectedRequestFields}
     },
     requiredResponse: Maybe {
-        data: JsonData
+        data: JsonData,
+        headers: Maybe ResponseHeaders,
+        compress: Maybe Boolean,
+        template: Maybe Boolean,
+        fault: Maybe ResponseFault
     } | {
         statusCode: Number,
-        errorMessage: Maybe String
+        errorMessage: Maybe String,
+        headers: Maybe ResponseHeaders,
+        compress: Maybe Boolean,
+        template: Maybe Boolean,
+        fault: Maybe ResponseFault
+    } | {
+        fault: ResponseFault
+    },
+    latency: Maybe ResponseLatency`;
+const httpContextType = parseType(`{${httpContextFields}
+}`);
+const httpStubType = parseType(`{
+    id: Maybe NonEmptyString,${httpContextFields}
+}`);
+const requestVerificationType = parseType(`{
+    expectedRequest: {${expectedRequestFields}
+    },
+    deviceId: Maybe NonEmptyString,
+    count: Maybe RequestCount
+}`);
+const apiSettingsType = parseType(`{
+    latency: Maybe ResponseLatency,
+    compression: Maybe {
+        threshold: Number
     }
 }`);
 const deviceCredentialsType = parseType(`{
     deviceId: NonEmptyString,
-    apiAccessSecret: String
+    apiAccessSecret: String,
+    clientId: Maybe NonEmptyString,
+    name: Maybe NonEmptyString,
+    prodUniqueId: Maybe NonEmptyString,
+    public: Maybe Boolean
 } | [{
     deviceId: NonEmptyString,
-    apiAccessSecret: String
+    apiAccessSecret: String,
+    clientId: Maybe NonEmptyString,
+    name: Maybe NonEmptyString,
+    prodUniqueId: Maybe NonEmptyString,
+    public: Maybe Boolean
 }]`);
 
-const httpMethodTypeDef = {
+const httpMethods = new Set([
+    'GET',
+    'POST',
+    'PUT',
+    'DELETE',
+    'PATCH',
+    'HEAD'
+]);
+const defaultCORSAllowedMethods = [
+    'POST',
+    'GET'
+];
+
+const responseFaults = new Set([
+    'connection-reset',
+    'close-without-response',
+    'truncated-body',
+    'malformed-json',
+    'wrong-content-length'
+]);
+
+export const httpMethodTypeDef = {
     typeOf: 'String',
-    validate: d => d === 'GET' || d === 'POST'
+    validate: d => httpMethods.has(d)
 };
 const httpPathTypeDef = {
     typeOf: 'String',
@@ -83,56 +180,289 @@ export const nonEmptyStringTypeDef = {
 const httpHeaderSpecTypeDef = {
     typeOf: 'Object',
     validate: o => {
-        return Object.values(o).every(v => typeof v === 'string' || v === null);
+        return Object.values(o).every(v => typeof v === 'string' || v === null || isValidValueMatcher(v));
+    }
+};
+const httpQueryParamSpecTypeDef = httpHeaderSpecTypeDef;
+const dataEncodingTypeDef = {
+    typeOf: 'String',
+    validate: d => d === 'identity' || d === 'deflate' || d === 'gzip' || d === 'br'
+};
+const dataMatchModeTypeDef = {
+    typeOf: 'String',
+    validate: d => d === 'exact' || d === 'json'
+};
+const jsonSchemaTypeDef = {
+    typeOf: 'Object',
+    validate: isValidJsonSchema
+};
+const jsonPathPredicateTypeDef = {
+    typeOf: 'Object',
+    validate: isValidJsonPathPredicate
+};
+const responseHeadersTypeDef = {
+    typeOf: 'Object',
+    validate: o => {
+        return Object.values(o).every(v => typeof v === 'string') && isValidResponseHeaders(o);
     }
 };
+const responseFaultTypeDef = {
+    typeOf: 'String',
+    validate: d => responseFaults.has(d)
+};
+const responseLatencyTypeDef = {
+    validate: isValidResponseLatency
+};
+const requestCountTypeDef = {
+    validate: isValidRequestCount
+};
+const httpContextCustomTypes = {
+    NonEmptyString: nonEmptyStringTypeDef,
+    HttpMethod: httpMethodTypeDef,
+    HttpPath: httpPathTypeDef,
+    HttpQueryParamSpec: httpQueryParamSpecTypeDef,
+    HttpHeaderSpec: httpHeaderSpecTypeDef,
+    JsonData: jsonDataTypeDef,
+    DataEncoding: dataEncodingTypeDef,
+    DataMatchMode: dataMatchModeTypeDef,
+    JsonSchema: jsonSchemaTypeDef,
+    JsonPathPredicate: jsonPathPredicateTypeDef,
+    ResponseLatency: responseLatencyTypeDef,
+    ResponseFault: responseFaultTypeDef,
+    ResponseHeaders: responseHeadersTypeDef
+};
+
+/**
+ * @typedef {('GET'|'POST'|'PUT'|'DELETE'|'PATCH'|'HEAD')} HttpRequestMethod
+ */
 
 /**
- * @typedef {('GET','POST')} HttpRequestMethod
+ * @typedef {Object<string,(string|null|ValueMatcher)>} HttpHeaderSpec
  */
 
 /**
- * @typedef {Object<string,(string|null)>} HttpHeaderSpec
+ * @typedef {Object<string,(string|null|ValueMatcher)>} HttpQueryParamSpec
  */
 
 /**
  * @typedef {Object} HttpRequest
  * @property {HttpRequestMethod} httpMethod HTML method of request.
  * @property {string} apiMethodPath Catenis API method path, with an optional leading '/' character and query string
- *                                   (e.g. /messages/mjvHYitWYCbJHvKqT3vk?encoding=utf8).
+ *                                   (e.g. /messages/mjvHYitWYCbJHvKqT3vk?encoding=utf8). The path may be a path
+ *                                   template, with segments starting with a ':' character (e.g. messages/:messageId)
+ *                                   or consisting solely of a '*' character, which match any path segment.
+ * @property {HttpQueryParamSpec} [queryParams] Query parameters in the request, in addition to the ones that might
+ *                                                 be included in apiMethodPath. If the value is set to null, it means
+ *                                                 that the query parameter should NOT be present. Otherwise, the query
+ *                                                 parameter should be present. If the value is an empty string, it means
+ *                                                 that the query parameter could have any value. If the value is a value
+ *                                                 matcher, it means that the query parameter value should match it.
+ * @property {boolean} [allowExtraQueryParams=false] Indicates whether the request may have query parameters other than
+ *                                                    the expected ones.
  * @property {HttpHeaderSpec} [headers] HTTP header in the request. If the value is set to null, it means that the HTTP
  *                                       header should NOT be present. Otherwise, the HTTP header should be present. If
- *                                       the value is an empty string, it means that the header could have any value.
+ *                                       the value is an empty string, it means that the header could have any value. If
+ *                                       the value is a value matcher, it means that the header value should match it.
  * @property {string} [data] JSON of the received data.
+ * @property {DataEncoding} [dataEncoding] The content encoding that should have been used to send the data.
+ * @property {DataMatchSpec} [dataMatch] Specifies how the received data should be compared with the expected data.
+ * @property {Object} [dataSchema] A JSON schema that the received data should conform to.
+ * @property {JsonPathPredicate[]} [dataPaths] A list of JSONPath predicates that the received data should satisfy.
  * @property {boolean} [authenticate=true] Indicates whether the request should be authenticated (validate Authorization
  *                                          header)
  */
 
+/**
+ * @typedef {('identity'|'deflate'|'gzip'|'br')} DataEncoding
+ */
+
+/**
+ * @typedef {('exact'|'json')} DataMatchMode
+ */
+
+/**
+ * @typedef {Object} DataMatchSpec
+ * @property {DataMatchMode} [mode] The data matching mode: 'exact' (the received JSON must be exactly equal to the
+ *                                   expected JSON) or 'json' (both JSONs are parsed and structurally compared, so the
+ *                                   order of the object properties and any whitespace are not relevant). If not
+ *                                   specified, the 'json' mode is used if any of the other options are set, otherwise
+ *                                   the 'exact' mode is used.
+ * @property {boolean} [partial=false] Indicates whether the received data may contain object properties that are not
+ *                                      present in the expected data ('json' mode only).
+ * @property {string[]} [ignoreFields] List of paths (e.g. options.nonce) of object properties that should not be
+ *                                      compared ('json' mode only).
+ */
+
+/**
+ * Network fault to be simulated when sending a response:
+ *  - 'connection-reset': the TCP connection is reset, and no response is sent.
+ *  - 'close-without-response': the TCP connection is (gracefully) closed, and no response is sent.
+ *  - 'truncated-body': only the first half of the response body is sent, and then the TCP connection is closed.
+ *  - 'malformed-json': the response is sent with a response body that is not a valid JSON.
+ *  - 'wrong-content-length': the response is sent with a Content-Length header value greater than the actual size of
+ *                             the response body, and then the TCP connection is closed.
+ * @typedef {('connection-reset'|'close-without-response'|'truncated-body'|'malformed-json'|'wrong-content-length')} ResponseFault
+ */
+
 /**
  * @typedef {Object} HttpErrorResponse
  * @property {number} statusCode
  * @property {string} [errorMessage]
+ * @property {Object<string, string>} [headers] Additional HTTP headers to send with the response.
+ * @property {boolean} [compress] Indicates whether the response body should be compressed (as long as the client
+ *                                 accepts it), regardless of its size. If not specified, the response body is compressed
+ *                                 according to the global compression settings (from the API settings).
+ * @property {boolean} [template=false] Indicates whether the error message (and the additional HTTP headers) is a
+ *                                       template to be rendered.
+ * @property {ResponseFault} [fault] Network fault to be simulated when sending the response.
  */
 
 /**
  * @typedef {Object} HttpSuccessResponse
  * @property {string} data JSON of the data to be returned.
+ * @property {Object<string, string>} [headers] Additional HTTP headers to send with the response.
+ * @property {boolean} [compress] Indicates whether the response body should be compressed (as long as the client
+ *                                 accepts it), regardless of its size. If not specified, the response body is compressed
+ *                                 according to the global compression settings (from the API settings).
+ * @property {boolean} [template=false] Indicates whether the data (and the additional HTTP headers) is a template to be
+ *                                       rendered.
+ * @property {ResponseFault} [fault] Network fault to be simulated when sending the response.
+ */
+
+/**
+ * A success response, with an empty data object, sent simulating a network fault.
+ * @typedef {Object} HttpFaultResponse
+ * @property {ResponseFault} fault Network fault to be simulated when sending the response.
+ */
+
+/**
+ * @typedef {(HttpSuccessResponse|HttpErrorResponse|HttpFaultResponse)} HttpResponse
+ */
+
+/**
+ * Time, in milliseconds, to wait before sending (part of) a response. It can be either a fixed number, a range from
+ *  which a random number is picked, or the 'never' literal, meaning that it is never sent.
+ * @typedef {(number|{min: number, max: number}|'never')} ResponseDelay
+ */
+
+/**
+ * A single delay applied before sending the whole response, or separate delays applied before sending the response
+ *  headers and before sending the response body (after the headers have been sent).
+ * @typedef {(ResponseDelay|{headers: ResponseDelay, body: ResponseDelay})} ResponseLatency
+ */
+
+/**
+ * An aspect of a received request that is not as expected.
+ * @typedef {Object} RequestMismatch
+ * @property {('method'|'path'|'queryParam'|'header'|'bodyEncoding'|'contentType'|'body'|'deviceId')} aspect The
+ *            aspect of the request. The 'deviceId' aspect (the authenticated virtual device) is only checked when
+ *            verifying the received requests.
+ * @property {string} [name] The name of the query parameter or HTTP header.
+ * @property {*} [expected] The expected value. A null value means that it should not be present.
+ * @property {*} [received] The received value. Not set if it is not present.
+ * @property {JsonDifference[]} [diff] The structural differences between the expected and the received body data.
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} HttpContextMismatch
+ * @property {number} [index] The zero-based index of the HTTP context in the list of HTTP contexts (not present if a
+ *                             single HTTP context has been set).
+ * @property {RequestMismatch[]} mismatches
+ */
+
+/**
+ * @typedef {Object} HttpStubMismatch
+ * @property {number} index The zero-based index of the HTTP stub in the list of HTTP stubs.
+ * @property {string} [id] The identifier of the HTTP stub.
+ * @property {RequestMismatch[]} mismatches
+ */
+
+/**
+ * Describes why a received request did not match any HTTP context.
+ * @typedef {Object} MismatchReport
+ * @property {number} [seqNum] The sequential number of the received request's journal entry.
+ * @property {{method: string, url: string}} request
+ * @property {HttpContextMismatch} [httpContext] How the request differs from the current (or next pending) HTTP
+ *                                                context.
+ * @property {HttpStubMismatch} [closestStub] How the request differs from the HTTP stub that most closely matches it.
+ */
+
+/**
+ * The number of times that a request is expected to have been received. Either an exact number, a range (with optional
+ *  lower and upper bounds), or the 'never' literal (the same as an exact number of zero).
+ * @typedef {({exactly: number}|{atLeast: number, atMost: number}|'never')} RequestCount
+ */
+
+/**
+ * @typedef {Object} RequestVerification
+ * @property {HttpRequest} expectedRequest The request to look for among the received requests. Its authenticate
+ *                                          property is ignored.
+ * @property {string} [deviceId] The ID of the virtual device with which the request should have been authenticated.
+ * @property {RequestCount} [count] The number of times that the request is expected to have been received. If not
+ *                                   specified, the request is expected to have been received at least once.
  */
 
 /**
- * @typedef {(HttpSuccessResponse|HttpErrorResponse)} HttpResponse
+ * @typedef {Object} RequestNearMiss
+ * @property {number} seqNum The sequential number of the received request's journal entry.
+ * @property {string} method The HTTP method of the received request.
+ * @property {string} url The URL of the received request.
+ * @property {string} reason Why the received request does not match the expected request.
+ * @property {RequestMismatch[]} mismatches All the aspects of the received request that are not as expected.
+ */
+
+/**
+ * @typedef {Object} RequestVerificationResult
+ * @property {boolean} passed Indicates whether the expected request has been received the expected number of times.
+ * @property {number} count The number of received requests that match the expected request.
+ * @property {string} [message] Describes why the verification has failed.
+ * @property {number[]} matches The sequential numbers of the journal entries of the matching requests.
+ * @property {RequestNearMiss[]} nearMisses The received requests for the same API method path that do not match the
+ *                                           expected request.
+ * @property {number} droppedEntries The number of received requests that have been discarded from the journal (and
+ *                                    thus have not been verified) since it was last cleared.
  */
 
 /**
  * @typedef {Object} HttpContext
  * @property {HttpRequest} expectedRequest
  * @property {HttpResponse} [requiredResponse]
+ * @property {ResponseLatency} [latency] The latency to apply to the response. If not specified, the global response
+ *                                        latency (from the API settings) is applied.
+ */
+
+/**
+ * An HTTP context that is not consumed, and that is used to process any received request that matches it.
+ * @typedef {Object} HttpStub
+ * @property {string} [id] An optional identifier for the HTTP stub.
+ * @property {HttpRequest} expectedRequest
+ * @property {HttpResponse} [requiredResponse]
+ * @property {ResponseLatency} [latency]
+ */
+
+/**
+ * @typedef {Object} CompressionSettings
+ * @property {number} threshold The minimum size, in bytes, of the response body for it to be compressed (as long as
+ *                               the client accepts it).
+ */
+
+/**
+ * @typedef {Object} ApiSettings
+ * @property {ResponseLatency} [latency] The global latency to apply to the responses sent by the API server.
+ * @property {CompressionSettings} [compression] The global compression settings. If not specified, response bodies
+ *                                                are not compressed, unless explicitly required.
  */
 
 /**
  * @typedef {Object} SingleDeviceCredentials
  * @property {string} deviceId
  * @property {string} apiAccessSecret
+ * @property {string} [clientId] The ID of the client to which the virtual device belongs.
+ * @property {string} [name] The name of the virtual device.
+ * @property {string} [prodUniqueId] The product unique ID of the virtual device.
+ * @property {boolean} [public=true] Indicates whether the virtual device's identity can be disclosed to virtual
+ *                                    devices that belong to other clients.
  */
 
 /**
@@ -143,12 +473,18 @@ const httpHeaderSpecTypeDef = {
  * @typedef {(SingleDeviceCredentials|DeviceCredentialsList)} DeviceCredentials
  */
 
-export class ApiServer {
+/**
+ * Emits a 'request-processed' event, with a ProcessedRequestInfo argument, whenever the response to an API request
+ *  is sent.
+ */
+export class ApiServer extends EventEmitter {
     /**
      * @param {number} port
      * @param {string} apiVersion
      */
     constructor(port, apiVersion) {
+        super();
+
         this.port = port;
         this.apiBasePath = `/api/${apiVersion}/`;
         /**
@@ -159,24 +495,176 @@ export class ApiServer {
          * @type {HttpContext}
          */
         this._httpContext = undefined;
+        /**
+         * @type {HttpContext[]}
+         */
+        this._httpContextList = undefined;
+        this._consumedHttpContexts = 0;
+        /**
+         * @type {HttpStub[]}
+         */
+        this._httpStubs = [];
+        /**
+         * @type {ApiSettings}
+         */
+        this._apiSettings = {};
+        this._requestJournal = new RequestJournal();
+        this._apiEmulator = new ApiEmulator(this);
+        this._apiProxy = new ApiProxy();
+        /**
+         * @type {HttpContext[]} The list of HTTP contexts loaded from the recorded fixtures while in replay mode
+         */
+        this._replayHttpContexts = undefined;
+    }
+
+    /**
+     * @return {ApiEmulator} The emulator used to process the requests that do not match any HTTP context or HTTP stub
+     *                        (when it is enabled).
+     */
+    get apiEmulator() {
+        return this._apiEmulator;
+    }
+
+    /**
+     * @return {RequestJournal} The record of the requests received by the API server.
+     */
+    get requestJournal() {
+        return this._requestJournal;
+    }
+
+    /**
+     * @return {MismatchReport[]} The mismatch reports of the recorded requests that did not match any HTTP context.
+     */
+    get mismatchReports() {
+        return this._requestJournal.entries.filter(entry => entry.mismatchReport).map(entry => entry.mismatchReport);
     }
 
     /**
-     * @return {HttpContext}
+     * @return {(HttpContext|HttpContext[])} The current HTTP context, or the HTTP contexts that are still pending if a
+     *                                        list of HTTP contexts has been set.
      */
     get httpContext() {
-        return this._httpContext;
+        return this._httpContextList ? this.pendingHttpContexts : this._httpContext;
     }
 
     /**
-     * @param {*} data
+     * @param {*} data Either a single HTTP context, which is used for every received request, or a list of HTTP
+     *                  contexts, which are consumed in order (one per received request).
      */
     set httpContext(data) {
-        if (!isValidHttpContext(data)) {
-            throw new TypeError('Not a valid HttpContext data type');
+        if (Array.isArray(data)) {
+            if (!data.every(isValidHttpContext)) {
+                throw new TypeError('Not a valid HttpContext data type');
+            }
+
+            this._httpContext = undefined;
+            this._httpContextList = data;
+        }
+        else {
+            if (!isValidHttpContext(data)) {
+                throw new TypeError('Not a valid HttpContext data type');
+            }
+
+            this._httpContext = data;
+            this._httpContextList = undefined;
+        }
+
+        this._consumedHttpContexts = 0;
+    }
+
+    /**
+     * @return {HttpContext[]} The HTTP contexts, from the list of HTTP contexts, that have not yet been consumed.
+     */
+    get pendingHttpContexts() {
+        return this._httpContextList ? this._httpContextList.slice(this._consumedHttpContexts)
+            : (this._httpContext ? [this._httpContext] : []);
+    }
+
+    /**
+     * @return {HttpStub[]}
+     */
+    get httpStubs() {
+        return this._httpStubs;
+    }
+
+    /**
+     * @param {*} data Either a single HTTP stub or a list of HTTP stubs. Any previously set HTTP stubs are replaced.
+     */
+    set httpStubs(data) {
+        const httpStubs = Array.isArray(data) ? data : [data];
+
+        if (!httpStubs.every(isValidHttpStub)) {
+            throw new TypeError('Not a valid HttpStub data type');
+        }
+
+        this._httpStubs = httpStubs;
+    }
+
+    /**
+     * @return {ApiSettings}
+     */
+    get apiSettings() {
+        return this._apiSettings;
+    }
+
+    /**
+     * @param {*} data
+     */
+    set apiSettings(data) {
+        if (!isValidApiSettings(data)) {
+            throw new TypeError('Not a valid ApiSettings data type');
+        }
+
+        this._apiSettings = data;
+    }
+
+    /**
+     * @return {string[]} The HTTP methods that should be allowed by CORS: the default ones (POST and GET), plus any other
+     *                     HTTP methods used by the currently set HTTP contexts and HTTP stubs.
+     */
+    get corsAllowedMethods() {
+        const methods = new Set(defaultCORSAllowedMethods);
+        const httpContexts = this._httpContextList ? this._httpContextList
+            : (this._httpContext ? [this._httpContext] : []);
+
+        for (const httpContext of httpContexts.concat(this._httpStubs)) {
+            methods.add(httpContext.expectedRequest.httpMethod);
+        }
+
+        return Array.from(methods);
+    }
+
+    /**
+     * @return {ProxySettings}
+     */
+    get proxySettings() {
+        return this._apiProxy.settings;
+    }
+
+    /**
+     * @param {*} data
+     */
+    set proxySettings(data) {
+        if (!isValidProxySettings(data)) {
+            throw new TypeError('Not a valid ProxySettings data type');
         }
 
-        this._httpContext = data;
+        if (data.mode === 'replay') {
+            // Use the recorded fixtures as a list of HTTP contexts, so they are replayed in order
+            this.httpContext = loadFixtures(data.fixturesDir).map(({id, ...httpContext}) => httpContext);
+            this._replayHttpContexts = this._httpContextList;
+        }
+        else if (this._replayHttpContexts) {
+            if (this._httpContextList === this._replayHttpContexts) {
+                // Discard the fixtures that were being replayed
+                this._httpContextList = undefined;
+                this._consumedHttpContexts = 0;
+            }
+
+            this._replayHttpContexts = undefined;
+        }
+
+        this._apiProxy.settings = data;
     }
 
     /**
@@ -211,112 +699,172 @@ export class ApiServer {
                 this.server = createServer(async (req, res) => {
                     // Filter and process CORS preflight request
                     if (isCORSPreflightRequest(req)) {
-                        sendCORSPreflightResponse(req, res);
+                        sendCORSPreflightResponse(req, res, this.corsAllowedMethods);
                         return;
                     }
 
-                    if (!this._httpContext) {
-                        sendErrorResponse(req, res, 500, 'Missing HTTP context');
-                        return;
-                    }
+                    // Record request in the journal
+                    const journalEntry = this._requestJournal.addEntry({
+                        method: req.method,
+                        url: req.url,
+                        path: this._getApiMethodPath(req),
+                        headers: req.headers
+                    });
+                    let reqBody;
+                    const onSent = response => {
+                        this._requestJournal.recordResponse(journalEntry, response);
+
+                        if (reqBody) {
+                            this.emit('request-processed', {
+                                journalEntry,
+                                templateContext: {
+                                    ...this._getTemplateContext(req, reqBody, undefined, journalEntry.deviceId),
+                                    response: getTemplateResponseInfo(response)
+                                }
+                            });
+                        }
+                    };
 
-                    const url = new URL(req.url, `http://${req.headers.host}`);
+                    // Read request body
 
-                    // Validate request method
-                    if (req.method !== this._httpContext.expectedRequest.httpMethod) {
-                        sendErrorResponse(req, res, 500, `Unexpected HTTP request method: expected: ${this._httpContext.expectedRequest.httpMethod}; received: ${req.method}`);
-                        return;
+                    try {
+                        reqBody = await readData(req);
                     }
+                    catch (err) {
+                        if (err instanceof RequestDataError) {
+                            // Request body could not be decoded
+                            sendErrorResponse(req, res, err.code === 'decode_err_unsupported_encoding' ? 415 : 400,
+                                err.message, {onSent});
+                        }
+                        else {
+                            sendErrorResponse(req, res, 500, 'Error reading HTTP request body', {onSent});
+                        }
 
-                    const apiMethodPath = this._httpContext.expectedRequest.apiMethodPath;
-                    const expectedUrl = new URL(apiMethodPath.startsWith('/') ? apiMethodPath.substring(1) : apiMethodPath, new URL(this.apiBasePath, `http://${req.headers.host}`).href);
-
-                    // Validate request path
-                    if (url.pathname !== expectedUrl.pathname || !areUrlsSearchEqual(url, expectedUrl)) {
-                        sendErrorResponse(req, res, 500, `Unexpected HTTP request path: expected: ${expectedUrl.pathname + expectedUrl.search}; received: ${url.pathname + url.search}`);
                         return;
                     }
 
-                    if (this._httpContext.expectedRequest.headers) {
-                        // Validate request headers
-                        const headerNames = Object.keys(this._httpContext.expectedRequest.headers);
-
-                        for (let idx = 0, limit = headerNames.length; idx < limit; idx++) {
-                            const headerName = headerNames[idx];
-                            const headerValue = this._httpContext.expectedRequest.headers[headerName];
-
-                            if (typeof headerValue === 'string') {
-                                // Make sure that header is present
-                                const lowercaseHeaderName = headerName.toLowerCase();
-
-                                if (!(lowercaseHeaderName in req.headers)) {
-                                    sendErrorResponse(req, res, 500, `Missing required HTTP header: ${headerName}`);
-                                    return;
-                                }
-
-                                if (headerValue.length > 0) {
-                                    // Make sure that header has the specified value
-                                    if (headerValue !== req.headers[lowercaseHeaderName]) {
-                                        sendErrorResponse(req, res, 500, `Inconsistent value for HTTP header ${headerName}: expected: ${headerValue}; received: ${req.headers[lowercaseHeaderName]}`);
-                                        return;
-                                    }
-                                }
-                            }
-                            else if (headerValue === null) {
-                                // Make sure that header is not present
-                                if (headerName.toLowerCase() in req.headers) {
-                                    sendErrorResponse(req, res, 500, `Unexpected HTTP header: ${headerName}`);
-                                    return;
-                                }
-                            }
-                        }
+                    if (reqBody.raw.length > 0) {
+                        journalEntry.request.body = (reqBody.decoded ? reqBody.decoded : reqBody.raw).toString();
+                        journalEntry.request.bodyEncoding = reqBody.encoding;
                     }
 
-                    // Validate request body
-                    const reqBody = await readData(req);
-                    const bodyData = reqBody.decoded ? reqBody.decoded : reqBody.raw;
+                    if (this._apiProxy.mode === 'record') {
+                        // Forward request to the upstream Catenis API server
+                        journalEntry.matchedBy = {
+                            type: 'proxy'
+                        };
+
+                        await this._processProxiedRequest(req, res, reqBody, journalEntry, {
+                            latency: this._apiSettings.latency,
+                            compression: this._apiSettings.compression,
+                            onSent
+                        });
+                        return;
+                    }
 
-                    if (bodyData.length > 0) {
-                        if (!hasJSONContentType(req)) {
-                            sendErrorResponse(req, res, 500, `Inconsistent content type: expected: application/json; received: ${req.headers['content-type']}`);
+                    // Get HTTP context to process request
+                    const lookupResult = this._lookupHttpContext(req, reqBody);
+
+                    if (lookupResult.errorMessage) {
+                        const emulatorRouteMatch = this._apiEmulator.enabled
+                            ? this._apiEmulator.findRoute(req.method, journalEntry.request.path) : undefined;
+
+                        if (emulatorRouteMatch) {
+                            // Let the API emulator process the request
+                            journalEntry.matchedBy = {
+                                type: 'emulator'
+                            };
+                            journalEntry.params = emulatorRouteMatch.params;
+
+                            this._processEmulatedRequest(req, res, reqBody, emulatorRouteMatch, journalEntry, {
+                                latency: this._apiSettings.latency,
+                                compression: this._apiSettings.compression,
+                                onSent
+                            });
                             return;
                         }
 
-                        const strBodyData = bodyData.toString();
-
-                        if (strBodyData !== this._httpContext.expectedRequest.data) {
-                            sendErrorResponse(req, res, 500, `Unexpected HTTP request body:\n expected: ${this._httpContext.expectedRequest.data}\n received: ${strBodyData}`);
-                            return;
-                        }
-                    }
-                    else if (this._httpContext.expectedRequest.data) {
-                        sendErrorResponse(req, res, 500, `Unexpected HTTP request body:\n expected: ${this._httpContext.expectedRequest.data}\n received: ${undefined}`);
+                        journalEntry.mismatchReport = {
+                            seqNum: journalEntry.seqNum,
+                            ...lookupResult.mismatchReport
+                        };
+
+                        sendErrorResponse(req, res, 500, lookupResult.errorMessage, {
+                            latency: this._apiSettings.latency,
+                            compression: this._apiSettings.compression,
+                            onSent
+                        }, {
+                            mismatchReport: journalEntry.mismatchReport
+                        });
                         return;
                     }
 
-                    if (this._httpContext.expectedRequest.authenticate === true || this._httpContext.expectedRequest.authenticate === undefined) {
+                    const httpContext = lookupResult.httpContext;
+                    const resOptions = {
+                        latency: httpContext.latency !== undefined ? httpContext.latency : this._apiSettings.latency,
+                        compression: this._apiSettings.compression,
+                        onSent
+                    };
+
+                    journalEntry.matchedBy = lookupResult.matchedBy;
+                    journalEntry.params = lookupResult.pathParams || {};
+                    let deviceId;
+
+                    if (httpContext.expectedRequest.authenticate === true || httpContext.expectedRequest.authenticate === undefined) {
                         // Authenticate request
                         const authResult = this.authenticateRequest(req, reqBody.raw);
 
                         if (typeof authResult === 'object') {
                             // Authentication has failed. Send error response
-                            sendErrorResponse(req, res, authResult.code, authResult.message);
+                            sendErrorResponse(req, res, authResult.code, authResult.message, resOptions);
                             return;
                         }
+
+                        deviceId = authResult;
+                        journalEntry.deviceId = deviceId;
                     }
 
-                    if (this._httpContext.requiredResponse) {
-                        const requiredResponse = this._httpContext.requiredResponse;
+                    if (httpContext.requiredResponse) {
+                        const requiredResponse = httpContext.requiredResponse;
+                        let templateContext;
+
+                        if (requiredResponse.template) {
+                            templateContext = this._getTemplateContext(req, reqBody, lookupResult.pathParams, deviceId);
+                        }
+
+                        resOptions.fault = requiredResponse.fault;
+                        resOptions.compress = requiredResponse.compress;
+
+                        if (requiredResponse.headers) {
+                            resOptions.headers = templateContext
+                                ? renderTemplate(requiredResponse.headers, templateContext)
+                                : requiredResponse.headers;
+
+                            if (!isValidResponseHeaders(resOptions.headers)) {
+                                // Rendered template produced an invalid header. Send error response
+                                resOptions.headers = undefined;
+                                sendErrorResponse(req, res, 500, 'Invalid rendered response headers', resOptions);
+                                return;
+                            }
+                        }
 
                         if (requiredResponse.data) {
-                            sendSuccessResponse(req, res, JSON.parse(requiredResponse.data));
+                            const data = JSON.parse(requiredResponse.data);
+
+                            sendSuccessResponse(req, res, templateContext ? renderTemplate(data, templateContext) : data,
+                                resOptions);
+                        }
+                        else if (requiredResponse.statusCode) {
+                            sendErrorResponse(req, res, requiredResponse.statusCode, templateContext
+                                ? renderTemplate(requiredResponse.errorMessage, templateContext)
+                                : requiredResponse.errorMessage, resOptions);
                         }
                         else {
-                            sendErrorResponse(req, res, requiredResponse.statusCode, requiredResponse.errorMessage);
+                            sendSuccessResponse(req, res, {}, resOptions);
                         }
                     }
                     else {
-                        sendSuccessResponse(req, res);
+                        sendSuccessResponse(req, res, undefined, resOptions);
                     }
                 });
 
@@ -350,6 +898,9 @@ export class ApiServer {
                         resolve();
                     }
                 });
+
+                // Make sure that connections waiting for a (delayed) response do not prevent the server from closing
+                this.server.closeAllConnections();
             }
             else {
                 resolve();
@@ -358,52 +909,602 @@ export class ApiServer {
     }
 
     /**
-     * @typedef {Object} ErrorResponseInfo
-     * @property {number} code
-     * @property {string} message
+     * @typedef {Object} HttpContextLookupResult
+     * @property {(HttpContext|HttpStub)} [httpContext] The HTTP context to be used to process the request.
+     * @property {Object<string, string>} [pathParams] The parameters captured from the request path.
+     * @property {JournalMatchInfo} [matchedBy] Identifies the HTTP context to be used to process the request.
+     * @property {string} [errorMessage] The error message to be returned if no HTTP context could be found.
+     * @property {MismatchReport} [mismatchReport] Describes why the request did not match any HTTP context. Only set
+     *                                             if no HTTP context could be found.
      */
 
     /**
-     * Authenticate an incoming HTTP request.
+     * Look up the HTTP context to be used to process an incoming HTTP request.
+     *
+     * The current HTTP context (or the next pending HTTP context if a list of HTTP contexts has been set) is tried
+     *  first. If the request does not match it, the HTTP stubs are tried, in order, and the first one that matches the
+     *  request is used.
      * @param {module:http.IncomingMessage} req
-     * @param {Buffer} [reqBody]
-     * @return {(string|ErrorResponseInfo)} The ID of the authenticated virtual device if successful, or the information
-     *                                       about the error to be sent as the response.
+     * @param {ReadHttpReqBody} reqBody
+     * @return {HttpContextLookupResult}
+     * @private
      */
-    authenticateRequest(req, reqBody) {
-        try {
-            // Parse HTTP request to retrieve relevant authentication data
-            const authData = parseHttpRequestAuthentication(req.headers);
+    _lookupHttpContext(req, reqBody) {
+        let httpContext;
+        let contextErrorMessage;
+        /**
+         * @type {MismatchReport}
+         */
+        const mismatchReport = {
+            request: {
+                method: req.method,
+                url: req.url
+            }
+        };
 
-            // Get credentials of the device to authenticate
-            const deviceCredentials = this._deviceCredentials.get(authData.deviceId);
+        if (this._httpContextList) {
+            const totalHttpContexts = this._httpContextList.length;
+
+            if (this._consumedHttpContexts >= totalHttpContexts) {
+                contextErrorMessage = `No more pending HTTP contexts (${totalHttpContexts} already consumed); received: ${req.method} ${req.url}`;
+            }
+            else {
+                httpContext = this._httpContextList[this._consumedHttpContexts];
+            }
+        }
+        else {
+            httpContext = this._httpContext;
+        }
+
+        if (httpContext) {
+            const checkResult = this.checkExpectedRequest(httpContext.expectedRequest, req, reqBody);
+
+            if (!checkResult.errorMessage) {
+                const matchedBy = {
+                    type: 'httpContext'
+                };
+
+                if (this._httpContextList) {
+                    // Request matched the next pending HTTP context. So consume it
+                    matchedBy.index = this._consumedHttpContexts++;
+                }
 
-            if (!deviceCredentials) {
-                // No device found. Return error
                 return {
-                    code: 401,
-                    message: 'Authorization failed; invalid device or signature'
+                    httpContext,
+                    pathParams: checkResult.pathParams,
+                    matchedBy
                 };
             }
 
-            // Sign request and validate signature
-            const reqSignature = signHttpRequest(req, {
-                timestamp: authData.timestamp,
-                signDate: authData.signDate,
-                apiAccessSecret: deviceCredentials.apiAccessSecret,
-                reqBody: reqBody !== undefined ? reqBody : Buffer.from('')
-            });
+            contextErrorMessage = this._httpContextList
+                ? `[HTTP context #${this._consumedHttpContexts + 1} of ${this._httpContextList.length}] ${checkResult.errorMessage}`
+                : checkResult.errorMessage;
 
-            if (reqSignature !== authData.signature) {
-                // Invalid signature. Return error
+            mismatchReport.httpContext = {
+                index: this._httpContextList ? this._consumedHttpContexts : undefined,
+                mismatches: checkResult.mismatches
+            };
+        }
+
+        // Try to find a matching HTTP stub
+        for (const [idx, httpStub] of this._httpStubs.entries()) {
+            const checkResult = this.checkExpectedRequest(httpStub.expectedRequest, req, reqBody);
+
+            if (!checkResult.errorMessage) {
                 return {
-                    code: 401,
-                    message: 'Authorization failed; invalid device or signature'
+                    httpContext: httpStub,
+                    pathParams: checkResult.pathParams,
+                    matchedBy: {
+                        type: 'httpStub',
+                        index: idx,
+                        id: httpStub.id
+                    }
                 };
             }
 
-            // Success. Return ID of authenticated virtual device
-            return authData.deviceId;
+            if (!mismatchReport.closestStub || compareMismatches(checkResult.mismatches,
+                    mismatchReport.closestStub.mismatches) < 0) {
+                mismatchReport.closestStub = {
+                    index: idx,
+                    id: httpStub.id,
+                    mismatches: checkResult.mismatches
+                };
+            }
+        }
+
+        let errorMessage;
+
+        if (contextErrorMessage) {
+            errorMessage = contextErrorMessage;
+        }
+        else if (this._httpStubs.length > 0) {
+            errorMessage = `No matching HTTP stub for request: ${req.method} ${req.url}`;
+        }
+        else {
+            errorMessage = 'Missing HTTP context';
+        }
+
+        return {
+            errorMessage,
+            mismatchReport
+        };
+    }
+
+    /**
+     * Forward a request to the upstream Catenis API server, and record it (along with its response) as a fixture.
+     * @param {module:http.IncomingMessage} req
+     * @param {module:http.ServerResponse} res
+     * @param {ReadHttpReqBody} reqBody
+     * @param {JournalEntry} journalEntry
+     * @param {ResponseOptions} resOptions
+     * @return {Promise<void>}
+     * @private
+     */
+    async _processProxiedRequest(req, res, reqBody, journalEntry, resOptions) {
+        let credentials = this._apiProxy.credentials;
+
+        if (!credentials) {
+            // Authenticate request, and sign the forwarded request on behalf of the same device
+            const authResult = this.authenticateRequest(req, reqBody.raw);
+
+            if (typeof authResult === 'object') {
+                // Authentication has failed. Send error response
+                sendErrorResponse(req, res, authResult.code, authResult.message, resOptions);
+                return;
+            }
+
+            journalEntry.deviceId = authResult;
+            credentials = this._deviceCredentials.get(authResult);
+        }
+
+        const bodyData = reqBody.decoded ? reqBody.decoded : reqBody.raw;
+        let response;
+
+        try {
+            response = await this._apiProxy.forwardRequest(req, bodyData, credentials);
+        }
+        catch (err) {
+            if (err.name === 'TimeoutError') {
+                // Upstream server did not respond in time
+                sendErrorResponse(req, res, 504, 'Timeout forwarding request to upstream server', resOptions);
+            }
+            else {
+                sendErrorResponse(req, res, 502, `Error forwarding request to upstream server: ${err.message}`,
+                    resOptions);
+            }
+
+            return;
+        }
+
+        try {
+            await this._apiProxy.recordFixture(req.method, journalEntry.request.path
+                + new URL(req.url, `http://${req.headers.host}`).search, bodyData.length > 0 ? bodyData.toString()
+                : undefined, response);
+        }
+        catch (err) {
+            display.error('[Catenis API Emulator] - Error recording fixture:', err);
+        }
+
+        sendUpstreamResponse(req, res, response, resOptions);
+    }
+
+    /**
+     * Process a request to a Catenis API method emulated by the API emulator.
+     * @param {module:http.IncomingMessage} req
+     * @param {module:http.ServerResponse} res
+     * @param {ReadHttpReqBody} reqBody
+     * @param {EmulatorRouteMatch} routeMatch
+     * @param {JournalEntry} journalEntry
+     * @param {ResponseOptions} resOptions
+     * @private
+     */
+    _processEmulatedRequest(req, res, reqBody, routeMatch, journalEntry, resOptions) {
+        // Authenticate request
+        const authResult = this.authenticateRequest(req, reqBody.raw);
+
+        if (typeof authResult === 'object') {
+            // Authentication has failed. Send error response
+            sendErrorResponse(req, res, authResult.code, authResult.message, resOptions);
+            return;
+        }
+
+        journalEntry.deviceId = authResult;
+
+        const bodyData = reqBody.decoded ? reqBody.decoded : reqBody.raw;
+        let body;
+
+        if (bodyData.length > 0) {
+            if (hasJSONContentType(req)) {
+                try {
+                    body = JSON.parse(bodyData.toString());
+                }
+                catch (err) {}
+            }
+
+            if (body === undefined) {
+                sendErrorResponse(req, res, 400, 'Invalid request body', resOptions);
+                return;
+            }
+        }
+
+        try {
+            const url = new URL(req.url, `http://${req.headers.host}`);
+            const data = this._apiEmulator.processRequest(routeMatch, authResult, url.searchParams, body);
+
+            sendSuccessResponse(req, res, data, resOptions);
+        }
+        catch (err) {
+            if (err instanceof ApiEmulatorError) {
+                sendErrorResponse(req, res, err.statusCode, err.message, resOptions);
+            }
+            else {
+                display.error('[Catenis API Emulator] - Error processing emulated request:', err);
+                sendErrorResponse(req, res, 500, 'Internal server error', resOptions);
+            }
+        }
+    }
+
+    /**
+     * Get the Catenis API method path of an HTTP request.
+     * @param {module:http.IncomingMessage} req
+     * @return {string} The path of the request's URL relative to the API base path (e.g. messages/mjvHYitWYCbJHvKqT3vk).
+     * @private
+     */
+    _getApiMethodPath(req) {
+        const url = new URL(req.url, `http://${req.headers.host}`);
+
+        return url.pathname.startsWith(this.apiBasePath) ? url.pathname.substring(this.apiBasePath.length)
+            : url.pathname;
+    }
+
+    /**
+     * Get the context used to render response templates.
+     * @param {module:http.IncomingMessage} req
+     * @param {ReadHttpReqBody} reqBody
+     * @param {Object<string, string>} pathParams
+     * @param {string} [deviceId]
+     * @return {TemplateContext}
+     * @private
+     */
+    _getTemplateContext(req, reqBody, pathParams, deviceId) {
+        const url = new URL(req.url, `http://${req.headers.host}`);
+        const bodyData = reqBody.decoded ? reqBody.decoded : reqBody.raw;
+        let body;
+
+        if (bodyData.length > 0) {
+            try {
+                body = JSON.parse(bodyData.toString());
+            }
+            catch (err) {}
+        }
+
+        return {
+            request: {
+                method: req.method,
+                path: this._getApiMethodPath(req),
+                params: pathParams || {},
+                query: Object.fromEntries(url.searchParams),
+                headers: req.headers,
+                body
+            },
+            deviceId
+        };
+    }
+
+    /**
+     * @typedef {Object} RequestCheckResult
+     * @property {string} [errorMessage] The error message describing why the request is not as expected (the message
+     *                                    of the first mismatch). Not set if the request is as expected.
+     * @property {RequestMismatch[]} [mismatches] All the aspects of the request that are not as expected. Not set if
+     *                                             the request is as expected.
+     * @property {Object<string, string>} [pathParams] The parameters captured from the request path. Only set if the
+     *                                                  request is as expected.
+     */
+
+    /**
+     * Check whether an incoming HTTP request is as expected.
+     * @param {HttpRequest} expectedRequest
+     * @param {module:http.IncomingMessage} req
+     * @param {ReadHttpReqBody} reqBody
+     * @return {RequestCheckResult}
+     */
+    checkExpectedRequest(expectedRequest, req, reqBody) {
+        const url = new URL(req.url, `http://${req.headers.host}`);
+        /**
+         * @type {RequestMismatch[]}
+         */
+        const mismatches = [];
+
+        // Validate request method
+        if (req.method !== expectedRequest.httpMethod) {
+            mismatches.push({
+                aspect: 'method',
+                expected: expectedRequest.httpMethod,
+                received: req.method,
+                message: `Unexpected HTTP request method: expected: ${expectedRequest.httpMethod}; received: ${req.method}`
+            });
+        }
+
+        const apiMethodPath = expectedRequest.apiMethodPath;
+        const expectedUrl = new URL(apiMethodPath.startsWith('/') ? apiMethodPath.substring(1) : apiMethodPath, new URL(this.apiBasePath, `http://${req.headers.host}`).href);
+
+        const queryParams = expectedRequest.queryParams || {};
+
+        // Validate request path
+        const pathParams = matchPathTemplate(expectedUrl.pathname, url.pathname);
+
+        if (!pathParams || !areUrlsSearchEqual(url, expectedUrl, Object.keys(queryParams),
+                expectedRequest.allowExtraQueryParams)) {
+            mismatches.push({
+                aspect: 'path',
+                expected: expectedUrl.pathname + expectedUrl.search,
+                received: url.pathname + url.search,
+                message: `Unexpected HTTP request path: expected: ${expectedUrl.pathname + expectedUrl.search}; received: ${url.pathname + url.search}`
+            });
+        }
+
+        // Validate query parameters
+        for (const paramName of Object.keys(queryParams)) {
+            const paramSpec = queryParams[paramName];
+
+            if (paramSpec === null) {
+                // Make sure that query parameter is not present
+                if (url.searchParams.has(paramName)) {
+                    mismatches.push({
+                        aspect: 'queryParam',
+                        name: paramName,
+                        expected: null,
+                        received: url.searchParams.get(paramName),
+                        message: `Unexpected query parameter: ${paramName}`
+                    });
+                }
+            }
+            else {
+                // Make sure that query parameter is present
+                if (!url.searchParams.has(paramName)) {
+                    mismatches.push({
+                        aspect: 'queryParam',
+                        name: paramName,
+                        expected: typeof paramSpec === 'string' ? paramSpec : describeValueMatcher(paramSpec),
+                        message: `Missing required query parameter: ${paramName}`
+                    });
+                    continue;
+                }
+
+                const paramValue = url.searchParams.getAll(paramName).find(paramValue =>
+                    typeof paramSpec === 'string' ? paramSpec.length > 0 && paramValue !== paramSpec
+                        : !isValueMatch(paramSpec, paramValue));
+
+                if (paramValue !== undefined) {
+                    const expected = typeof paramSpec === 'string' ? paramSpec : describeValueMatcher(paramSpec);
+
+                    mismatches.push({
+                        aspect: 'queryParam',
+                        name: paramName,
+                        expected,
+                        received: paramValue,
+                        message: `Inconsistent value for query parameter ${paramName}: expected: ${expected}; received: ${paramValue}`
+                    });
+                }
+            }
+        }
+
+        if (expectedRequest.headers) {
+            // Validate request headers
+            for (const headerName of Object.keys(expectedRequest.headers)) {
+                const headerValue = expectedRequest.headers[headerName];
+                const lowercaseHeaderName = headerName.toLowerCase();
+
+                if (headerValue === null) {
+                    // Make sure that header is not present
+                    if (lowercaseHeaderName in req.headers) {
+                        mismatches.push({
+                            aspect: 'header',
+                            name: headerName,
+                            expected: null,
+                            received: req.headers[lowercaseHeaderName],
+                            message: `Unexpected HTTP header: ${headerName}`
+                        });
+                    }
+
+                    continue;
+                }
+
+                const expected = typeof headerValue === 'string' ? headerValue : describeValueMatcher(headerValue);
+
+                // Make sure that header is present
+                if (!(lowercaseHeaderName in req.headers)) {
+                    mismatches.push({
+                        aspect: 'header',
+                        name: headerName,
+                        expected,
+                        message: `Missing required HTTP header: ${headerName}`
+                    });
+                }
+                else if (typeof headerValue === 'string' ? headerValue.length > 0 && headerValue !== req.headers[lowercaseHeaderName]
+                        : !isValueMatch(headerValue, req.headers[lowercaseHeaderName])) {
+                    // Header does not have the specified value (or does not match the specified pattern)
+                    mismatches.push({
+                        aspect: 'header',
+                        name: headerName,
+                        expected,
+                        received: req.headers[lowercaseHeaderName],
+                        message: `Inconsistent value for HTTP header ${headerName}: expected: ${expected}; received: ${req.headers[lowercaseHeaderName]}`
+                    });
+                }
+            }
+        }
+
+        // Validate request body
+        if (expectedRequest.dataEncoding && expectedRequest.dataEncoding !== reqBody.encoding) {
+            mismatches.push({
+                aspect: 'bodyEncoding',
+                expected: expectedRequest.dataEncoding,
+                received: reqBody.encoding,
+                message: `Unexpected HTTP request body encoding: expected: ${expectedRequest.dataEncoding}; received: ${reqBody.encoding}`
+            });
+        }
+
+        const bodyData = reqBody.decoded ? reqBody.decoded : reqBody.raw;
+
+        if (bodyData.length > 0) {
+            if (!hasJSONContentType(req)) {
+                mismatches.push({
+                    aspect: 'contentType',
+                    expected: 'application/json',
+                    received: req.headers['content-type'],
+                    message: `Inconsistent content type: expected: application/json; received: ${req.headers['content-type']}`
+                });
+            }
+            else {
+                const dataMismatch = checkRequestData(expectedRequest, bodyData.toString());
+
+                if (dataMismatch) {
+                    mismatches.push(dataMismatch);
+                }
+            }
+        }
+        else if (expectedRequest.data) {
+            mismatches.push({
+                aspect: 'body',
+                expected: expectedRequest.data,
+                message: `Unexpected HTTP request body:\n expected: ${expectedRequest.data}\n received: ${undefined}`
+            });
+        }
+        else if (expectedRequest.dataSchema || expectedRequest.dataPaths) {
+            mismatches.push({
+                aspect: 'body',
+                expected: '(JSON data)',
+                message: `Unexpected HTTP request body:\n expected: (JSON data)\n received: ${undefined}`
+            });
+        }
+
+        if (mismatches.length > 0) {
+            return {
+                errorMessage: mismatches[0].message,
+                mismatches
+            };
+        }
+
+        return {pathParams};
+    }
+
+    /**
+     * Verify that a given request has been received the expected number of times.
+     * @param {*} verification
+     * @return {RequestVerificationResult}
+     */
+    verifyRequests(verification) {
+        if (!isValidRequestVerification(verification)) {
+            throw new TypeError('Not a valid RequestVerification data type');
+        }
+
+        const expectedRequest = verification.expectedRequest;
+        const count = verification.count || {atLeast: 1};
+        const matches = [];
+        const nearMisses = [];
+
+        for (const entry of this._requestJournal.entries) {
+            // Reconstruct received request from journal entry
+            const req = {
+                method: entry.request.method,
+                url: entry.request.url,
+                headers: entry.request.headers
+            };
+            const reqBody = {
+                raw: Buffer.from(entry.request.body !== undefined ? entry.request.body : ''),
+                encoding: entry.request.bodyEncoding || 'identity'
+            };
+
+            const mismatches = this.checkExpectedRequest(expectedRequest, req, reqBody).mismatches || [];
+
+            if (verification.deviceId && verification.deviceId !== entry.deviceId) {
+                mismatches.push({
+                    aspect: 'deviceId',
+                    expected: verification.deviceId,
+                    received: entry.deviceId,
+                    message: `Unexpected authenticated device: expected: ${verification.deviceId}; received: ${entry.deviceId}`
+                });
+            }
+
+            if (mismatches.length === 0) {
+                matches.push(entry.seqNum);
+            }
+            else if (matchPathTemplate(expectedRequest.apiMethodPath.split('?')[0].replace(/^\//, ''), entry.request.path)) {
+                // Request for the same API method path
+                nearMisses.push({
+                    seqNum: entry.seqNum,
+                    method: entry.request.method,
+                    url: entry.request.url,
+                    reason: mismatches[0].message,
+                    mismatches
+                });
+            }
+        }
+
+        const result = {
+            passed: isExpectedCount(count, matches.length),
+            count: matches.length
+        };
+
+        if (!result.passed) {
+            result.message = `Request received ${matches.length} time(s); expected: ${describeRequestCount(count)}`;
+        }
+
+        result.matches = matches;
+        result.nearMisses = nearMisses;
+        result.droppedEntries = this._requestJournal.droppedEntries;
+
+        return result;
+    }
+
+    /**
+     * @typedef {Object} ErrorResponseInfo
+     * @property {number} code
+     * @property {string} message
+     */
+
+    /**
+     * Authenticate an incoming HTTP request.
+     * @param {module:http.IncomingMessage} req
+     * @param {Buffer} [reqBody]
+     * @return {(string|ErrorResponseInfo)} The ID of the authenticated virtual device if successful, or the information
+     *                                       about the error to be sent as the response.
+     */
+    authenticateRequest(req, reqBody) {
+        try {
+            // Parse HTTP request to retrieve relevant authentication data
+            const authData = parseHttpRequestAuthentication(req.headers);
+
+            // Get credentials of the device to authenticate
+            const deviceCredentials = this._deviceCredentials.get(authData.deviceId);
+
+            if (!deviceCredentials) {
+                // No device found. Return error
+                return {
+                    code: 401,
+                    message: 'Authorization failed; invalid device or signature'
+                };
+            }
+
+            // Sign request and validate signature
+            const reqSignature = signHttpRequest(req, {
+                timestamp: authData.timestamp,
+                signDate: authData.signDate,
+                apiAccessSecret: deviceCredentials.apiAccessSecret,
+                reqBody: reqBody !== undefined ? reqBody : Buffer.from('')
+            });
+
+            if (reqSignature !== authData.signature) {
+                // Invalid signature. Return error
+                return {
+                    code: 401,
+                    message: 'Authorization failed; invalid device or signature'
+                };
+            }
+
+            // Success. Return ID of authenticated virtual device
+            return authData.deviceId;
         }
         catch (err) {
             let error;
@@ -470,15 +1571,92 @@ export class ApiServer {
  */
 function isValidHttpContext(data) {
     return parsedTypeCheck(httpContextType, data, {
+        customTypes: httpContextCustomTypes
+    });
+}
+
+/**
+ * @param {*} data
+ * @return {boolean}
+ */
+function isValidHttpStub(data) {
+    return parsedTypeCheck(httpStubType, data, {
+        customTypes: httpContextCustomTypes
+    });
+}
+
+/**
+ * @param {*} data
+ * @return {boolean}
+ */
+function isValidRequestVerification(data) {
+    return parsedTypeCheck(requestVerificationType, data, {
         customTypes: {
-            HttpMethod: httpMethodTypeDef,
-            HttpPath: httpPathTypeDef,
-            HttpHeaderSpec: httpHeaderSpecTypeDef,
-            JsonData: jsonDataTypeDef
+            ...httpContextCustomTypes,
+            RequestCount: requestCountTypeDef
         }
     });
 }
 
+/**
+ * @param {*} data
+ * @return {boolean}
+ */
+function isValidRequestCount(data) {
+    if (data === 'never') {
+        return true;
+    }
+
+    if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+        return false;
+    }
+
+    const isCount = value => Number.isInteger(value) && value >= 0;
+    const keys = Object.keys(data);
+
+    if ('exactly' in data) {
+        return keys.length === 1 && isCount(data.exactly);
+    }
+
+    return keys.length > 0 && keys.every(key => (key === 'atLeast' || key === 'atMost') && isCount(data[key]))
+        && (data.atLeast === undefined || data.atMost === undefined || data.atLeast <= data.atMost);
+}
+
+/**
+ * @param {RequestCount} count
+ * @param {number} actualCount
+ * @return {boolean}
+ */
+function isExpectedCount(count, actualCount) {
+    if (count === 'never') {
+        return actualCount === 0;
+    }
+    else if (count.exactly !== undefined) {
+        return actualCount === count.exactly;
+    }
+
+    return (count.atLeast === undefined || actualCount >= count.atLeast)
+        && (count.atMost === undefined || actualCount <= count.atMost);
+}
+
+/**
+ * @param {RequestCount} count
+ * @return {string}
+ */
+function describeRequestCount(count) {
+    if (count === 'never') {
+        return 'never';
+    }
+    else if (count.exactly !== undefined) {
+        return `exactly ${count.exactly} time(s)`;
+    }
+    else if (count.atLeast !== undefined && count.atMost !== undefined) {
+        return `between ${count.atLeast} and ${count.atMost} time(s)`;
+    }
+
+    return count.atLeast !== undefined ? `at least ${count.atLeast} time(s)` : `at most ${count.atMost} time(s)`;
+}
+
 /**
  * @param {*} data
  * @return {boolean}
@@ -491,12 +1669,226 @@ function isValidDeviceCredentials(data) {
     });
 }
 
+/**
+ * Compare two lists of request mismatches to determine which one corresponds to a closer match. A mismatch of the
+ *  request path weighs more than a mismatch of the request method, which weighs more than any other mismatch.
+ * @param {RequestMismatch[]} mismatches1
+ * @param {RequestMismatch[]} mismatches2
+ * @return {number} A negative number if the first list corresponds to a closer match, a positive number if the second
+ *                   list corresponds to a closer match, or zero if they are equally close.
+ */
+function compareMismatches(mismatches1, mismatches2) {
+    const weight = mismatches => mismatches.reduce((sum, mismatch) => sum
+        + (mismatch.aspect === 'path' ? 10000 : (mismatch.aspect === 'method' ? 100 : 1)), 0);
+
+    return weight(mismatches1) - weight(mismatches2);
+}
+
+/**
+ * Check whether the data received in an HTTP request is as expected.
+ * @param {HttpRequest} expectedRequest
+ * @param {string} strBodyData
+ * @return {(RequestMismatch|undefined)} The mismatch describing why the data is not as expected, or undefined if the
+ *                                        data is as expected.
+ */
+function checkRequestData(expectedRequest, strBodyData) {
+    if (expectedRequest.data !== undefined || (!expectedRequest.dataSchema && !expectedRequest.dataPaths)) {
+        // Compare received data with expected data
+        const dataMismatch = checkRequestDataContents(expectedRequest, strBodyData);
+
+        if (dataMismatch) {
+            return dataMismatch;
+        }
+    }
+
+    if (expectedRequest.dataSchema || expectedRequest.dataPaths) {
+        let parsedBodyData;
+
+        try {
+            parsedBodyData = JSON.parse(strBodyData);
+        }
+        catch (err) {
+            return {
+                aspect: 'body',
+                received: strBodyData,
+                message: `Unexpected HTTP request body (not a valid JSON):\n received: ${strBodyData}`
+            };
+        }
+
+        if (expectedRequest.dataSchema) {
+            // Validate received data against JSON schema
+            const schemaErrors = findJsonSchemaErrors(expectedRequest.dataSchema, parsedBodyData);
+
+            if (schemaErrors) {
+                return {
+                    aspect: 'body',
+                    received: strBodyData,
+                    message: `Unexpected HTTP request body (does not conform to JSON schema: ${schemaErrors}):\n received: ${strBodyData}`
+                };
+            }
+        }
+
+        if (expectedRequest.dataPaths) {
+            // Check received data against JSONPath predicates
+            for (const predicate of expectedRequest.dataPaths) {
+                const failure = findJsonPathPredicateFailure(predicate, parsedBodyData);
+
+                if (failure) {
+                    return {
+                        aspect: 'body',
+                        received: strBodyData,
+                        message: `Unexpected HTTP request body (${failure}):\n received: ${strBodyData}`
+                    };
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Compare the data received in an HTTP request with the expected data.
+ * @param {HttpRequest} expectedRequest
+ * @param {string} strBodyData
+ * @return {(RequestMismatch|undefined)} The mismatch describing why the data is not as expected, or undefined if the
+ *                                        data is as expected.
+ */
+function checkRequestDataContents(expectedRequest, strBodyData) {
+    const dataMatch = expectedRequest.dataMatch || {};
+    const mode = dataMatch.mode || (dataMatch.partial || dataMatch.ignoreFields ? 'json' : 'exact');
+    let parsedBodyData;
+    let parsedExpectedData;
+
+    try {
+        parsedBodyData = JSON.parse(strBodyData);
+        parsedExpectedData = expectedRequest.data !== undefined ? JSON.parse(expectedRequest.data) : undefined;
+    }
+    catch (err) {}
+
+    if (mode === 'json' && expectedRequest.data !== undefined) {
+        if (parsedBodyData === undefined) {
+            return {
+                aspect: 'body',
+                expected: expectedRequest.data,
+                received: strBodyData,
+                message: `Unexpected HTTP request body (not a valid JSON):\n expected: ${expectedRequest.data}\n received: ${strBodyData}`
+            };
+        }
+
+        const differences = findJsonDifferences(parsedExpectedData, parsedBodyData, {
+            partial: dataMatch.partial,
+            ignoreFields: dataMatch.ignoreFields
+        });
+
+        if (differences.length > 0) {
+            return {
+                aspect: 'body',
+                expected: expectedRequest.data,
+                received: strBodyData,
+                diff: differences,
+                message: `Unexpected HTTP request body (mismatch at ${differences[0].path}):\n expected: ${expectedRequest.data}\n received: ${strBodyData}`
+            };
+        }
+    }
+    else if (strBodyData !== expectedRequest.data) {
+        const mismatch = {
+            aspect: 'body',
+            expected: expectedRequest.data,
+            received: strBodyData,
+            message: `Unexpected HTTP request body:\n expected: ${expectedRequest.data}\n received: ${strBodyData}`
+        };
+
+        if (parsedBodyData !== undefined && parsedExpectedData !== undefined) {
+            // Both received and expected data are valid JSON. So include their (structural) differences
+            mismatch.diff = findJsonDifferences(parsedExpectedData, parsedBodyData);
+        }
+
+        return mismatch;
+    }
+}
+
+/**
+ * @param {*} data
+ * @return {boolean}
+ */
+function isValidApiSettings(data) {
+    return parsedTypeCheck(apiSettingsType, data, {
+        customTypes: {
+            ResponseLatency: responseLatencyTypeDef
+        }
+    });
+}
+
+/**
+ * @param {*} data
+ * @return {boolean}
+ */
+function isValidResponseLatency(data) {
+    if (typeof data === 'object' && data !== null && !Array.isArray(data) && ('headers' in data || 'body' in data)) {
+        return Object.keys(data).every(key => (key === 'headers' || key === 'body')
+            && (data[key] === undefined || isValidResponseDelay(data[key])));
+    }
+
+    return isValidResponseDelay(data);
+}
+
+/**
+ * @param {*} data
+ * @return {boolean}
+ */
+function isValidResponseDelay(data) {
+    if (typeof data === 'object' && data !== null) {
+        return Object.keys(data).length === 2 && Number.isInteger(data.min) && Number.isInteger(data.max)
+            && data.min >= 0 && data.min <= data.max;
+    }
+
+    return (Number.isInteger(data) && data >= 0) || data === 'never';
+}
+
+/**
+ * @typedef {Object} ProcessedRequestInfo
+ * @property {JournalEntry} journalEntry The journal entry of the processed request.
+ * @property {TemplateContext} templateContext The context used to render templates that refer to the request (and to
+ *                                              its response).
+ */
+
+/**
+ * @param {JournalResponseInfo} response
+ * @return {TemplateResponseInfo}
+ */
+function getTemplateResponseInfo(response) {
+    let body;
+
+    if (response.body !== undefined) {
+        try {
+            body = JSON.parse(response.body);
+        }
+        catch (err) {}
+    }
+
+    return {
+        statusCode: response.statusCode,
+        headers: response.headers,
+        body
+    };
+}
+
+/**
+ * @typedef {Object} ResponseOptions
+ * @property {ResponseLatency} [latency]
+ * @property {ResponseFault} [fault]
+ * @property {Object<string, string>} [headers] Additional HTTP headers.
+ * @property {boolean} [compress] Force (true) or prevent (false) the compression of the response body.
+ * @property {CompressionSettings} [compression]
+ * @property {function(JournalResponseInfo):void} [onSent] Function called when the response is sent.
+ */
+
 /**
  * @param {module:http.IncomingMessage} req
  * @param {module:http.ServerResponse} res
  * @param {*} [data]
+ * @param {ResponseOptions} [options]
  */
-function sendSuccessResponse(req, res, data) {
+function sendSuccessResponse(req, res, data, options) {
     const reqOrigin = req.headers['origin'];
     let headers = {
         'Access-Control-Allow-Origin': reqOrigin || '*',
@@ -518,8 +1910,8 @@ function sendSuccessResponse(req, res, data) {
         headers['Content-Length'] = Buffer.byteLength(resData);
     }
 
-    res.writeHead(200, headers);
-    res.end(resData);
+    writeResponse(res, 200, headers, resData, options)
+        .catch(err => handleWriteResponseError(res, err));
 }
 
 /**
@@ -527,8 +1919,10 @@ function sendSuccessResponse(req, res, data) {
  * @param {module:http.ServerResponse} res
  * @param {number} statusCode
  * @param {string} [errorMessage]
+ * @param {ResponseOptions} [options]
+ * @param {Object} [details] Additional properties to include in the response body.
  */
-function sendErrorResponse(req, res, statusCode, errorMessage) {
+function sendErrorResponse(req, res, statusCode, errorMessage, options, details) {
     const reqOrigin = req.headers['origin'];
 
     let headers = {
@@ -544,27 +1938,292 @@ function sendErrorResponse(req, res, statusCode, errorMessage) {
     if (errorMessage) {
         resData = JSON.stringify({
             status: 'error',
-            message: errorMessage
+            message: errorMessage,
+            ...details
         }, null, 2);
 
         headers['Content-Type'] = 'application/json';
         headers['Content-Length'] = Buffer.byteLength(resData);
     }
 
+    writeResponse(res, statusCode, headers, resData, options)
+        .catch(err => handleWriteResponseError(res, err));
+}
+
+/**
+ * @param {module:http.IncomingMessage} req
+ * @param {module:http.ServerResponse} res
+ * @param {UpstreamResponse} response The response received from the upstream Catenis API server.
+ * @param {ResponseOptions} [options]
+ */
+function sendUpstreamResponse(req, res, response, options) {
+    const reqOrigin = req.headers['origin'];
+
+    let headers = {
+        'Access-Control-Allow-Origin': reqOrigin || '*',
+    };
+
+    if (reqOrigin) {
+        headers['Vary'] = 'Origin';
+    }
+
+    let resData;
+
+    if (response.body.length > 0) {
+        resData = response.body;
+
+        if (response.contentType) {
+            headers['Content-Type'] = response.contentType;
+        }
+
+        headers['Content-Length'] = Buffer.byteLength(resData);
+    }
+
+    writeResponse(res, response.statusCode, headers, resData, options)
+        .catch(err => handleWriteResponseError(res, err));
+}
+
+/**
+ * Write an HTTP response, applying the specified latency and simulating the specified network fault.
+ * @param {module:http.ServerResponse} res
+ * @param {number} statusCode
+ * @param {Object<string, (string|number)>} headers
+ * @param {string} [resData]
+ * @param {ResponseOptions} [options]
+ * @return {Promise<void>}
+ */
+async function writeResponse(res, statusCode, headers, resData, options = {}) {
+    const headersDelay = resolveResponseDelay(getResponseLatencyPart(options.latency, 'headers'));
+    const bodyDelay = resolveResponseDelay(getResponseLatencyPart(options.latency, 'body'));
+
+    if (headersDelay === 'never') {
+        // Never respond
+        return;
+    }
+
+    if (headersDelay > 0) {
+        await delay(headersDelay);
+
+        if (res.destroyed) {
+            return;
+        }
+    }
+
+    if (options.fault === 'connection-reset') {
+        res.socket.resetAndDestroy();
+        notifyResponseSent(options, {fault: options.fault});
+        return;
+    }
+    else if (options.fault === 'close-without-response') {
+        res.socket.end();
+        notifyResponseSent(options, {fault: options.fault});
+        return;
+    }
+
+    if (options.fault === 'malformed-json' && resData !== undefined) {
+        // Remove the closing brace of the JSON
+        resData = resData.substring(0, resData.length - 1);
+        headers['Content-Length'] = Buffer.byteLength(resData);
+    }
+
+    // Keep uncompressed response body
+    const body = resData;
+
+    if (resData !== undefined) {
+        const contentEncoding = selectContentEncoding(res.req, Buffer.byteLength(resData), options);
+
+        if (contentEncoding) {
+            // Compress response body
+            resData = contentEncoding === 'gzip' ? zlib.gzipSync(resData) : zlib.deflateSync(resData);
+
+            headers['Content-Encoding'] = contentEncoding;
+            headers['Content-Length'] = resData.length;
+            headers['Vary'] = headers['Vary'] ? `${headers['Vary']}, Accept-Encoding` : 'Accept-Encoding';
+        }
+    }
+
+    if (options.fault === 'wrong-content-length') {
+        headers['Content-Length'] = (resData !== undefined ? Buffer.byteLength(resData) : 0) + 16;
+    }
+
+    if (options.headers) {
+        Object.assign(headers, options.headers);
+    }
+
     res.writeHead(statusCode, headers);
-    res.end(resData);
+
+    if (bodyDelay === 'never' || bodyDelay > 0) {
+        // Send headers right away
+        res.flushHeaders();
+
+        if (bodyDelay === 'never') {
+            // Never send the body
+            notifyResponseSent(options, {statusCode, headers});
+            return;
+        }
+
+        await delay(bodyDelay);
+
+        if (res.destroyed) {
+            return;
+        }
+    }
+
+    notifyResponseSent(options, {
+        statusCode,
+        headers,
+        body,
+        fault: options.fault
+    });
+
+    if (options.fault === 'truncated-body' && resData !== undefined) {
+        const bufResData = Buffer.from(resData);
+
+        res.write(bufResData.subarray(0, Math.floor(bufResData.length / 2)), () => res.destroy());
+    }
+    else if (options.fault === 'wrong-content-length') {
+        res.end(resData, () => res.destroy());
+    }
+    else {
+        res.end(resData);
+    }
+}
+
+/**
+ * Handle an error writing an HTTP response so that it does not bring the app down.
+ * @param {module:http.ServerResponse} res
+ * @param {Error} err
+ */
+function handleWriteResponseError(res, err) {
+    display.error('[Catenis API Emulator] - Error writing HTTP response:', err);
+
+    if (!res.headersSent && !res.destroyed) {
+        res.writeHead(500, {'Content-Type': 'application/json'});
+        res.end(JSON.stringify({
+            status: 'error',
+            message: 'Internal server error'
+        }, null, 2));
+    }
+    else {
+        res.destroy();
+    }
+}
+
+/**
+ * Check whether HTTP response headers have valid names and values.
+ * @param {Object<string, *>} headers
+ * @return {boolean}
+ */
+function isValidResponseHeaders(headers) {
+    try {
+        for (const [name, value] of Object.entries(headers)) {
+            validateHeaderName(name);
+            validateHeaderValue(name, value);
+        }
+    }
+    catch (err) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * @param {ResponseOptions} options
+ * @param {JournalResponseInfo} response
+ */
+function notifyResponseSent(options, response) {
+    if (options.onSent) {
+        options.onSent(response);
+    }
+}
+
+/**
+ * Select the encoding to be used to compress the response body.
+ * @param {module:http.IncomingMessage} req
+ * @param {number} resDataLength Size, in bytes, of the (uncompressed) response body.
+ * @param {ResponseOptions} options
+ * @return {('gzip'|'deflate'|undefined)} The selected encoding, or undefined if the response body should not be
+ *                                         compressed.
+ */
+function selectContentEncoding(req, resDataLength, options) {
+    const compress = options.compress !== undefined ? options.compress
+        : !!options.compression && resDataLength >= options.compression.threshold;
+
+    if (compress) {
+        const acceptedEncodings = parseAcceptEncoding(req.headers['accept-encoding']);
+
+        if (acceptedEncodings.has('gzip')) {
+            return 'gzip';
+        }
+        else if (acceptedEncodings.has('deflate')) {
+            return 'deflate';
+        }
+    }
+}
+
+/**
+ * Parse the value of an Accept-Encoding HTTP header.
+ * @param {string} [headerValue]
+ * @return {Set<string>} The accepted encodings (the ones with a non-zero quality value).
+ */
+function parseAcceptEncoding(headerValue) {
+    const encodings = new Set();
+
+    if (headerValue) {
+        for (const entry of headerValue.split(',')) {
+            const [encoding, ...params] = entry.trim().toLowerCase().split(';');
+            const qParam = params.map(param => param.trim()).find(param => param.startsWith('q='));
+
+            if (encoding.length > 0 && (!qParam || parseFloat(qParam.substring(2)) > 0)) {
+                encodings.add(encoding);
+            }
+        }
+    }
+
+    return encodings;
+}
+
+/**
+ * @param {ResponseLatency} [latency]
+ * @param {('headers'|'body')} part
+ * @return {(ResponseDelay|undefined)}
+ */
+function getResponseLatencyPart(latency, part) {
+    if (typeof latency === 'object' && latency !== null && ('headers' in latency || 'body' in latency)) {
+        return latency[part];
+    }
+
+    // A single delay applies to the whole response (so it is applied before sending the headers)
+    return part === 'headers' ? latency : undefined;
+}
+
+/**
+ * @param {ResponseDelay} [responseDelay]
+ * @return {(number|'never')}
+ */
+function resolveResponseDelay(responseDelay) {
+    if (responseDelay === undefined) {
+        return 0;
+    }
+    else if (typeof responseDelay === 'object') {
+        return responseDelay.min + Math.floor(Math.random() * (responseDelay.max - responseDelay.min + 1));
+    }
+
+    return responseDelay;
 }
 
 /**
  * @param {module:http.IncomingMessage} req
  * @param {module:http.ServerResponse} res
+ * @param {string[]} allowedMethods
  */
-function sendCORSPreflightResponse(req, res) {
+function sendCORSPreflightResponse(req, res, allowedMethods) {
     const reqOrigin = req.headers['origin'];
 
     let headers = {
         'Access-Control-Allow-Origin': reqOrigin || '*',
-        'Access-Control-Allow-Methods': 'POST, GET, OPTIONS',
+        'Access-Control-Allow-Methods': allowedMethods.concat('OPTIONS').join(', '),
         'Access-Control-Allow-Headers': 'DNT, X-CustomHeader, Keep-Alive, User-Agent, X-Requested-With, If-Modified-Since, Cache-Control, Accept, Origin, Content-Type, Content-Encoding, Accept-Encoding, X-Bcot-Timestamp, Authorization',
         'Access-Control-Max-Age': 86400
     };
@@ -579,33 +2238,36 @@ function sendCORSPreflightResponse(req, res) {
 
 /**
  * Check if the search components (query strings) of two URLs are equal
- * @param {URL} url1
- * @param {URL} url2
+ * @param {URL} url1 The received URL.
+ * @param {URL} url2 The expected URL.
+ * @param {string[]} [skipKeys] Query parameters that should not be compared.
+ * @param {boolean} [allowExtraKeys=false] Indicates whether the received URL may have query parameters that are not
+ *                                          present in the expected URL.
  * @return {boolean}
  */
-function areUrlsSearchEqual(url1, url2) {
-    let equal = false;
-
+function areUrlsSearchEqual(url1, url2, skipKeys = [], allowExtraKeys = false) {
     const sp1 = url1.searchParams;
     const sp2 = url2.searchParams;
 
-    const keys1 = Array.from(sp1.keys());
-    const keys2 = Array.from(sp2.keys());
-
-    if (keys1.length === keys2.length) {
-        const uniqKeys = new Set(keys1);
+    const skippedKeys = new Set(skipKeys);
+    const uniqKeys1 = new Set(Array.from(sp1.keys()).filter(k => !skippedKeys.has(k)));
+    const uniqKeys2 = new Set(Array.from(sp2.keys()).filter(k => !skippedKeys.has(k)));
 
-        equal = true;
+    for (const k of uniqKeys2) {
+        if (!uniqKeys1.has(k) || !areArraysEqual(sp1.getAll(k), sp2.getAll(k))) {
+            return false;
+        }
+    }
 
-        for (const k of uniqKeys) {
-            if (!sp2.has(k) || !areArraysEqual(sp2.getAll(k), sp1.getAll(k))) {
-                equal = false;
-                break;
+    if (!allowExtraKeys) {
+        for (const k of uniqKeys1) {
+            if (!uniqKeys2.has(k)) {
+                return false;
             }
         }
     }
 
-    return equal;
+    return true;
 }
 
 /**
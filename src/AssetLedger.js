@@ -0,0 +1,413 @@
+import { newCatenisId } from './CatenisId.js';
+
+const maxDecimalPlaces = 7;
+const maxAssetRawAmount = Number.MAX_SAFE_INTEGER;
+
+export class AssetLedgerError extends Error {
+    /**
+     * @param {string} code
+     * @param {string} message
+     */
+    constructor(code, message) {
+        super(message);
+
+        this.code = code;
+    }
+}
+
+/**
+ * @typedef {Object} AssetIssuanceEvent
+ * @property {number} rawAmount The issued amount, in the asset's smallest unit (or the number of issued tokens, for
+ *                               non-fungible assets).
+ * @property {string} [holdingDeviceId] The ID of the virtual device to which the issued amount has been assigned.
+ *                                       Only for fungible assets.
+ * @property {string[]} [nfTokenIds] The IDs of the issued non-fungible tokens. Only for non-fungible assets.
+ * @property {string[]} [holdingDeviceIds] The IDs of the virtual devices to which each of the issued non-fungible
+ *                                          tokens has been assigned. Only for non-fungible assets.
+ * @property {Date} date
+ */
+
+/**
+ * @typedef {Object} NFTokenInfo
+ * @property {{name: string, description: string, custom: Object}} metadata
+ * @property {Buffer} contents
+ */
+
+/**
+ * @typedef {Object} LedgerNFToken
+ * @property {string} tokenId
+ * @property {string} assetId
+ * @property {{name: string, description: string, custom: Object}} metadata
+ * @property {Buffer} contents
+ * @property {string} holderDeviceId
+ */
+
+/**
+ * @typedef {Object} LedgerAsset
+ * @property {string} assetId
+ * @property {string} name
+ * @property {string} [description]
+ * @property {boolean} canReissue
+ * @property {number} decimalPlaces
+ * @property {boolean} isNonFungible
+ * @property {string} issuerDeviceId
+ * @property {number} totalRawAmount The total existent balance, in the asset's smallest unit.
+ * @property {AssetIssuanceEvent[]} issuanceEvents
+ * @property {Map<string, number>} balances The balance, in the asset's smallest unit, held by each virtual device.
+ */
+
+/**
+ * In-memory ledger of (fungible and non-fungible) assets.
+ *
+ * All amounts are internally stored as integers expressed in the asset's smallest unit (according to its number of
+ *  decimal places), so no precision is lost while adding and subtracting them. For non-fungible assets, which have
+ *  no decimal places, the amount is the number of tokens.
+ */
+export class AssetLedger {
+    constructor() {
+        /**
+         * @type {Map<string, LedgerAsset>}
+         */
+        this._assets = new Map();
+        /**
+         * @type {Map<string, LedgerNFToken>}
+         */
+        this._nfTokens = new Map();
+    }
+
+    /**
+     * Discard all assets.
+     */
+    clear() {
+        this._assets.clear();
+        this._nfTokens.clear();
+    }
+
+    /**
+     * @param {string} assetId
+     * @return {LedgerAsset}
+     * @throws {AssetLedgerError} If no asset with the given ID exists.
+     */
+    getAsset(assetId) {
+        const asset = this._assets.get(assetId);
+
+        if (!asset) {
+            throw new AssetLedgerError('invalid_asset', 'Invalid asset ID');
+        }
+
+        return asset;
+    }
+
+    /**
+     * @param {string} tokenId
+     * @return {LedgerNFToken}
+     * @throws {AssetLedgerError} If no non-fungible token with the given ID exists.
+     */
+    getNFToken(tokenId) {
+        const nfToken = this._nfTokens.get(tokenId);
+
+        if (!nfToken) {
+            throw new AssetLedgerError('invalid_nf_token', 'Invalid non-fungible token ID');
+        }
+
+        return nfToken;
+    }
+
+    /**
+     * Issue a new asset.
+     * @param {string} issuerDeviceId
+     * @param {{name: string, description: string, canReissue: boolean, decimalPlaces: number}} assetInfo
+     * @param {number} amount
+     * @param {string} holdingDeviceId
+     * @return {LedgerAsset}
+     * @throws {AssetLedgerError}
+     */
+    issueAsset(issuerDeviceId, assetInfo, amount, holdingDeviceId) {
+        if (assetInfo.decimalPlaces > maxDecimalPlaces) {
+            throw new AssetLedgerError('invalid_decimal_places',
+                `Asset decimal places cannot be greater than ${maxDecimalPlaces}`);
+        }
+
+        const asset = {
+            assetId: newCatenisId('asset'),
+            name: assetInfo.name,
+            description: assetInfo.description,
+            canReissue: assetInfo.canReissue,
+            decimalPlaces: assetInfo.decimalPlaces,
+            isNonFungible: false,
+            issuerDeviceId,
+            totalRawAmount: 0,
+            issuanceEvents: [],
+            balances: new Map()
+        };
+
+        addIssuance(asset, toRawAmount(asset, amount), holdingDeviceId);
+        this._assets.set(asset.assetId, asset);
+
+        return asset;
+    }
+
+    /**
+     * Issue an additional amount of an existing asset.
+     * @param {string} assetId
+     * @param {number} amount
+     * @param {string} holdingDeviceId
+     * @return {LedgerAsset}
+     * @throws {AssetLedgerError}
+     */
+    reissueAsset(assetId, amount, holdingDeviceId) {
+        const asset = this.getFungibleAsset(assetId);
+
+        if (!asset.canReissue) {
+            throw new AssetLedgerError('not_reissuable', 'Asset is not reissuable');
+        }
+
+        addIssuance(asset, toRawAmount(asset, amount), holdingDeviceId);
+
+        return asset;
+    }
+
+    /**
+     * Transfer an amount of an asset between two virtual devices.
+     * @param {string} assetId
+     * @param {string} fromDeviceId
+     * @param {string} toDeviceId
+     * @param {number} amount
+     * @return {number} The remaining balance, in the asset's smallest unit, of the sending virtual device.
+     * @throws {AssetLedgerError}
+     */
+    transferAsset(assetId, fromDeviceId, toDeviceId, amount) {
+        const asset = this.getFungibleAsset(assetId);
+        const rawAmount = toRawAmount(asset, amount);
+        const fromBalance = asset.balances.get(fromDeviceId) || 0;
+
+        if (rawAmount > fromBalance) {
+            throw new AssetLedgerError('insufficient_balance', 'Insufficient balance to transfer asset');
+        }
+
+        const remainingBalance = fromBalance - rawAmount;
+
+        if (remainingBalance > 0) {
+            asset.balances.set(fromDeviceId, remainingBalance);
+        }
+        else {
+            asset.balances.delete(fromDeviceId);
+        }
+
+        asset.balances.set(toDeviceId, (asset.balances.get(toDeviceId) || 0) + rawAmount);
+
+        return remainingBalance;
+    }
+
+    /**
+     * @param {string} assetId
+     * @return {LedgerAsset}
+     * @throws {AssetLedgerError} If no asset with the given ID exists, or it is a non-fungible asset.
+     */
+    getFungibleAsset(assetId) {
+        const asset = this.getAsset(assetId);
+
+        if (asset.isNonFungible) {
+            throw new AssetLedgerError('non_fungible_asset', 'Operation not allowed for non-fungible asset');
+        }
+
+        return asset;
+    }
+
+    /**
+     * @param {string} assetId
+     * @return {LedgerAsset}
+     * @throws {AssetLedgerError} If no asset with the given ID exists, or it is not a non-fungible asset.
+     */
+    getNonFungibleAsset(assetId) {
+        const asset = this.getAsset(assetId);
+
+        if (!asset.isNonFungible) {
+            throw new AssetLedgerError('not_non_fungible_asset', 'Asset is not non-fungible');
+        }
+
+        return asset;
+    }
+
+    /**
+     * Issue a new non-fungible asset.
+     * @param {string} issuerDeviceId
+     * @param {{name: string, description: string, canReissue: boolean}} assetInfo
+     * @param {NFTokenInfo[]} nfTokens The non-fungible tokens to issue.
+     * @param {string[]} holdingDeviceIds The ID of the virtual device to which each of the tokens should be assigned.
+     * @return {{asset: LedgerAsset, nfTokenIds: string[]}}
+     */
+    issueNonFungibleAsset(issuerDeviceId, assetInfo, nfTokens, holdingDeviceIds) {
+        const asset = {
+            assetId: newCatenisId('asset'),
+            name: assetInfo.name,
+            description: assetInfo.description,
+            canReissue: assetInfo.canReissue,
+            decimalPlaces: 0,
+            isNonFungible: true,
+            issuerDeviceId,
+            totalRawAmount: 0,
+            issuanceEvents: [],
+            balances: new Map()
+        };
+
+        this._assets.set(asset.assetId, asset);
+
+        return {
+            asset,
+            nfTokenIds: this._addNFTokens(asset, nfTokens, holdingDeviceIds)
+        };
+    }
+
+    /**
+     * Issue additional tokens of an existing non-fungible asset.
+     * @param {string} assetId
+     * @param {NFTokenInfo[]} nfTokens The non-fungible tokens to issue.
+     * @param {string[]} holdingDeviceIds The ID of the virtual device to which each of the tokens should be assigned.
+     * @return {string[]} The IDs of the issued non-fungible tokens.
+     * @throws {AssetLedgerError}
+     */
+    reissueNonFungibleAsset(assetId, nfTokens, holdingDeviceIds) {
+        const asset = this.getNonFungibleAsset(assetId);
+
+        if (!asset.canReissue) {
+            throw new AssetLedgerError('not_reissuable', 'Asset is not reissuable');
+        }
+
+        return this._addNFTokens(asset, nfTokens, holdingDeviceIds);
+    }
+
+    /**
+     * Transfer a non-fungible token between two virtual devices.
+     * @param {string} tokenId
+     * @param {string} fromDeviceId
+     * @param {string} toDeviceId
+     * @throws {AssetLedgerError}
+     */
+    transferNFToken(tokenId, fromDeviceId, toDeviceId) {
+        const nfToken = this.getNFToken(tokenId);
+
+        if (nfToken.holderDeviceId !== fromDeviceId) {
+            throw new AssetLedgerError('nf_token_not_held', 'Non-fungible token not held by device');
+        }
+
+        const asset = this.getAsset(nfToken.assetId);
+        const fromBalance = asset.balances.get(fromDeviceId) - 1;
+
+        if (fromBalance > 0) {
+            asset.balances.set(fromDeviceId, fromBalance);
+        }
+        else {
+            asset.balances.delete(fromDeviceId);
+        }
+
+        asset.balances.set(toDeviceId, (asset.balances.get(toDeviceId) || 0) + 1);
+        nfToken.holderDeviceId = toDeviceId;
+    }
+
+    /**
+     * @param {string} deviceId
+     * @return {LedgerAsset[]} The assets for which the virtual device holds a (non-zero) balance.
+     */
+    getOwnedAssets(deviceId) {
+        return Array.from(this._assets.values()).filter(asset => asset.balances.has(deviceId));
+    }
+
+    /**
+     * @param {string} deviceId
+     * @return {LedgerAsset[]} The assets issued by the virtual device.
+     */
+    getIssuedAssets(deviceId) {
+        return Array.from(this._assets.values()).filter(asset => asset.issuerDeviceId === deviceId);
+    }
+
+    /**
+     * @param {LedgerAsset} asset
+     * @param {NFTokenInfo[]} nfTokens
+     * @param {string[]} holdingDeviceIds
+     * @return {string[]} The IDs of the added non-fungible tokens.
+     * @private
+     */
+    _addNFTokens(asset, nfTokens, holdingDeviceIds) {
+        if (asset.totalRawAmount + nfTokens.length > maxAssetRawAmount) {
+            throw new AssetLedgerError('amount_too_large', 'Asset amount exceeds maximum allowed amount');
+        }
+
+        const nfTokenIds = nfTokens.map((tokenInfo, idx) => {
+            const nfToken = {
+                tokenId: newCatenisId('nfToken'),
+                assetId: asset.assetId,
+                metadata: tokenInfo.metadata,
+                contents: tokenInfo.contents,
+                holderDeviceId: holdingDeviceIds[idx]
+            };
+
+            this._nfTokens.set(nfToken.tokenId, nfToken);
+            asset.balances.set(nfToken.holderDeviceId, (asset.balances.get(nfToken.holderDeviceId) || 0) + 1);
+
+            return nfToken.tokenId;
+        });
+
+        asset.totalRawAmount += nfTokens.length;
+        asset.issuanceEvents.push({
+            rawAmount: nfTokens.length,
+            nfTokenIds,
+            holdingDeviceIds,
+            date: new Date()
+        });
+
+        return nfTokenIds;
+    }
+}
+
+/**
+ * Convert an amount expressed in the asset's smallest unit into a decimal amount.
+ * @param {LedgerAsset} asset
+ * @param {number} rawAmount
+ * @return {number}
+ */
+export function fromRawAmount(asset, rawAmount) {
+    return rawAmount / 10 ** asset.decimalPlaces;
+}
+
+/**
+ * Convert a decimal amount into an amount expressed in the asset's smallest unit.
+ * @param {LedgerAsset} asset
+ * @param {number} amount
+ * @return {number}
+ * @throws {AssetLedgerError} If the amount has more decimal places than the asset allows (including an amount
+ *                             smaller than the asset's smallest unit).
+ */
+function toRawAmount(asset, amount) {
+    const scaledAmount = amount * 10 ** asset.decimalPlaces;
+    const rawAmount = Math.round(scaledAmount);
+
+    // Note: only allow for the rounding error of the floating-point multiplication above, which is relative to the
+    //  magnitude of the scaled amount. An amount smaller than the asset's smallest unit (which would otherwise be
+    //  rounded to zero) is also rejected
+    if (rawAmount === 0 || Math.abs(scaledAmount - rawAmount) > 4 * Number.EPSILON * Math.abs(scaledAmount)) {
+        throw new AssetLedgerError('invalid_amount', 'Amount has more decimal places than allowed for asset');
+    }
+
+    return rawAmount;
+}
+
+/**
+ * @param {LedgerAsset} asset
+ * @param {number} rawAmount
+ * @param {string} holdingDeviceId
+ * @throws {AssetLedgerError} If the total existent balance would exceed the maximum allowed amount.
+ */
+function addIssuance(asset, rawAmount, holdingDeviceId) {
+    if (asset.totalRawAmount + rawAmount > maxAssetRawAmount) {
+        throw new AssetLedgerError('amount_too_large', 'Asset amount exceeds maximum allowed amount');
+    }
+
+    asset.totalRawAmount += rawAmount;
+    asset.issuanceEvents.push({
+        rawAmount,
+        holdingDeviceId,
+        date: new Date()
+    });
+    asset.balances.set(holdingDeviceId, (asset.balances.get(holdingDeviceId) || 0) + rawAmount);
+}
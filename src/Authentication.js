@@ -152,6 +152,45 @@ export function signHttpRequest(req, info) {
     return signData(strToSign, signKey, true);
 }
 
+/**
+ * @typedef {Object} SigningCredentials
+ * @property {string} deviceId
+ * @property {string} apiAccessSecret
+ */
+
+/**
+ * Generate the authentication HTTP headers (timestamp and authorization) for a request to be sent to a Catenis API
+ *  server.
+ * @param {string} method The HTTP method of the request.
+ * @param {URL} url The full URL of the request.
+ * @param {SigningCredentials} credentials The credentials of the virtual device on whose behalf the request is sent.
+ * @param {Buffer} [reqBody] The request body.
+ * @return {Object<string, string>} The HTTP headers to be added to the request.
+ */
+export function buildAuthenticationHeaders(method, url, credentials, reqBody) {
+    const now = dayjs.utc();
+    const timestamp = now.format('YYYYMMDD[T]HHmmss[Z]');
+    const signDate = now.format('YYYYMMDD');
+    const signature = signHttpRequest({
+        method,
+        url: url.pathname + url.search,
+        headers: {
+            host: url.host,
+            [timestampHdr]: timestamp
+        }
+    }, {
+        timestamp,
+        signDate,
+        apiAccessSecret: credentials.apiAccessSecret,
+        reqBody: reqBody !== undefined ? reqBody : Buffer.from('')
+    });
+
+    return {
+        [timestampHdr]: timestamp,
+        [authHeader]: `${signMethodId} Credential=${credentials.deviceId}/${signDate}/${scopeRequest}, Signature=${signature}`
+    };
+}
+
 /**
  * Hash data using the SHA-256 algorithm.
  * @param {(string|Buffer)} data The data to be hashed.
@@ -0,0 +1,63 @@
+import crypto from 'node:crypto';
+
+const base58Alphabet = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const catenisIdLength = 20;
+
+/**
+ * Prefix of Catenis IDs per ID type
+ * @type {Object<string, string>}
+ */
+export const catenisIdPrefix = {
+    message: 'm',
+    provisionalMessage: 'p',
+    cachedMessage: 'h',
+    device: 'd',
+    client: 'c',
+    asset: 'a',
+    nfToken: 't',
+    nfAssetIssuance: 'i',
+    nfTokenRetrieval: 'r',
+    nfTokenTransfer: 'x',
+    continuationToken: 'k'
+};
+
+/**
+ * Generate a new (random) Catenis style ID.
+ * @param {string} type The type of ID to generate. Should be one of the keys of catenisIdPrefix.
+ * @return {string}
+ */
+export function newCatenisId(type) {
+    if (!Object.hasOwn(catenisIdPrefix, type)) {
+        throw new TypeError(`Unknown Catenis ID type: ${type}`);
+    }
+
+    let id = catenisIdPrefix[type];
+
+    while (id.length < catenisIdLength) {
+        id += base58Alphabet[crypto.randomInt(base58Alphabet.length)];
+    }
+
+    return id;
+}
+
+/**
+ * Generate a new (random) blockchain transaction ID.
+ * @return {string} The hex-encoded transaction ID.
+ */
+export function newTxid() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Generate a new (random) IPFS content ID (CID).
+ * @return {string} A version 0 (base58 encoded) CID.
+ */
+export function newIpfsCid() {
+    let cid = 'Qm';
+
+    while (cid.length < 46) {
+        cid += base58Alphabet[crypto.randomInt(base58Alphabet.length)];
+    }
+
+    return cid;
+}
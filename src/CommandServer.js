@@ -5,7 +5,8 @@ import { createServer } from 'node:http';
 import {
     hasJSONContentType,
     readData,
-    isCORSPreflightRequest
+    isCORSPreflightRequest,
+    RequestDataError
 } from './RequestUtil.js';
 import { display } from './main.js';
 
@@ -43,7 +44,12 @@ export class CommandServer {
                             sendSuccessResponse(req, res, JSON.stringify(this.apiServer.credentials));
                         }
                         else if (req.method === 'POST' && hasJSONContentType(req)) {
-                            const body = (await readData(req)).raw;
+                            const body = await readRequestBody(req, res);
+
+                            if (!body) {
+                                break;
+                            }
+
                             let error = false;
 
                             try {
@@ -77,7 +83,12 @@ export class CommandServer {
                             sendSuccessResponse(req, res, JSON.stringify(this.apiServer.httpContext));
                         }
                         else if (req.method === 'POST' && hasJSONContentType(req)) {
-                            const body = (await readData(req)).raw;
+                            const body = await readRequestBody(req, res);
+
+                            if (!body) {
+                                break;
+                            }
+
                             let error = false;
 
                             try {
@@ -106,12 +117,347 @@ export class CommandServer {
                         break;
                     }
 
+                    case '/http-context/pending': {
+                        if (req.method === 'GET') {
+                            sendSuccessResponse(req, res, JSON.stringify(this.apiServer.pendingHttpContexts));
+                        }
+                        else {
+                            sendErrorResponse(req, res, 404);
+                        }
+
+                        break;
+                    }
+
+                    case '/http-stubs': {
+                        if (req.method === 'GET') {
+                            sendSuccessResponse(req, res, JSON.stringify(this.apiServer.httpStubs));
+                        }
+                        else if (req.method === 'POST' && hasJSONContentType(req)) {
+                            const body = await readRequestBody(req, res);
+
+                            if (!body) {
+                                break;
+                            }
+
+                            let error = false;
+
+                            try {
+                                const parsedBody = JSON.parse(body.toString());
+
+                                try {
+                                    this.apiServer.httpStubs = parsedBody;
+                                    sendSuccessResponse(req, res);
+                                }
+                                catch (err) {
+                                    error = true;
+                                }
+                            }
+                            catch (err) {
+                                error = true;
+                            }
+
+                            if (error) {
+                                sendErrorResponse(req, res, 400, 'Invalid HTTP stubs');
+                            }
+                        }
+                        else {
+                            sendErrorResponse(req, res, 404);
+                        }
+
+                        break;
+                    }
+
+                    case '/api-settings': {
+                        if (req.method === 'GET') {
+                            sendSuccessResponse(req, res, JSON.stringify(this.apiServer.apiSettings));
+                        }
+                        else if (req.method === 'POST' && hasJSONContentType(req)) {
+                            const body = await readRequestBody(req, res);
+
+                            if (!body) {
+                                break;
+                            }
+
+                            let error = false;
+
+                            try {
+                                const parsedBody = JSON.parse(body.toString());
+
+                                try {
+                                    this.apiServer.apiSettings = parsedBody;
+                                    sendSuccessResponse(req, res);
+                                }
+                                catch (err) {
+                                    error = true;
+                                }
+                            }
+                            catch (err) {
+                                error = true;
+                            }
+
+                            if (error) {
+                                sendErrorResponse(req, res, 400, 'Invalid API settings');
+                            }
+                        }
+                        else {
+                            sendErrorResponse(req, res, 404);
+                        }
+
+                        break;
+                    }
+
+                    case '/emulation': {
+                        if (req.method === 'GET') {
+                            sendSuccessResponse(req, res, JSON.stringify(this.apiServer.apiEmulator.settings));
+                        }
+                        else if (req.method === 'POST' && hasJSONContentType(req)) {
+                            const body = await readRequestBody(req, res);
+
+                            if (!body) {
+                                break;
+                            }
+
+                            let error = false;
+
+                            try {
+                                const parsedBody = JSON.parse(body.toString());
+
+                                try {
+                                    this.apiServer.apiEmulator.settings = parsedBody;
+                                    sendSuccessResponse(req, res);
+                                }
+                                catch (err) {
+                                    error = true;
+                                }
+                            }
+                            catch (err) {
+                                error = true;
+                            }
+
+                            if (error) {
+                                sendErrorResponse(req, res, 400, 'Invalid emulation settings');
+                            }
+                        }
+                        else {
+                            sendErrorResponse(req, res, 404);
+                        }
+
+                        break;
+                    }
+
+                    case '/emulation/credits': {
+                        if (req.method === 'GET') {
+                            sendSuccessResponse(req, res, JSON.stringify(this.apiServer.apiEmulator.credits));
+                        }
+                        else if (req.method === 'POST' && hasJSONContentType(req)) {
+                            const body = await readRequestBody(req, res);
+
+                            if (!body) {
+                                break;
+                            }
+
+                            let error = false;
+
+                            try {
+                                const parsedBody = JSON.parse(body.toString());
+
+                                try {
+                                    this.apiServer.apiEmulator.credits = parsedBody;
+                                    sendSuccessResponse(req, res);
+                                }
+                                catch (err) {
+                                    error = true;
+                                }
+                            }
+                            catch (err) {
+                                error = true;
+                            }
+
+                            if (error) {
+                                sendErrorResponse(req, res, 400, 'Invalid emulation credits');
+                            }
+                        }
+                        else {
+                            sendErrorResponse(req, res, 404);
+                        }
+
+                        break;
+                    }
+
+                    case '/emulation/reset': {
+                        if (req.method === 'POST') {
+                            this.apiServer.apiEmulator.reset();
+                            sendSuccessResponse(req, res);
+                        }
+                        else {
+                            sendErrorResponse(req, res, 404);
+                        }
+
+                        break;
+                    }
+
+                    case '/proxy': {
+                        if (req.method === 'GET') {
+                            sendSuccessResponse(req, res, JSON.stringify(this.apiServer.proxySettings));
+                        }
+                        else if (req.method === 'POST' && hasJSONContentType(req)) {
+                            const body = await readRequestBody(req, res);
+
+                            if (!body) {
+                                break;
+                            }
+
+                            let error = false;
+
+                            try {
+                                const parsedBody = JSON.parse(body.toString());
+
+                                try {
+                                    this.apiServer.proxySettings = parsedBody;
+                                    sendSuccessResponse(req, res);
+                                }
+                                catch (err) {
+                                    error = true;
+                                }
+                            }
+                            catch (err) {
+                                error = true;
+                            }
+
+                            if (error) {
+                                sendErrorResponse(req, res, 400, 'Invalid proxy settings');
+                            }
+                        }
+                        else {
+                            sendErrorResponse(req, res, 404);
+                        }
+
+                        break;
+                    }
+
+                    case '/requests': {
+                        if (req.method === 'GET') {
+                            sendSuccessResponse(req, res, JSON.stringify(this.apiServer.requestJournal.find({
+                                path: url.searchParams.get('path'),
+                                method: url.searchParams.get('method'),
+                                deviceId: url.searchParams.get('deviceId')
+                            })));
+                        }
+                        else {
+                            sendErrorResponse(req, res, 404);
+                        }
+
+                        break;
+                    }
+
+                    case '/requests/settings': {
+                        if (req.method === 'GET') {
+                            sendSuccessResponse(req, res, JSON.stringify(this.apiServer.requestJournal.settings));
+                        }
+                        else if (req.method === 'POST' && hasJSONContentType(req)) {
+                            const body = await readRequestBody(req, res);
+
+                            if (!body) {
+                                break;
+                            }
+
+                            let error = false;
+
+                            try {
+                                const parsedBody = JSON.parse(body.toString());
+
+                                try {
+                                    this.apiServer.requestJournal.settings = parsedBody;
+                                    sendSuccessResponse(req, res);
+                                }
+                                catch (err) {
+                                    error = true;
+                                }
+                            }
+                            catch (err) {
+                                error = true;
+                            }
+
+                            if (error) {
+                                sendErrorResponse(req, res, 400, 'Invalid request journal settings');
+                            }
+                        }
+                        else {
+                            sendErrorResponse(req, res, 404);
+                        }
+
+                        break;
+                    }
+
+                    case '/requests/clear': {
+                        if (req.method === 'POST') {
+                            this.apiServer.requestJournal.clear();
+                            sendSuccessResponse(req, res);
+                        }
+                        else {
+                            sendErrorResponse(req, res, 404);
+                        }
+
+                        break;
+                    }
+
+                    case '/mismatches': {
+                        if (req.method === 'GET') {
+                            sendSuccessResponse(req, res, JSON.stringify(this.apiServer.mismatchReports));
+                        }
+                        else {
+                            sendErrorResponse(req, res, 404);
+                        }
+
+                        break;
+                    }
+
+                    case '/verify': {
+                        if (req.method === 'POST' && hasJSONContentType(req)) {
+                            const body = await readRequestBody(req, res);
+
+                            if (!body) {
+                                break;
+                            }
+
+                            let error = false;
+
+                            try {
+                                const parsedBody = JSON.parse(body.toString());
+
+                                try {
+                                    sendSuccessResponse(req, res, JSON.stringify(this.apiServer.verifyRequests(parsedBody)));
+                                }
+                                catch (err) {
+                                    error = true;
+                                }
+                            }
+                            catch (err) {
+                                error = true;
+                            }
+
+                            if (error) {
+                                sendErrorResponse(req, res, 400, 'Invalid request verification');
+                            }
+                        }
+                        else {
+                            sendErrorResponse(req, res, 404);
+                        }
+
+                        break;
+                    }
+
                     case '/notify-context': {
                         if (req.method === 'GET') {
                             sendSuccessResponse(req, res, JSON.stringify(this.wsNotifyServer.notifyContext));
                         }
                         else if (req.method === 'POST' && hasJSONContentType(req)) {
-                            const body = (await readData(req)).raw;
+                            const body = await readRequestBody(req, res);
+
+                            if (!body) {
+                                break;
+                            }
+
                             let error = false;
 
                             try {
@@ -140,6 +486,45 @@ export class CommandServer {
                         break;
                     }
 
+                    case '/notify-rules': {
+                        if (req.method === 'GET') {
+                            sendSuccessResponse(req, res, JSON.stringify(this.wsNotifyServer.notifyRules));
+                        }
+                        else if (req.method === 'POST' && hasJSONContentType(req)) {
+                            const body = await readRequestBody(req, res);
+
+                            if (!body) {
+                                break;
+                            }
+
+                            let error = false;
+
+                            try {
+                                const parsedBody = JSON.parse(body.toString());
+
+                                try {
+                                    this.wsNotifyServer.notifyRules = parsedBody;
+                                    sendSuccessResponse(req, res);
+                                }
+                                catch (err) {
+                                    error = true;
+                                }
+                            }
+                            catch (err) {
+                                error = true;
+                            }
+
+                            if (error) {
+                                sendErrorResponse(req, res, 400, 'Invalid notification rules');
+                            }
+                        }
+                        else {
+                            sendErrorResponse(req, res, 404);
+                        }
+
+                        break;
+                    }
+
                     case '/notify-close': {
                         if (req.method === 'POST') {
                             try {
@@ -225,6 +610,27 @@ export class CommandServer {
     }
 }
 
+/**
+ * Read the body of a command request, sending an error response if it cannot be read.
+ * @param {module:http.IncomingMessage} req
+ * @param {module:http.ServerResponse} res
+ * @return {Promise<(Buffer|undefined)>} The raw request body, or undefined if an error response has been sent.
+ */
+async function readRequestBody(req, res) {
+    try {
+        return (await readData(req)).raw;
+    }
+    catch (err) {
+        if (err instanceof RequestDataError) {
+            // Request body could not be decoded
+            sendErrorResponse(req, res, err.code === 'decode_err_unsupported_encoding' ? 415 : 400, err.message);
+        }
+        else {
+            sendErrorResponse(req, res, 500, 'Error reading HTTP request body');
+        }
+    }
+}
+
 /**
  * @param {module:http.IncomingMessage} req
  * @param {module:http.ServerResponse} res
@@ -0,0 +1,183 @@
+/**
+ * Description of the permission events, per event name
+ * @type {Object<string, string>}
+ */
+export const permissionEvents = {
+    'receive-notify-new-msg': 'Receive notification of new message from a device',
+    'receive-notify-msg-read': 'Receive notification of message read by a device',
+    'receive-notify-asset-of': 'Receive notification of asset of a device received',
+    'receive-notify-asset-from': 'Receive notification of asset received from a device',
+    'receive-notify-confirm-asset-of': 'Receive notification of confirmation of pending asset of a device',
+    'receive-notify-confirm-asset-from': 'Receive notification of confirmation of pending asset received from a device',
+    'send-read-msg-confirm': 'Send read message confirmation to a device',
+    'receive-msg': 'Receive message from a device',
+    'disclose-main-props': 'Disclose device\'s main properties (name, product unique ID) to a device',
+    'disclose-identity-info': 'Disclose device\'s basic identification information to a device',
+    'receive-asset-of': 'Receive an amount of an asset of a device',
+    'receive-asset-from': 'Receive an amount of an asset from a device'
+};
+
+/**
+ * @typedef {Object} PermissionEntityRights
+ * @property {Set<string>} allow The IDs of the entities that are allowed.
+ * @property {Set<string>} deny The IDs of the entities that are denied.
+ */
+
+/**
+ * @typedef {Object} EventPermissionRights
+ * @property {('allow'|'deny')} system The permission right that applies to every entity without a more specific one.
+ * @property {PermissionEntityRights} catenisNode Permission rights per Catenis node index.
+ * @property {PermissionEntityRights} client Permission rights per client ID.
+ * @property {PermissionEntityRights} device Permission rights per virtual device ID.
+ */
+
+/**
+ * @typedef {Object} PermissionEntityChanges
+ * @property {string[]} [allow] The IDs of the entities to allow.
+ * @property {string[]} [deny] The IDs of the entities to deny.
+ * @property {string[]} [none] The IDs of the entities whose permission right should be removed.
+ */
+
+/**
+ * @typedef {Object} PermissionRightsChanges
+ * @property {('allow'|'deny')} [system]
+ * @property {PermissionEntityChanges} [catenisNode]
+ * @property {PermissionEntityChanges} [client]
+ * @property {PermissionEntityChanges} [device]
+ */
+
+/**
+ * In-memory store of the permission rights set by each virtual device.
+ *
+ * The permission right of a given (origin) virtual device for a given event is checked, in order, at the device
+ *  level, at the client level (using the client to which the origin device belongs), at the Catenis node level (using
+ *  the Catenis node that houses the origin device), and at the system level. If no permission rights have been set,
+ *  permission is granted.
+ */
+export class PermissionRights {
+    constructor() {
+        /**
+         * @type {Map<string, Map<string, EventPermissionRights>>} Key: controlling device ID, value: permission
+         *                                                          rights per event name
+         */
+        this._deviceRights = new Map();
+    }
+
+    /**
+     * Discard all permission rights.
+     */
+    clear() {
+        this._deviceRights.clear();
+    }
+
+    /**
+     * @param {string} deviceId The ID of the controlling virtual device.
+     * @param {string} eventName
+     * @return {EventPermissionRights}
+     */
+    getRights(deviceId, eventName) {
+        const eventRights = this._deviceRights.get(deviceId);
+
+        return eventRights && eventRights.has(eventName) ? eventRights.get(eventName) : newEventPermissionRights();
+    }
+
+    /**
+     * Change the permission rights of a virtual device for a given event.
+     * @param {string} deviceId The ID of the controlling virtual device.
+     * @param {string} eventName
+     * @param {PermissionRightsChanges} changes
+     */
+    setRights(deviceId, eventName, changes) {
+        if (!this._deviceRights.has(deviceId)) {
+            this._deviceRights.set(deviceId, new Map());
+        }
+
+        const eventRights = this._deviceRights.get(deviceId);
+
+        if (!eventRights.has(eventName)) {
+            eventRights.set(eventName, newEventPermissionRights());
+        }
+
+        const rights = eventRights.get(eventName);
+
+        if (changes.system) {
+            rights.system = changes.system;
+        }
+
+        applyEntityChanges(rights.catenisNode, changes.catenisNode);
+        applyEntityChanges(rights.client, changes.client);
+        applyEntityChanges(rights.device, changes.device);
+    }
+
+    /**
+     * Check whether a virtual device has permission to carry out an action on another virtual device.
+     * @param {string} deviceId The ID of the controlling virtual device.
+     * @param {string} eventName
+     * @param {string} originDeviceId The ID of the virtual device whose permission right should be checked.
+     * @param {string} [originClientId] The ID of the client to which the origin virtual device belongs.
+     * @param {string} [originCtnNodeIndex] The index of the Catenis node that houses the origin virtual device.
+     * @return {boolean}
+     */
+    isAllowed(deviceId, eventName, originDeviceId, originClientId, originCtnNodeIndex) {
+        const rights = this.getRights(deviceId, eventName);
+
+        if (rights.device.allow.has(originDeviceId) || rights.device.deny.has(originDeviceId)) {
+            return rights.device.allow.has(originDeviceId);
+        }
+
+        if (originClientId && (rights.client.allow.has(originClientId) || rights.client.deny.has(originClientId))) {
+            return rights.client.allow.has(originClientId);
+        }
+
+        if (originCtnNodeIndex && (rights.catenisNode.allow.has(originCtnNodeIndex)
+                || rights.catenisNode.deny.has(originCtnNodeIndex))) {
+            return rights.catenisNode.allow.has(originCtnNodeIndex);
+        }
+
+        return rights.system === 'allow';
+    }
+}
+
+/**
+ * @return {EventPermissionRights}
+ */
+function newEventPermissionRights() {
+    return {
+        system: 'allow',
+        catenisNode: {
+            allow: new Set(),
+            deny: new Set()
+        },
+        client: {
+            allow: new Set(),
+            deny: new Set()
+        },
+        device: {
+            allow: new Set(),
+            deny: new Set()
+        }
+    };
+}
+
+/**
+ * @param {PermissionEntityRights} entityRights
+ * @param {PermissionEntityChanges} [changes]
+ */
+function applyEntityChanges(entityRights, changes) {
+    if (changes) {
+        for (const id of changes.allow || []) {
+            entityRights.deny.delete(id);
+            entityRights.allow.add(id);
+        }
+
+        for (const id of changes.deny || []) {
+            entityRights.allow.delete(id);
+            entityRights.deny.add(id);
+        }
+
+        for (const id of changes.none || []) {
+            entityRights.allow.delete(id);
+            entityRights.deny.delete(id);
+        }
+    }
+}
@@ -0,0 +1,208 @@
+import {
+    parseType,
+    parsedTypeCheck
+} from 'type-check';
+import { matchPathTemplate } from './RequestMatcher.js';
+
+const defaultMaxEntries = 1000;
+
+const journalSettingsType = parseType(`{
+    maxEntries: PositiveInteger
+}`);
+
+const positiveIntegerTypeDef = {
+    typeOf: 'Number',
+    validate: d => Number.isInteger(d) && d > 0
+};
+
+/**
+ * @typedef {Object} JournalRequestInfo
+ * @property {string} method The HTTP method of the request.
+ * @property {string} url The URL (path and query string) of the request.
+ * @property {string} path The Catenis API method path of the request (e.g. messages/mjvHYitWYCbJHvKqT3vk).
+ * @property {Object<string, string>} headers The HTTP headers of the request (with lowercase names).
+ * @property {string} [body] The (decoded) body of the request.
+ * @property {string} [bodyEncoding] The content encoding with which the body of the request has been sent.
+ */
+
+/**
+ * @typedef {Object} JournalMatchInfo
+ * @property {('httpContext'|'httpStub'|'emulator'|'proxy')} type The type of the HTTP context that matched the
+ *                                                               request, 'emulator' if the request has been processed
+ *                                                               by the API emulator, or 'proxy' if it has been
+ *                                                               forwarded to the upstream Catenis API server.
+ * @property {number} [index] The zero-based index of the HTTP context in the list of HTTP contexts (not present if
+ *                             a single HTTP context has been set), or of the HTTP stub in the list of HTTP stubs.
+ * @property {string} [id] The identifier of the HTTP stub.
+ */
+
+/**
+ * @typedef {Object} JournalResponseInfo
+ * @property {number} [statusCode] The HTTP status code of the response.
+ * @property {Object<string, (string|number)>} [headers] The HTTP headers of the response.
+ * @property {string} [body] The (uncompressed) body of the response.
+ * @property {ResponseFault} [fault] The network fault that has been simulated.
+ */
+
+/**
+ * @typedef {Object} JournalEntry
+ * @property {number} seqNum Sequential number of the entry.
+ * @property {string} receivedAt ISO-8601 formatted date and time when the request has been received.
+ * @property {JournalRequestInfo} request
+ * @property {string} [deviceId] The ID of the authenticated virtual device.
+ * @property {JournalMatchInfo} [matchedBy] The HTTP context, HTTP stub, or API emulator that has been used to process
+ *                                           the request.
+ * @property {Object<string, string>} [params] The parameters captured from the request path by the HTTP context, HTTP
+ *                                              stub, or API emulator route that has been used to process the request.
+ * @property {MismatchReport} [mismatchReport] Describes why the request did not match any HTTP context.
+ * @property {JournalResponseInfo} [response] The response sent. Not present if no response has (yet) been sent.
+ * @property {string} [respondedAt] ISO-8601 formatted date and time when the response has been sent.
+ * @property {number} [duration] Time, in milliseconds, that it took to respond to the request.
+ */
+
+/**
+ * @typedef {Object} JournalFilter
+ * @property {string} [path] A Catenis API method path, which can also be a path template (e.g. messages/:messageId).
+ * @property {string} [method] An HTTP method.
+ * @property {string} [deviceId] The ID of a virtual device.
+ */
+
+/**
+ * @typedef {Object} JournalSettings
+ * @property {number} maxEntries Maximum number of entries to keep. When it is reached, the oldest entries are discarded.
+ */
+
+/**
+ * In-memory record of the requests received by the API server.
+ */
+export class RequestJournal {
+    /**
+     * @param {number} [maxEntries] Maximum number of entries to keep. When it is reached, the oldest entries are
+     *                               discarded.
+     */
+    constructor(maxEntries = defaultMaxEntries) {
+        this.maxEntries = maxEntries;
+        /**
+         * @type {JournalEntry[]}
+         */
+        this._entries = [];
+        this._lastSeqNum = 0;
+        this._droppedEntries = 0;
+    }
+
+    /**
+     * @return {JournalEntry[]}
+     */
+    get entries() {
+        return this._entries;
+    }
+
+    /**
+     * @return {number} The number of entries that have been discarded, since the journal was last cleared, due to the
+     *                   maximum number of entries having been reached.
+     */
+    get droppedEntries() {
+        return this._droppedEntries;
+    }
+
+    /**
+     * @return {JournalSettings}
+     */
+    get settings() {
+        return {
+            maxEntries: this.maxEntries
+        };
+    }
+
+    /**
+     * @param {*} data
+     */
+    set settings(data) {
+        if (!isValidJournalSettings(data)) {
+            throw new TypeError('Not a valid JournalSettings data type');
+        }
+
+        this.maxEntries = data.maxEntries;
+        this._discardOldestEntries();
+    }
+
+    /**
+     * Add a new entry for a received request.
+     * @param {JournalRequestInfo} request
+     * @return {JournalEntry} The new entry, which should be further updated as the request is processed.
+     */
+    addEntry(request) {
+        const entry = {
+            seqNum: ++this._lastSeqNum,
+            receivedAt: new Date().toISOString(),
+            request
+        };
+
+        this._entries.push(entry);
+        this._discardOldestEntries();
+
+        return entry;
+    }
+
+    /**
+     * Record the response sent to a request.
+     * @param {JournalEntry} entry
+     * @param {JournalResponseInfo} response
+     */
+    recordResponse(entry, response) {
+        const respondedAt = new Date();
+
+        entry.response = response;
+        entry.respondedAt = respondedAt.toISOString();
+        entry.duration = respondedAt.getTime() - new Date(entry.receivedAt).getTime();
+    }
+
+    /**
+     * Get the entries whose request satisfies a given filter.
+     * @param {JournalFilter} [filter]
+     * @return {JournalEntry[]}
+     */
+    find(filter = {}) {
+        return this._entries.filter(entry => isFilterMatch(entry, filter));
+    }
+
+    /**
+     * Remove all entries.
+     */
+    clear() {
+        this._entries = [];
+        this._droppedEntries = 0;
+    }
+
+    /**
+     * Discard the oldest entries in excess of the maximum number of entries.
+     */
+    _discardOldestEntries() {
+        if (this._entries.length > this.maxEntries) {
+            this._droppedEntries += this._entries.splice(0, this._entries.length - this.maxEntries).length;
+        }
+    }
+}
+
+/**
+ * @param {*} data
+ * @return {boolean}
+ */
+export function isValidJournalSettings(data) {
+    return parsedTypeCheck(journalSettingsType, data, {
+        customTypes: {
+            PositiveInteger: positiveIntegerTypeDef
+        }
+    });
+}
+
+/**
+ * @param {JournalEntry} entry
+ * @param {JournalFilter} filter
+ * @return {boolean}
+ */
+function isFilterMatch(entry, filter) {
+    return (!filter.path || !!matchPathTemplate(filter.path, entry.request.path))
+        && (!filter.method || filter.method.toUpperCase() === entry.request.method)
+        && (!filter.deviceId || filter.deviceId === entry.deviceId);
+}
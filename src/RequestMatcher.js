@@ -0,0 +1,485 @@
+import Ajv from 'ajv';
+import { JSONPath } from 'jsonpath-plus';
+
+const ajvOptions = {
+    allErrors: true
+};
+/**
+ * Only used to format validation errors. Each JSON schema is compiled with its own Ajv instance, so that schemas with
+ *  the same $id do not conflict, and compiled schemas are not retained after they are discarded.
+ */
+const ajv = new Ajv(ajvOptions);
+/**
+ * @type {WeakMap<Object, Function>} Compiled JSON schema validation functions
+ */
+const schemaValidators = new WeakMap();
+
+const jsonValueTypes = new Set([
+    'string',
+    'number',
+    'integer',
+    'boolean',
+    'object',
+    'array',
+    'null'
+]);
+
+/**
+ * @typedef {Object} JsonMatchOptions
+ * @property {boolean} [partial=false] Indicates whether the received JSON may contain object properties that are not
+ *                                      present in the expected JSON.
+ * @property {string[]} [ignoreFields] List of paths of object properties that should not be compared. Each path is made
+ *                                      of property names separated by a '.' character (e.g. options.nonce). A '*' can
+ *                                      be used in place of a property name or an array index to match any of them.
+ */
+
+/**
+ * @typedef {Object} JsonDifference
+ * @property {string} path The path (e.g. $.options.encoding) of the differing value.
+ * @property {('missing'|'unexpected'|'changed')} kind Whether the expected value is missing from the received JSON,
+ *                                                     the received value is not present in the expected JSON, or the
+ *                                                     two values are different.
+ * @property {*} [expected] The expected value.
+ * @property {*} [received] The received value.
+ */
+
+/**
+ * Structurally compare two (parsed) JSON values.
+ * @param {*} expected The expected JSON value.
+ * @param {*} received The received JSON value.
+ * @param {JsonMatchOptions} [options]
+ * @return {(string|undefined)} The path (e.g. $.options.encoding) of the first value that does not match, or undefined
+ *                               if the two JSON values match.
+ */
+export function findJsonMismatch(expected, received, options = {}) {
+    const differences = findJsonDifferences(expected, received, options);
+
+    return differences.length > 0 ? differences[0].path : undefined;
+}
+
+/**
+ * Structurally compare two (parsed) JSON values, and list all their differences.
+ * @param {*} expected The expected JSON value.
+ * @param {*} received The received JSON value.
+ * @param {JsonMatchOptions} [options]
+ * @return {JsonDifference[]} The differences found. An empty list if the two JSON values match.
+ */
+export function findJsonDifferences(expected, received, options = {}) {
+    const ignoreFields = (options.ignoreFields || []).map(field => field.split('.'));
+    const differences = [];
+
+    compareJson(expected, received, [], !!options.partial, ignoreFields, differences);
+
+    return differences;
+}
+
+/**
+ * @param {*} expected
+ * @param {*} received
+ * @param {string[]} segments Path segments of the values being compared.
+ * @param {boolean} partial
+ * @param {string[][]} ignoreFields
+ * @param {JsonDifference[]} differences List to which the differences found are added.
+ */
+function compareJson(expected, received, segments, partial, ignoreFields, differences) {
+    if (isPlainObject(expected)) {
+        if (!isPlainObject(received)) {
+            differences.push(newJsonDifference(segments, 'changed', expected, received));
+            return;
+        }
+
+        const isComparedKey = key => !isIgnoredField(segments.concat(key), ignoreFields);
+
+        if (!partial) {
+            // Look for extra properties
+            Object.keys(received).filter(isComparedKey).filter(key => !Object.hasOwn(expected, key)).forEach(key =>
+                differences.push(newJsonDifference(segments.concat(key), 'unexpected', undefined, received[key])));
+        }
+
+        for (const key of Object.keys(expected).filter(isComparedKey)) {
+            if (!Object.hasOwn(received, key)) {
+                differences.push(newJsonDifference(segments.concat(key), 'missing', expected[key]));
+            }
+            else {
+                compareJson(expected[key], received[key], segments.concat(key), partial, ignoreFields, differences);
+            }
+        }
+    }
+    else if (Array.isArray(expected)) {
+        if (!Array.isArray(received) || received.length !== expected.length) {
+            differences.push(newJsonDifference(segments, 'changed', expected, received));
+            return;
+        }
+
+        for (let idx = 0, limit = expected.length; idx < limit; idx++) {
+            compareJson(expected[idx], received[idx], segments.concat(String(idx)), partial, ignoreFields,
+                differences);
+        }
+    }
+    else if (expected !== received) {
+        differences.push(newJsonDifference(segments, 'changed', expected, received));
+    }
+}
+
+/**
+ * @param {string[]} segments
+ * @param {string} kind
+ * @param {*} [expected]
+ * @param {*} [received]
+ * @return {JsonDifference}
+ */
+function newJsonDifference(segments, kind, expected, received) {
+    return {
+        path: formatJsonPath(segments),
+        kind,
+        expected,
+        received
+    };
+}
+
+/**
+ * @param {string[]} segments
+ * @param {string[][]} ignoreFields
+ * @return {boolean}
+ */
+function isIgnoredField(segments, ignoreFields) {
+    return ignoreFields.some(fieldSegments => fieldSegments.length === segments.length
+        && fieldSegments.every((fieldSegment, idx) => fieldSegment === '*' || fieldSegment === segments[idx]));
+}
+
+/**
+ * @param {string[]} segments
+ * @return {string}
+ */
+function formatJsonPath(segments) {
+    return segments.reduce((path, segment) => path + (/^\d+$/.test(segment) ? `[${segment}]` : `.${segment}`), '$');
+}
+
+/**
+ * @param {*} value
+ * @return {boolean}
+ */
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Check whether a value is a valid JSON schema.
+ * @param {*} schema
+ * @return {boolean}
+ */
+export function isValidJsonSchema(schema) {
+    try {
+        getSchemaValidator(schema);
+        return true;
+    }
+    catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Validate a (parsed) JSON value against a JSON schema.
+ * @param {Object} schema The JSON schema.
+ * @param {*} json The JSON value to validate.
+ * @return {(string|undefined)} A text describing the validation errors, or undefined if the JSON value conforms to
+ *                               the JSON schema.
+ */
+export function findJsonSchemaErrors(schema, json) {
+    const validate = getSchemaValidator(schema);
+
+    if (!validate(json)) {
+        return ajv.errorsText(validate.errors, {dataVar: '$'});
+    }
+}
+
+/**
+ * @typedef {Object} JsonPathPredicate
+ * @property {string} path A JSONPath expression (e.g. $.targetDevice.id).
+ * @property {*} [equals] The value that the selected values should be (structurally) equal to.
+ * @property {string} [regex] A regular expression that the selected values should match.
+ * @property {string} [flags] The flags to use with the regular expression.
+ * @property {string} [type] The JSON type that the selected values should be of. Valid values: 'string', 'number',
+ *                            'integer', 'boolean', 'object', 'array', or 'null'.
+ * @property {boolean} [exists] Indicates whether the JSONPath expression should select any value.
+ */
+
+/**
+ * Check whether a JSONPath predicate is well formed.
+ * @param {*} predicate
+ * @return {boolean}
+ */
+export function isValidJsonPathPredicate(predicate) {
+    if (typeof predicate !== 'object' || predicate === null || typeof predicate.path !== 'string'
+            || predicate.path.length === 0 || !isValidJsonPath(predicate.path)) {
+        return false;
+    }
+
+    const allowedKeys = new Set(['path', 'equals', 'regex', 'flags', 'type', 'exists']);
+
+    if (!Object.keys(predicate).every(key => allowedKeys.has(key))) {
+        return false;
+    }
+
+    if (predicate.regex !== undefined) {
+        try {
+            new RegExp(predicate.regex, predicate.flags);
+        }
+        catch (err) {
+            return false;
+        }
+    }
+    else if (predicate.flags !== undefined) {
+        return false;
+    }
+
+    return (predicate.type === undefined || jsonValueTypes.has(predicate.type))
+        && (predicate.exists === undefined || typeof predicate.exists === 'boolean');
+}
+
+/**
+ * Check whether a (parsed) JSON value satisfies a JSONPath predicate.
+ * @param {JsonPathPredicate} predicate
+ * @param {*} json
+ * @return {(string|undefined)} A text describing why the predicate is not satisfied, or undefined if it is satisfied.
+ */
+export function findJsonPathPredicateFailure(predicate, json) {
+    let values;
+
+    try {
+        values = JSONPath({
+            path: predicate.path,
+            json,
+            wrap: true
+        });
+    }
+    catch (err) {
+        return `${predicate.path} could not be evaluated: ${err.message}`;
+    }
+
+    if (predicate.exists === false) {
+        return values.length > 0 ? `${predicate.path} should not exist` : undefined;
+    }
+
+    if (values.length === 0) {
+        return `${predicate.path} does not exist`;
+    }
+
+    for (const value of values) {
+        if ('equals' in predicate && findJsonMismatch(predicate.equals, value) !== undefined) {
+            return `${predicate.path} is not equal to ${JSON.stringify(predicate.equals)}; value: ${JSON.stringify(value)}`;
+        }
+
+        if (predicate.regex !== undefined && (!isPrimitive(value)
+                || !new RegExp(predicate.regex, predicate.flags).test(String(value)))) {
+            return `${predicate.path} does not match /${predicate.regex}/${predicate.flags || ''}; value: ${JSON.stringify(value)}`;
+        }
+
+        if (predicate.type !== undefined && jsonTypeOf(value) !== predicate.type
+                && !(predicate.type === 'number' && jsonTypeOf(value) === 'integer')) {
+            return `${predicate.path} is not of type ${predicate.type}; value: ${JSON.stringify(value)}`;
+        }
+    }
+}
+
+/**
+ * Check whether a JSONPath expression is well formed, including any filter and script expressions that it contains.
+ * @param {string} path
+ * @return {boolean}
+ */
+function isValidJsonPath(path) {
+    try {
+        for (const pathItem of JSONPath.toPathArray(path)) {
+            if (pathItem.startsWith('?(') || pathItem.startsWith('(')) {
+                if (!pathItem.endsWith(')')) {
+                    return false;
+                }
+
+                // Evaluate the expression on its own, against a value for which it is guaranteed to be run, so that
+                //  it gets parsed. Note that only errors parsing the expression are thrown: errors evaluating it (which
+                //  depend on the actual JSON value) are ignored
+                JSONPath({
+                    path: `$[${pathItem}]`,
+                    json: [{}],
+                    wrap: true,
+                    ignoreEvalErrors: true
+                });
+            }
+        }
+    }
+    catch (err) {
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * @param {Object} schema
+ * @return {Function}
+ */
+function getSchemaValidator(schema) {
+    let validate = schemaValidators.get(schema);
+
+    if (!validate) {
+        validate = new Ajv(ajvOptions).compile(schema);
+        schemaValidators.set(schema, validate);
+    }
+
+    return validate;
+}
+
+/**
+ * @param {*} value
+ * @return {string}
+ */
+function jsonTypeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    else if (Array.isArray(value)) {
+        return 'array';
+    }
+    else if (Number.isInteger(value)) {
+        return 'integer';
+    }
+
+    return typeof value;
+}
+
+/**
+ * @param {*} value
+ * @return {boolean}
+ */
+function isPrimitive(value) {
+    return typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean';
+}
+
+/**
+ * @typedef {Object} ValueMatcher
+ * @property {string} [regex] A regular expression that the value should match.
+ * @property {string} [flags] The flags to use with the regular expression.
+ * @property {string} [glob] A glob pattern that the value should match. The '*' character matches any sequence of
+ *                            characters, and the '?' character matches any single character.
+ */
+
+/**
+ * Check whether a value matcher is well formed.
+ * @param {*} matcher
+ * @return {boolean}
+ */
+export function isValidValueMatcher(matcher) {
+    if (typeof matcher !== 'object' || matcher === null || Array.isArray(matcher)) {
+        return false;
+    }
+
+    const keys = Object.keys(matcher);
+
+    if (typeof matcher.regex === 'string') {
+        if (!keys.every(key => key === 'regex' || key === 'flags')
+                || (matcher.flags !== undefined && typeof matcher.flags !== 'string')) {
+            return false;
+        }
+
+        try {
+            new RegExp(matcher.regex, matcher.flags);
+        }
+        catch (err) {
+            return false;
+        }
+
+        return true;
+    }
+
+    return typeof matcher.glob === 'string' && keys.length === 1;
+}
+
+/**
+ * Check whether a value matches a value matcher.
+ * @param {ValueMatcher} matcher
+ * @param {string} value
+ * @return {boolean}
+ */
+export function isValueMatch(matcher, value) {
+    const regex = matcher.regex !== undefined ? new RegExp(matcher.regex, matcher.flags) : globToRegExp(matcher.glob);
+
+    return regex.test(value);
+}
+
+/**
+ * Get a textual representation of a value matcher.
+ * @param {ValueMatcher} matcher
+ * @return {string}
+ */
+export function describeValueMatcher(matcher) {
+    return matcher.regex !== undefined ? `/${matcher.regex}/${matcher.flags || ''}` : `glob(${matcher.glob})`;
+}
+
+/**
+ * @param {string} glob
+ * @return {RegExp}
+ */
+function globToRegExp(glob) {
+    const source = glob.split('').map(char => {
+        if (char === '*') {
+            return '.*';
+        }
+        else if (char === '?') {
+            return '.';
+        }
+
+        return char.replace(/[.+^${}()|[\]\\]/, '\\$&');
+    }).join('');
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Match a URL path against a path template.
+ *
+ * Path template segments starting with a ':' character (e.g. :messageId) match any (non-empty) path segment, which is
+ *  captured as a named parameter. Path template segments consisting solely of a '*' character also match any
+ *  (non-empty) path segment, which is captured as a parameter named after the wildcard's zero-based index (e.g. '0').
+ *  Any other path template segment must be equal to the corresponding path segment.
+ * @param {string} template The path template (e.g. /api/0.13/messages/:messageId).
+ * @param {string} path The URL path.
+ * @return {(Object<string, string>|undefined)} The captured parameters, or undefined if the path does not match the
+ *                                               path template.
+ */
+export function matchPathTemplate(template, path) {
+    const templateSegments = template.split('/');
+    const pathSegments = path.split('/');
+
+    if (templateSegments.length !== pathSegments.length) {
+        return;
+    }
+
+    const params = {};
+    let wildcardIdx = 0;
+
+    for (let idx = 0, limit = templateSegments.length; idx < limit; idx++) {
+        const templateSegment = templateSegments[idx];
+        const pathSegment = pathSegments[idx];
+
+        if ((templateSegment.startsWith(':') && templateSegment.length > 1) || templateSegment === '*') {
+            if (pathSegment.length === 0) {
+                return;
+            }
+
+            const paramName = templateSegment === '*' ? String(wildcardIdx++) : templateSegment.substring(1);
+
+            try {
+                params[paramName] = decodeURIComponent(pathSegment);
+            }
+            catch (err) {
+                // Malformed URI escape sequence. Path does not match
+                return;
+            }
+        }
+        else if (templateSegment !== pathSegment) {
+            return;
+        }
+    }
+
+    return params;
+}
@@ -13,10 +13,32 @@ export function hasJSONContentType(req) {
     return typeof contentType === 'string' && contentType.startsWith('application/json');
 }
 
+const contentDecoders = {
+    deflate: zlib.inflateSync,
+    gzip: zlib.gunzipSync,
+    br: zlib.brotliDecompressSync
+};
+
+export class RequestDataError extends Error {
+    /**
+     * @param {string} code
+     * @param {string} message
+     * @param {Object} [options]
+     */
+    constructor(code, message, options) {
+        super(message, options);
+
+        this.code = code;
+    }
+}
+
 /**
  * @typedef {Object} ReadHttpReqBody
  * @property {Buffer} raw
  * @property {Buffer} [decoded]
+ * @property {string} encoding The content encoding of the body data ('identity' if it is not encoded). If more than one
+ *                              content encoding has been applied, they are listed (comma separated) in the order that
+ *                              they have been applied.
  */
 
 /**
@@ -38,24 +60,61 @@ export function readData(req) {
                 dataChunks.push(dataChunk);
                 dataLength += dataChunk.length;
             }
+        });
 
-            /**
-             * @type {ReadHttpReqBody}
-             */
-            let data = {
-                raw: Buffer.concat(dataChunks, dataLength)
-            };
-
-            if (req.headers['content-encoding'] === 'deflate') {
-                // Body data is compressed. Decompress it
-                data.decoded = zlib.inflateSync(data.raw);
+        req.on('end', () => {
+            try {
+                resolve(decodeData(Buffer.concat(dataChunks, dataLength), req.headers['content-encoding']));
+            }
+            catch (err) {
+                reject(err);
             }
-
-            resolve(data);
         });
     });
 }
 
+/**
+ * Decode data received from an HTTP request.
+ * @param {Buffer} rawData
+ * @param {string} [contentEncoding] The value of the Content-Encoding HTTP header.
+ * @return {ReadHttpReqBody}
+ */
+function decodeData(rawData, contentEncoding) {
+    const encodings = (contentEncoding || '').split(',')
+        .map(encoding => encoding.trim().toLowerCase())
+        .filter(encoding => encoding.length > 0 && encoding !== 'identity');
+
+    /**
+     * @type {ReadHttpReqBody}
+     */
+    let data = {
+        raw: rawData,
+        encoding: encodings.length > 0 ? encodings.join(', ') : 'identity'
+    };
+
+    if (encodings.length > 0) {
+        // Body data is compressed. Decompress it (undoing the encodings in reverse order)
+        let decoded = rawData;
+
+        for (const encoding of encodings.reverse()) {
+            if (!Object.hasOwn(contentDecoders, encoding)) {
+                throw new RequestDataError('decode_err_unsupported_encoding', `Error decoding HTTP request body: unsupported content encoding: ${encoding}`);
+            }
+
+            try {
+                decoded = contentDecoders[encoding](decoded);
+            }
+            catch (err) {
+                throw new RequestDataError('decode_err_invalid_data', `Error decoding HTTP request body: data not valid for content encoding: ${encoding}`, {cause: err});
+            }
+        }
+
+        data.decoded = decoded;
+    }
+
+    return data;
+}
+
 /**
  * Check whether an HTTP request is a CORS preflight request.
  * @param {module:http.IncomingMessage} req
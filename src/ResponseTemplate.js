@@ -0,0 +1,117 @@
+import {
+    catenisIdPrefix,
+    newCatenisId,
+    newTxid
+} from './CatenisId.js';
+
+const templateExprRegex = /{{\s*([^{}]+?)\s*}}/g;
+const wholeTemplateExprRegex = /^{{\s*([^{}]+?)\s*}}$/;
+
+/**
+ * @typedef {Object} TemplateRequestInfo
+ * @property {string} method The HTTP method of the request.
+ * @property {string} path The Catenis API method path of the request (e.g. messages/mjvHYitWYCbJHvKqT3vk).
+ * @property {Object<string, string>} params The parameters captured from the request path.
+ * @property {Object<string, string>} query The query parameters of the request.
+ * @property {Object<string, string>} headers The HTTP headers of the request (with lowercase names).
+ * @property {*} [body] The (parsed) JSON data of the request.
+ */
+
+/**
+ * @typedef {Object} TemplateResponseInfo
+ * @property {number} [statusCode] The HTTP status code of the response. Not set if no response has been sent (e.g.
+ *                                  due to a connection fault).
+ * @property {Object<string, (string|number)>} [headers] The HTTP headers of the response.
+ * @property {*} [body] The (parsed) JSON data of the response.
+ */
+
+/**
+ * @typedef {Object} TemplateContext
+ * @property {TemplateRequestInfo} request
+ * @property {string} [deviceId] The ID of the authenticated virtual device.
+ * @property {TemplateResponseInfo} [response] The response to the request. Only available after the response is sent.
+ */
+
+/**
+ * Render a response template.
+ *
+ * Any string in the template can contain expressions enclosed in double curly braces (e.g. {{request.params.messageId}}).
+ *  An expression is either a '.' separated path into the template context (e.g. request.body.targetDevice.id) or a
+ *  value generator (e.g. generate.messageId). If a string consists solely of an expression, it is replaced by the
+ *  expression's value (keeping its JSON type). Otherwise, the expression's value is converted to a string and
+ *  interpolated.
+ * @param {*} template The (parsed) JSON template.
+ * @param {TemplateContext} context
+ * @return {*} The rendered JSON value.
+ */
+export function renderTemplate(template, context) {
+    if (typeof template === 'string') {
+        const matchResult = template.match(wholeTemplateExprRegex);
+
+        if (matchResult) {
+            const value = evaluateExpression(matchResult[1], context);
+
+            return value !== undefined ? value : null;
+        }
+
+        return template.replace(templateExprRegex, (match, expr) => {
+            const value = evaluateExpression(expr, context);
+
+            return value === undefined || value === null ? ''
+                : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+        });
+    }
+    else if (Array.isArray(template)) {
+        return template.map(item => renderTemplate(item, context));
+    }
+    else if (typeof template === 'object' && template !== null) {
+        const result = {};
+
+        for (const [key, value] of Object.entries(template)) {
+            result[key] = renderTemplate(value, context);
+        }
+
+        return result;
+    }
+
+    return template;
+}
+
+/**
+ * @param {string} expr
+ * @param {TemplateContext} context
+ * @return {*}
+ */
+function evaluateExpression(expr, context) {
+    if (expr.startsWith('generate.')) {
+        return generateValue(expr.substring(9));
+    }
+
+    let value = context;
+
+    for (const segment of expr.split('.')) {
+        if (typeof value !== 'object' || value === null || !Object.hasOwn(value, segment)) {
+            return undefined;
+        }
+
+        value = value[segment];
+    }
+
+    return value;
+}
+
+/**
+ * @param {string} generatorName
+ * @return {*}
+ */
+function generateValue(generatorName) {
+    if (generatorName === 'isoDate') {
+        return new Date().toISOString();
+    }
+    else if (generatorName === 'txid') {
+        return newTxid();
+    }
+    else if (generatorName.endsWith('Id') && Object.hasOwn(catenisIdPrefix, generatorName.slice(0, -2))) {
+        return newCatenisId(generatorName.slice(0, -2));
+    }
+}
@@ -9,8 +9,11 @@ import {
 } from 'type-check';
 import {
     jsonDataTypeDef,
-    nonEmptyStringTypeDef
+    nonEmptyStringTypeDef,
+    httpMethodTypeDef
 } from './ApiServer.js';
+import { matchPathTemplate } from './RequestMatcher.js';
+import { renderTemplate } from './ResponseTemplate.js';
 
 const notifyWSSubprotocol = 'notify.catenis.io';
 const notificationEvents = new Set([
@@ -36,6 +39,23 @@ const notificationMessageInfoType = parseType(`{
 const notificationEventNameType = parseType('NotificationEventName');
 const eventNotificationMessageType = parseType('EventNotificationMessage');
 const notifyContextType = parseType('DeviceEventNotificationMessage');
+const notifyRuleFields = `
+    id: Maybe NonEmptyString,
+    trigger: {
+        httpMethod: Maybe HttpMethod,
+        apiMethodPath: NonEmptyString,
+        deviceId: Maybe NonEmptyString,
+        statusCode: Maybe Number
+    },
+    notify: {
+        deviceId: NonEmptyString,
+        eventName: NotificationEventName,
+        data: JsonData,
+        timeout: Maybe Number
+    }`;
+const notifyRulesType = parseType(`{${notifyRuleFields}
+} | [{${notifyRuleFields}
+}]`);
 
 const notificationEventNameTypeDef = {
     typeOf: 'String',
@@ -94,6 +114,31 @@ const deviceEventNotificationMessageTypeDef = {
  * @typedef {DeviceEventNotificationMessage} NotifyContext
  */
 
+/**
+ * @typedef {Object} NotifyRuleTrigger
+ * @property {HttpRequestMethod} [httpMethod] The HTTP method of the API request. If not specified, any method matches.
+ * @property {string} apiMethodPath The Catenis API method path (or path template) of the API request.
+ * @property {string} [deviceId] The ID of the virtual device that issued the API request. If not specified, any
+ *                                device (or no authenticated device) matches.
+ * @property {number} [statusCode=200] The HTTP status code of the response to the API request.
+ */
+
+/**
+ * @typedef {Object} NotifyRuleAction
+ * @property {string} deviceId The ID of the virtual device to which the notification message should be sent. It is
+ *                              treated as a template.
+ * @property {string} eventName The notification event.
+ * @property {string} data The notification message to be sent (as JSON object). It is treated as a template.
+ * @property {number} [timeout=0] Time, in milliseconds, to wait before sending notification message.
+ */
+
+/**
+ * @typedef {Object} NotifyRule
+ * @property {string} [id] An optional identifier for the rule.
+ * @property {NotifyRuleTrigger} trigger The API requests that trigger the notification.
+ * @property {NotifyRuleAction} notify The notification message to send.
+ */
+
 export class WSNotificationServer {
     /**
      * @param {ApiServer} apiServer
@@ -119,6 +164,25 @@ export class WSNotificationServer {
          * @type {Map<string, number>} Key: <deviceId>_<eventName>, value: <timeoutId>
          */
         this.dispatchNotifyMsgTimeouts = new Map();
+
+        /**
+         * @type {NotifyRule[]}
+         */
+        this._notifyRules = [];
+        /**
+         * @type {Set<number>}
+         */
+        this.ruleNotifyMsgTimeouts = new Set();
+
+        // Dispatch notification messages triggered by emulated API methods
+        this.apiServer.apiEmulator.on('notification', (deviceId, eventName, data) => {
+            this._dispatchNotifyMessage(deviceId, eventName, JSON.stringify(data));
+        });
+
+        // Dispatch notification messages triggered by API requests according to the notification rules
+        this.apiServer.on('request-processed', (processedRequest) => {
+            this._applyNotifyRules(processedRequest);
+        });
     }
 
     /**
@@ -139,6 +203,24 @@ export class WSNotificationServer {
         this._notifyContext = data;
     }
 
+    /**
+     * @return {NotifyRule[]}
+     */
+    get notifyRules() {
+        return this._notifyRules;
+    }
+
+    /**
+     * @param {*} data
+     */
+    set notifyRules(data) {
+        if (!isValidNotifyRules(data)) {
+            throw new TypeError('Not a valid NotifyRules data type');
+        }
+
+        this._notifyRules = Array.isArray(data) ? data : [data];
+    }
+
     /**
      * Start the WebSocket server
      */
@@ -252,6 +334,56 @@ export class WSNotificationServer {
         }
 
         this.dispatchNotifyMsgTimeouts.clear();
+
+        for (const tmo of this.ruleNotifyMsgTimeouts) {
+            clearTimeout(tmo);
+        }
+
+        this.ruleNotifyMsgTimeouts.clear();
+    }
+
+    /**
+     * Dispatch the notification messages of the notification rules triggered by a processed API request.
+     * @param {ProcessedRequestInfo} processedRequest
+     * @private
+     */
+    _applyNotifyRules(processedRequest) {
+        const journalEntry = processedRequest.journalEntry;
+        const statusCode = journalEntry.response ? journalEntry.response.statusCode : undefined;
+
+        for (const rule of this._notifyRules) {
+            const trigger = rule.trigger;
+            const pathParams = matchPathTemplate(trigger.apiMethodPath, journalEntry.request.path);
+
+            if (!pathParams || (trigger.httpMethod && trigger.httpMethod !== journalEntry.request.method)
+                    || (trigger.deviceId && trigger.deviceId !== journalEntry.deviceId)
+                    || (trigger.statusCode !== undefined ? trigger.statusCode : 200) !== statusCode) {
+                continue;
+            }
+
+            // Render notification message using the parameters captured by the rule's path template
+            const templateContext = {
+                ...processedRequest.templateContext,
+                request: {
+                    ...processedRequest.templateContext.request,
+                    params: pathParams
+                }
+            };
+            const deviceId = renderTemplate(rule.notify.deviceId, templateContext);
+            const data = JSON.stringify(renderTemplate(JSON.parse(rule.notify.data), templateContext));
+
+            if (rule.notify.timeout > 0) {
+                const timeout = setTimeout(() => {
+                    this.ruleNotifyMsgTimeouts.delete(timeout);
+                    this._dispatchNotifyMessage(deviceId, rule.notify.eventName, data);
+                }, rule.notify.timeout);
+
+                this.ruleNotifyMsgTimeouts.add(timeout);
+            }
+            else {
+                this._dispatchNotifyMessage(deviceId, rule.notify.eventName, data);
+            }
+        }
     }
 
     /**
@@ -369,3 +501,18 @@ function isValidNotifyContext(data) {
         }
     });
 }
+
+/**
+ * @param {*} data
+ * @return {boolean}
+ */
+function isValidNotifyRules(data) {
+    return parsedTypeCheck(notifyRulesType, data, {
+        customTypes: {
+            NonEmptyString: nonEmptyStringTypeDef,
+            HttpMethod: httpMethodTypeDef,
+            NotificationEventName: notificationEventNameTypeDef,
+            JsonData: jsonDataTypeDef
+        }
+    });
+}
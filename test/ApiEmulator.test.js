@@ -0,0 +1,1170 @@
+/**
+ * Tests for the Catenis API emulator.
+ */
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import { once } from 'node:events';
+import assert from 'node:assert/strict';
+import {
+    ApiEmulator,
+    ApiEmulatorError
+} from '../src/ApiEmulator.js';
+import {
+    device1,
+    device2
+} from './helpers.js';
+
+const device3 = {
+    deviceId: 'dv3htgvK7hjnKx3617Re',
+    apiAccessSecret: 'd59d7f4ea1b2f6b39a0d37d9c4c8c4d3c5dfa4b49c5d46b8a0b2f1e1e6a7c8d9'
+};
+
+/**
+ * Process a request to an emulated API method.
+ * @param {ApiEmulator} emulator
+ * @param {string} method
+ * @param {string} path
+ * @param {string} deviceId
+ * @param {*} [body]
+ * @return {Object}
+ */
+function callApi(emulator, method, path, deviceId, body) {
+    const url = new URL(path, 'http://localhost');
+    const routeMatch = emulator.findRoute(method, url.pathname.substring(1));
+
+    assert.ok(routeMatch, `${method} ${path} should be emulated`);
+
+    return emulator.processRequest(routeMatch, deviceId, url.searchParams, body);
+}
+
+describe('ApiEmulator', () => {
+    let emulator;
+
+    beforeEach(() => {
+        emulator = new ApiEmulator({
+            credentials: [
+                {...device1, clientId: 'cClient1'},
+                device2,
+                device3
+            ]
+        });
+        emulator.settings = {
+            enabled: true
+        };
+    });
+
+    describe('findRoute', () => {
+        it('finds the route of an emulated API method', () => {
+            const routeMatch = emulator.findRoute('GET', 'messages/m123/container');
+
+            assert.deepEqual(routeMatch.params, {
+                messageId: 'm123'
+            });
+        });
+
+        it('does not find a route for an API method that is not emulated', () => {
+            assert.equal(emulator.findRoute('DELETE', 'messages/m123'), undefined);
+            assert.equal(emulator.findRoute('GET', 'bogus'), undefined);
+        });
+
+        it('does not throw for a path with a malformed escape sequence', () => {
+            assert.equal(emulator.findRoute('GET', 'messages/%ZZ'), undefined);
+        });
+    });
+
+    describe('settings', () => {
+        it('rejects invalid emulation settings', () => {
+            assert.throws(() => emulator.settings = {enabled: 'yes'}, TypeError);
+            assert.throws(() => emulator.settings = {enabled: true, asyncRetention: -1}, TypeError);
+        });
+    });
+
+    describe('messages', () => {
+        it('logs and reads a message', () => {
+            const {messageId} = callApi(emulator, 'POST', 'messages/log', device1.deviceId, {
+                message: 'Hello'
+            });
+            const result = callApi(emulator, 'GET', `messages/${messageId}?encoding=utf8`, device1.deviceId);
+
+            assert.match(messageId, /^m\w{19}$/);
+            assert.equal(result.msgData, 'Hello');
+            assert.deepEqual(result.msgInfo, {
+                action: 'log'
+            });
+        });
+
+        it('decodes and encodes the message contents', () => {
+            const {messageId} = callApi(emulator, 'POST', 'messages/log', device1.deviceId, {
+                message: Buffer.from('Hello').toString('base64'),
+                options: {
+                    encoding: 'base64'
+                }
+            });
+
+            assert.equal(callApi(emulator, 'GET', `messages/${messageId}?encoding=hex`, device1.deviceId).msgData,
+                Buffer.from('Hello').toString('hex'));
+        });
+
+        it('sends a message, and reads it with the origin and target device info', () => {
+            const {messageId} = callApi(emulator, 'POST', 'messages/send', device1.deviceId, {
+                message: 'Hello',
+                targetDevice: {
+                    id: device2.deviceId
+                }
+            });
+
+            assert.deepEqual(callApi(emulator, 'GET', `messages/${messageId}`, device2.deviceId), {
+                msgInfo: {
+                    action: 'send',
+                    from: {
+                        deviceId: device1.deviceId
+                    }
+                },
+                msgData: 'Hello'
+            });
+            assert.deepEqual(callApi(emulator, 'GET', `messages/${messageId}`, device1.deviceId).msgInfo.to, {
+                deviceId: device2.deviceId
+            });
+            assert.throws(() => callApi(emulator, 'GET', `messages/${messageId}`, device3.deviceId),
+                new ApiEmulatorError(403, 'No permission to read message'));
+        });
+
+        it('rejects sending a message to an unknown device', () => {
+            assert.throws(() => callApi(emulator, 'POST', 'messages/send', device1.deviceId, {
+                message: 'Hello',
+                targetDevice: {
+                    id: 'dXXXXXXXXXXXXXXXXXXX'
+                }
+            }), new ApiEmulatorError(400, 'Invalid target device'));
+        });
+
+        it('rejects invalid parameters', () => {
+            assert.throws(() => callApi(emulator, 'POST', 'messages/log', device1.deviceId, {
+                message: 'Hello',
+                options: {
+                    encoding: 'ascii'
+                }
+            }), new ApiEmulatorError(400, 'Invalid parameters'));
+        });
+
+        it('retrieves the message container', () => {
+            const {messageId} = callApi(emulator, 'POST', 'messages/log', device1.deviceId, {
+                message: 'Hello',
+                options: {
+                    offChain: false,
+                    storage: 'external'
+                }
+            });
+            const container = callApi(emulator, 'GET', `messages/${messageId}/container`, device1.deviceId);
+
+            assert.match(container.blockchain.txid, /^[0-9a-f]{64}$/);
+            assert.equal(container.blockchain.isConfirmed, false);
+            assert.ok(container.externalStorage.ipfs);
+            assert.throws(() => callApi(emulator, 'GET', `messages/${messageId}/container`, device2.deviceId),
+                new ApiEmulatorError(403, 'No permission to retrieve message container'));
+        });
+
+        it('lists the messages according to the filters', () => {
+            const {messageId: logMessageId} = callApi(emulator, 'POST', 'messages/log', device1.deviceId, {
+                message: 'Hello'
+            });
+            const {messageId: sendMessageId} = callApi(emulator, 'POST', 'messages/send', device1.deviceId, {
+                message: 'Hello',
+                targetDevice: {
+                    id: device2.deviceId
+                }
+            });
+
+            let result = callApi(emulator, 'GET', 'messages', device1.deviceId);
+
+            assert.deepEqual(result.messages.map(entry => entry.messageId), [logMessageId, sendMessageId]);
+            assert.equal(result.msgCount, 2);
+            assert.equal(result.hasMore, false);
+
+            result = callApi(emulator, 'GET', 'messages?action=send&direction=outbound&limit=1', device1.deviceId);
+
+            assert.deepEqual(result.messages.map(entry => entry.messageId), [sendMessageId]);
+            assert.deepEqual(result.messages[0].to, {deviceId: device2.deviceId});
+
+            result = callApi(emulator, 'GET', 'messages?direction=inbound&readState=unread', device2.deviceId);
+
+            assert.deepEqual(result.messages.map(entry => entry.messageId), [sendMessageId]);
+
+            callApi(emulator, 'GET', `messages/${sendMessageId}`, device2.deviceId);
+
+            assert.equal(callApi(emulator, 'GET', 'messages?readState=unread', device2.deviceId).msgCount, 0);
+            assert.equal(callApi(emulator, 'GET', 'messages?limit=1', device1.deviceId).hasMore, true);
+            assert.throws(() => callApi(emulator, 'GET', 'messages?limit=0', device1.deviceId),
+                new ApiEmulatorError(400, 'Invalid parameters'));
+        });
+
+        it('rejects an invalid message ID', () => {
+            assert.throws(() => callApi(emulator, 'GET', 'messages/mXXXXXXXXXXXXXXXXXXX', device1.deviceId),
+                new ApiEmulatorError(400, 'Invalid message ID'));
+        });
+
+        it('discards the messages when reset', () => {
+            const {messageId} = callApi(emulator, 'POST', 'messages/log', device1.deviceId, {
+                message: 'Hello'
+            });
+
+            emulator.reset();
+
+            assert.throws(() => callApi(emulator, 'GET', `messages/${messageId}`, device1.deviceId),
+                new ApiEmulatorError(400, 'Invalid message ID'));
+        });
+    });
+
+    describe('chunked messages', () => {
+        it('logs a message passed in chunks', () => {
+            let result = callApi(emulator, 'POST', 'messages/log', device1.deviceId, {
+                message: {
+                    data: 'Hello',
+                    isFinal: false
+                }
+            });
+
+            result = callApi(emulator, 'POST', 'messages/log', device1.deviceId, {
+                message: {
+                    data: ', world!',
+                    continuationToken: result.continuationToken
+                }
+            });
+
+            assert.equal(callApi(emulator, 'GET', `messages/${result.messageId}`, device1.deviceId).msgData,
+                'Hello, world!');
+        });
+
+        it('accepts a continuation token only once, and only for the same API method and device', () => {
+            const {continuationToken} = callApi(emulator, 'POST', 'messages/send', device1.deviceId, {
+                message: {
+                    data: 'Hello',
+                    isFinal: false
+                },
+                targetDevice: {
+                    id: device2.deviceId
+                }
+            });
+            const error = new ApiEmulatorError(400, 'Invalid or expired continuation token');
+
+            assert.throws(() => callApi(emulator, 'POST', 'messages/log', device1.deviceId, {
+                message: {
+                    data: ' again',
+                    continuationToken
+                }
+            }), error);
+            assert.throws(() => callApi(emulator, 'POST', 'messages/send', device2.deviceId, {
+                message: {
+                    data: ' again',
+                    continuationToken
+                },
+                targetDevice: {
+                    id: device1.deviceId
+                }
+            }), error);
+
+            const sendChunk = () => callApi(emulator, 'POST', 'messages/send', device1.deviceId, {
+                message: {
+                    data: ' again',
+                    continuationToken
+                },
+                targetDevice: {
+                    id: device2.deviceId
+                }
+            });
+
+            assert.ok(sendChunk().messageId);
+            assert.throws(sendChunk, error);
+        });
+
+        it('rejects an expired continuation token', () => {
+            // Continuation tokens expire right away
+            emulator.settings = {
+                enabled: true,
+                continuationTimeout: 0
+            };
+
+            const {continuationToken} = callApi(emulator, 'POST', 'messages/log', device1.deviceId, {
+                message: {
+                    data: 'Hello',
+                    isFinal: false
+                }
+            });
+
+            assert.throws(() => callApi(emulator, 'POST', 'messages/log', device1.deviceId, {
+                message: {
+                    data: ', world!',
+                    continuationToken
+                }
+            }), new ApiEmulatorError(400, 'Invalid or expired continuation token'));
+        });
+
+        it('keeps the continuation token valid if the final chunk of the message cannot be processed', () => {
+            emulator.credits = {
+                clients: {
+                    cClient1: 0
+                }
+            };
+
+            const {continuationToken} = callApi(emulator, 'POST', 'messages/log', device1.deviceId, {
+                message: {
+                    data: 'Hello',
+                    isFinal: false
+                }
+            });
+            const logFinalChunk = () => callApi(emulator, 'POST', 'messages/log', device1.deviceId, {
+                message: {
+                    data: ', world!',
+                    continuationToken
+                }
+            });
+
+            assert.throws(logFinalChunk,
+                new ApiEmulatorError(400, 'Not enough credits to pay for log off-chain message service'));
+
+            emulator.credits = {
+                clients: {
+                    cClient1: 10
+                }
+            };
+
+            const {messageId} = logFinalChunk();
+
+            assert.equal(callApi(emulator, 'GET', `messages/${messageId}`, device1.deviceId).msgData, 'Hello, world!');
+            assert.throws(logFinalChunk, new ApiEmulatorError(400, 'Invalid or expired continuation token'));
+        });
+    });
+
+    describe('asynchronous messages', () => {
+        afterEach(() => {
+            // Cancel any pending asynchronous operation
+            emulator.reset();
+        });
+
+        it('reads a message in chunks', () => {
+            const {messageId} = callApi(emulator, 'POST', 'messages/log', device1.deviceId, {
+                message: 'Hello, world!'
+            });
+            let result = callApi(emulator, 'GET', `messages/${messageId}?dataChunkSize=8`, device1.deviceId);
+
+            assert.deepEqual(result.msgInfo, {
+                action: 'log'
+            });
+            assert.equal(result.msgData, 'Hello, w');
+
+            result = callApi(emulator, 'GET', `messages/${messageId}?continuationToken=${result.continuationToken}`,
+                device1.deviceId);
+
+            assert.deepEqual(result, {
+                msgData: 'orld!'
+            });
+        });
+
+        it('logs a message asynchronously, and notifies its final progress', async () => {
+            const notifications = [];
+
+            emulator.settings = {
+                enabled: true,
+                asyncDuration: 10
+            };
+            emulator.on('notification', (deviceId, eventName, data) => notifications.push({deviceId, eventName, data}));
+
+            const {provisionalMessageId} = callApi(emulator, 'POST', 'messages/log', device1.deviceId, {
+                message: 'Hello',
+                options: {
+                    async: true
+                }
+            });
+            const path = `messages/${provisionalMessageId}/progress`;
+
+            assert.deepEqual(callApi(emulator, 'GET', path, device1.deviceId).progress, {
+                bytesProcessed: 0,
+                done: false
+            });
+            assert.throws(() => callApi(emulator, 'GET', path, device2.deviceId),
+                new ApiEmulatorError(403, 'No permission to retrieve message progress'));
+
+            await once(emulator, 'notification');
+
+            const progress = callApi(emulator, 'GET', path, device1.deviceId);
+
+            assert.equal(progress.action, 'log');
+            assert.equal(progress.progress.bytesProcessed, 5);
+            assert.equal(progress.progress.success, true);
+            assert.equal(callApi(emulator, 'GET', `messages/${progress.result.messageId}`, device1.deviceId).msgData,
+                'Hello');
+            assert.deepEqual(notifications, [{
+                deviceId: device1.deviceId,
+                eventName: 'final-msg-progress',
+                data: {
+                    ephemeralMessageId: provisionalMessageId,
+                    ...progress
+                }
+            }]);
+        });
+
+        it('reads a message asynchronously', async () => {
+            emulator.settings = {
+                enabled: true,
+                asyncDuration: 10
+            };
+
+            const {messageId} = callApi(emulator, 'POST', 'messages/log', device1.deviceId, {
+                message: 'Hello'
+            });
+            const {cachedMessageId} = callApi(emulator, 'GET', `messages/${messageId}?async=true`, device1.deviceId);
+
+            await once(emulator, 'notification');
+
+            const progress = callApi(emulator, 'GET', `messages/${cachedMessageId}/progress`, device1.deviceId);
+
+            assert.equal(progress.action, 'read');
+            assert.equal(progress.result.messageId, messageId);
+            assert.deepEqual(callApi(emulator, 'GET',
+                `messages/${messageId}?continuationToken=${progress.result.continuationToken}`, device1.deviceId), {
+                msgInfo: {
+                    action: 'log'
+                },
+                msgData: 'Hello'
+            });
+        });
+
+        it('advances the reported progress in discrete steps', () => {
+            emulator.settings = {
+                enabled: true,
+                asyncDuration: 60000,
+                asyncProgressSteps: 4
+            };
+
+            const {provisionalMessageId} = callApi(emulator, 'POST', 'messages/log', device1.deviceId, {
+                message: 'Hello',
+                options: {
+                    async: true
+                }
+            });
+            const operation = emulator._asyncOperations.get(provisionalMessageId);
+            const getBytesProcessed = () => callApi(emulator, 'GET', `messages/${provisionalMessageId}/progress`,
+                device1.deviceId).progress.bytesProcessed;
+
+            // Pretend that part of the operation's duration has elapsed
+            operation.startDate = new Date(Date.now() - 20000);
+            assert.equal(getBytesProcessed(), 1);
+
+            operation.startDate = new Date(Date.now() - 59000);
+            assert.equal(getBytesProcessed(), 3);
+        });
+
+        it('discards the finished operations after the retention time', async () => {
+            emulator.settings = {
+                enabled: true,
+                asyncDuration: 10,
+                asyncRetention: 0
+            };
+
+            const {provisionalMessageId} = callApi(emulator, 'POST', 'messages/log', device1.deviceId, {
+                message: 'Hello',
+                options: {
+                    async: true
+                }
+            });
+
+            await once(emulator, 'notification');
+
+            assert.throws(() => callApi(emulator, 'GET', `messages/${provisionalMessageId}/progress`,
+                device1.deviceId), new ApiEmulatorError(400, 'Invalid message ID'));
+            assert.equal(emulator._asyncOperations.size, 0);
+        });
+
+        it('discards all the operations when reset', () => {
+            const {provisionalMessageId} = callApi(emulator, 'POST', 'messages/log', device1.deviceId, {
+                message: 'Hello',
+                options: {
+                    async: true
+                }
+            });
+
+            emulator.reset();
+
+            assert.throws(() => callApi(emulator, 'GET', `messages/${provisionalMessageId}/progress`,
+                device1.deviceId), new ApiEmulatorError(400, 'Invalid message ID'));
+            assert.equal(emulator._asyncOperations.size, 0);
+        });
+    });
+
+    describe('assets', () => {
+        /**
+         * @param {number} amount
+         * @param {Object} [assetInfo]
+         * @return {string} The ID of the issued asset.
+         */
+        function issueAsset(amount, assetInfo) {
+            return callApi(emulator, 'POST', 'assets/issue', device1.deviceId, {
+                assetInfo: {
+                    name: 'Test asset',
+                    canReissue: false,
+                    decimalPlaces: 2,
+                    ...assetInfo
+                },
+                amount
+            }).assetId;
+        }
+
+        it('issues and transfers an asset', () => {
+            const assetId = issueAsset(10);
+            const result = callApi(emulator, 'POST', `assets/${assetId}/transfer`, device1.deviceId, {
+                amount: 2.5,
+                receivingDevice: {
+                    id: device2.deviceId
+                }
+            });
+
+            assert.deepEqual(result, {
+                remainingBalance: 7.5
+            });
+            assert.deepEqual(callApi(emulator, 'GET', `assets/${assetId}/balance`, device2.deviceId), {
+                total: 2.5,
+                unconfirmed: 0
+            });
+            assert.equal(callApi(emulator, 'GET', `assets/${assetId}`, device2.deviceId).totalExistentBalance, 10);
+        });
+
+        it('rejects transferring more than the available balance', () => {
+            const assetId = issueAsset(1, {decimalPlaces: 0});
+
+            assert.throws(() => callApi(emulator, 'POST', `assets/${assetId}/transfer`, device1.deviceId, {
+                amount: 2,
+                receivingDevice: {
+                    id: device2.deviceId
+                }
+            }), new ApiEmulatorError(400, 'Insufficient balance to transfer asset'));
+        });
+
+        it('enforces the asset decimal places', () => {
+            assert.throws(() => issueAsset(1.234), new ApiEmulatorError(400,
+                'Amount has more decimal places than allowed for asset'));
+            assert.throws(() => issueAsset(1.005), new ApiEmulatorError(400,
+                'Amount has more decimal places than allowed for asset'));
+            assert.throws(() => issueAsset(1e-12), new ApiEmulatorError(400,
+                'Amount has more decimal places than allowed for asset'));
+            assert.throws(() => issueAsset(123456789.001), new ApiEmulatorError(400,
+                'Amount has more decimal places than allowed for asset'));
+            assert.equal(callApi(emulator, 'GET', `assets/${issueAsset(4.35)}`, device1.deviceId).totalExistentBalance,
+                4.35);
+            assert.equal(callApi(emulator, 'GET', `assets/${issueAsset(0.29)}`, device1.deviceId).totalExistentBalance,
+                0.29);
+            assert.throws(() => issueAsset(1, {decimalPlaces: 8}), new ApiEmulatorError(400,
+                'Asset decimal places cannot be greater than 7'));
+        });
+
+        it('reissues only a reissuable asset and only by its issuer', () => {
+            const assetId = issueAsset(1, {canReissue: true});
+
+            assert.deepEqual(callApi(emulator, 'POST', `assets/${assetId}/issue`, device1.deviceId, {
+                amount: 2
+            }), {
+                totalExistentBalance: 3
+            });
+            assert.throws(() => callApi(emulator, 'POST', `assets/${assetId}/issue`, device2.deviceId, {
+                amount: 2
+            }), new ApiEmulatorError(403, 'No permission to reissue asset'));
+            assert.throws(() => callApi(emulator, 'POST', `assets/${issueAsset(1)}/issue`, device1.deviceId, {
+                amount: 2
+            }), new ApiEmulatorError(400, 'Asset is not reissuable'));
+        });
+
+        it('lists the owned and issued assets, and the asset holders', () => {
+            const assetId = issueAsset(10);
+
+            callApi(emulator, 'POST', `assets/${assetId}/transfer`, device1.deviceId, {
+                amount: 10,
+                receivingDevice: {
+                    id: device2.deviceId
+                }
+            });
+
+            assert.deepEqual(callApi(emulator, 'GET', 'assets/owned', device1.deviceId).ownedAssets, []);
+            assert.deepEqual(callApi(emulator, 'GET', 'assets/owned', device2.deviceId).ownedAssets, [{
+                assetId,
+                balance: {
+                    total: 10,
+                    unconfirmed: 0
+                }
+            }]);
+            assert.deepEqual(callApi(emulator, 'GET', 'assets/issued', device1.deviceId).issuedAssets, [{
+                assetId,
+                totalExistentBalance: 10
+            }]);
+            assert.deepEqual(callApi(emulator, 'GET', `assets/${assetId}/holders`, device1.deviceId).assetHolders
+                .map(entry => entry.holder.deviceId), [device2.deviceId]);
+            assert.throws(() => callApi(emulator, 'GET', `assets/${assetId}/holders`, device2.deviceId),
+                new ApiEmulatorError(403, 'No permission to list asset holders'));
+        });
+
+        it('rejects an invalid asset ID', () => {
+            assert.throws(() => callApi(emulator, 'GET', 'assets/aXXXXXXXXXXXXXXXXXXX', device1.deviceId),
+                new ApiEmulatorError(400, 'Invalid asset ID'));
+        });
+    });
+
+    describe('non-fungible assets', () => {
+        const issueParams = {
+            assetInfo: {
+                name: 'Test NF asset',
+                canReissue: true
+            },
+            nonFungibleTokens: [{
+                metadata: {
+                    name: 'Token #1'
+                },
+                contents: {
+                    data: 'Hello, world!',
+                    encoding: 'utf8'
+                }
+            }]
+        };
+
+        afterEach(() => {
+            // Cancel any pending asynchronous operation
+            emulator.reset();
+        });
+
+        it('issues a non-fungible asset, and retrieves and transfers its token', () => {
+            const {assetId, nfTokenIds} = callApi(emulator, 'POST', 'assets/non-fungible/issue', device1.deviceId,
+                issueParams);
+            const tokenId = nfTokenIds[0];
+
+            assert.deepEqual(callApi(emulator, 'GET', `assets/non-fungible/tokens/${tokenId}?contentsEncoding=utf8`,
+                device1.deviceId), {
+                nonFungibleToken: {
+                    assetId,
+                    metadata: {
+                        name: 'Token #1'
+                    },
+                    contents: {
+                        data: 'Hello, world!'
+                    }
+                }
+            });
+            assert.deepEqual(callApi(emulator, 'POST', `assets/non-fungible/tokens/${tokenId}/transfer`,
+                device1.deviceId, {
+                    receivingDevice: {
+                        id: device2.deviceId
+                    }
+                }), {
+                success: true
+            });
+            assert.equal(callApi(emulator, 'GET', `assets/non-fungible/tokens/${tokenId}/owner`, device1.deviceId)
+                .owner.deviceId, device2.deviceId);
+            assert.throws(() => callApi(emulator, 'POST', `assets/non-fungible/tokens/${tokenId}/transfer`,
+                device1.deviceId, {
+                    receivingDevice: {
+                        id: device2.deviceId
+                    }
+                }), new ApiEmulatorError(403, 'No permission to transfer non-fungible token'));
+        });
+
+        it('issues a non-fungible asset in multiple parts', () => {
+            const {continuationToken} = callApi(emulator, 'POST', 'assets/non-fungible/issue', device1.deviceId, {
+                ...issueParams,
+                isFinal: false
+            });
+            const {nfTokenIds} = callApi(emulator, 'POST', 'assets/non-fungible/issue', device1.deviceId, {
+                continuationToken,
+                nonFungibleTokens: [{
+                    contents: {
+                        data: ' Bye.',
+                        encoding: 'utf8'
+                    }
+                }]
+            });
+
+            assert.equal(callApi(emulator, 'GET',
+                `assets/non-fungible/tokens/${nfTokenIds[0]}?contentsOnly=true&contentsEncoding=utf8`,
+                device1.deviceId).nonFungibleToken.contents.data, 'Hello, world! Bye.');
+            assert.throws(() => callApi(emulator, 'POST', 'assets/non-fungible/issue', device1.deviceId, {
+                continuationToken,
+                isFinal: true
+            }), new ApiEmulatorError(400, 'Invalid or expired continuation token'));
+        });
+
+        it('keeps the continuation token valid if the final part of the issuance cannot be processed', () => {
+            emulator.credits = {
+                clients: {
+                    cClient1: 0
+                }
+            };
+
+            const {continuationToken} = callApi(emulator, 'POST', 'assets/non-fungible/issue', device1.deviceId, {
+                ...issueParams,
+                isFinal: false
+            });
+            const issueFinalPart = () => callApi(emulator, 'POST', 'assets/non-fungible/issue', device1.deviceId, {
+                continuationToken,
+                nonFungibleTokens: [{
+                    contents: {
+                        data: ' Bye.',
+                        encoding: 'utf8'
+                    }
+                }]
+            });
+
+            assert.throws(issueFinalPart, ApiEmulatorError);
+
+            emulator.credits = {};
+
+            const {nfTokenIds} = issueFinalPart();
+
+            assert.equal(callApi(emulator, 'GET',
+                `assets/non-fungible/tokens/${nfTokenIds[0]}?contentsOnly=true&contentsEncoding=utf8`,
+                device1.deviceId).nonFungibleToken.contents.data, 'Hello, world! Bye.');
+        });
+
+        it('retrieves a non-fungible token in chunks', () => {
+            const tokenId = callApi(emulator, 'POST', 'assets/non-fungible/issue', device1.deviceId, issueParams)
+                .nfTokenIds[0];
+            const chunks = [];
+            let path = `assets/non-fungible/tokens/${tokenId}?contentsEncoding=utf8&dataChunkSize=5`;
+
+            for (;;) {
+                const result = callApi(emulator, 'GET', path, device1.deviceId);
+
+                chunks.push(result.nonFungibleToken.contents.data);
+
+                if (!result.continuationToken) {
+                    break;
+                }
+
+                path = `assets/non-fungible/tokens/${tokenId}?continuationToken=${result.continuationToken}`;
+            }
+
+            assert.deepEqual(chunks, ['Hello', ', wor', 'ld!']);
+        });
+
+        it('carries out an asynchronous issuance, and notifies its outcome', async () => {
+            const notifications = [];
+
+            emulator.settings = {
+                enabled: true,
+                asyncDuration: 10
+            };
+            emulator.on('notification', (deviceId, eventName, data) => notifications.push({deviceId, eventName, data}));
+
+            const {assetIssuanceId} = callApi(emulator, 'POST', 'assets/non-fungible/issue', device1.deviceId, {
+                ...issueParams,
+                async: true
+            });
+            const path = `assets/non-fungible/issuance/${assetIssuanceId}`;
+
+            assert.equal(callApi(emulator, 'GET', path, device1.deviceId).progress.done, false);
+            assert.throws(() => callApi(emulator, 'GET', path, device2.deviceId), ApiEmulatorError);
+
+            await once(emulator, 'notification');
+
+            const progress = callApi(emulator, 'GET', path, device1.deviceId);
+
+            assert.equal(progress.progress.done, true);
+            assert.equal(progress.progress.success, true);
+            assert.equal(progress.progress.percentProcessed, 100);
+            assert.equal(progress.result.nfTokenIds.length, 1);
+            assert.deepEqual(notifications, [{
+                deviceId: device1.deviceId,
+                eventName: 'nf-asset-issuance-outcome',
+                data: {
+                    assetIssuanceId,
+                    ...progress
+                }
+            }]);
+        });
+
+        it('reports the failure of an asynchronous token transfer', async () => {
+            const tokenId = callApi(emulator, 'POST', 'assets/non-fungible/issue', device1.deviceId, issueParams)
+                .nfTokenIds[0];
+
+            emulator.settings = {
+                enabled: true,
+                asyncDuration: 10
+            };
+
+            const {tokenTransferId} = callApi(emulator, 'POST', `assets/non-fungible/tokens/${tokenId}/transfer`,
+                device1.deviceId, {
+                    receivingDevice: {
+                        id: device2.deviceId
+                    },
+                    async: true
+                });
+
+            // Transfer the token away before the asynchronous transfer is carried out
+            callApi(emulator, 'POST', `assets/non-fungible/tokens/${tokenId}/transfer`, device1.deviceId, {
+                receivingDevice: {
+                    id: device2.deviceId
+                }
+            });
+
+            await once(emulator, 'notification');
+
+            const {progress} = callApi(emulator, 'GET',
+                `assets/non-fungible/tokens/${tokenId}/transfer/${tokenTransferId}`, device1.deviceId);
+
+            assert.equal(progress.done, true);
+            assert.equal(progress.success, false);
+            assert.deepEqual(progress.error, {
+                code: 400,
+                message: 'Non-fungible token not held by device'
+            });
+        });
+    });
+
+    describe('credits', () => {
+        const logParams = {
+            message: 'Hello',
+            options: {
+                offChain: false
+            }
+        };
+
+        it('charges the client credit balance and rejects services it cannot pay for', () => {
+            emulator.credits = {
+                clients: {
+                    cClient1: 1.5
+                }
+            };
+
+            callApi(emulator, 'POST', 'messages/log', device1.deviceId, logParams);
+
+            assert.throws(() => callApi(emulator, 'POST', 'messages/log', device1.deviceId, logParams),
+                new ApiEmulatorError(400, 'Not enough credits to pay for log message service'));
+            assert.equal(emulator.credits.clients.cClient1, 0.5);
+        });
+
+        it('charges the device credit balance in preference to the client one, using the set prices', () => {
+            emulator.credits = {
+                prices: {
+                    logOffChainMessage: 0.25
+                },
+                devices: {
+                    [device1.deviceId]: 1
+                },
+                clients: {
+                    cClient1: 10
+                }
+            };
+
+            callApi(emulator, 'POST', 'messages/log', device1.deviceId, {
+                message: 'Hello'
+            });
+
+            assert.deepEqual(emulator.credits.devices, {
+                [device1.deviceId]: 0.75
+            });
+            assert.deepEqual(emulator.credits.clients, {
+                cClient1: 10
+            });
+            assert.equal(emulator.credits.prices.logMessage, 1);
+        });
+
+        it('does not charge devices without a credit balance, nor failed services', () => {
+            emulator.credits = {
+                devices: {
+                    [device1.deviceId]: 10
+                }
+            };
+
+            callApi(emulator, 'POST', 'messages/log', device2.deviceId, logParams);
+
+            assert.throws(() => callApi(emulator, 'POST', 'messages/send', device1.deviceId, {
+                message: 'Hello',
+                targetDevice: {
+                    id: 'dXXXXXXXXXXXXXXXXXXX'
+                }
+            }), new ApiEmulatorError(400, 'Invalid target device'));
+            assert.throws(() => callApi(emulator, 'POST', 'assets/issue', device1.deviceId, {
+                assetInfo: {
+                    name: 'Test asset',
+                    canReissue: false,
+                    decimalPlaces: 0
+                },
+                amount: 1.5
+            }), ApiEmulatorError);
+            assert.equal(emulator.credits.devices[device1.deviceId], 10);
+        });
+
+        it('rejects invalid credit settings', () => {
+            assert.throws(() => emulator.credits = {prices: {bogusService: 1}}, TypeError);
+            assert.throws(() => emulator.credits = {prices: {constructor: 1}}, TypeError);
+            assert.throws(() => emulator.credits = {prices: {toString: 1}}, TypeError);
+            assert.throws(() => emulator.credits = {devices: {[device1.deviceId]: -1}}, TypeError);
+        });
+    });
+
+    describe('permission rights', () => {
+        it('sets and retrieves the permission rights', () => {
+            assert.deepEqual(callApi(emulator, 'POST', 'permission/events/receive-msg/rights', device2.deviceId, {
+                system: 'deny',
+                client: {
+                    allow: 'cClient1'
+                },
+                device: {
+                    deny: [{
+                        id: device1.deviceId
+                    }]
+                }
+            }), {
+                success: true
+            });
+            assert.deepEqual(callApi(emulator, 'GET', 'permission/events/receive-msg/rights', device2.deviceId), {
+                system: 'deny',
+                client: {
+                    allow: ['cClient1']
+                },
+                device: {
+                    deny: [{
+                        deviceId: device1.deviceId
+                    }]
+                }
+            });
+            assert.deepEqual(callApi(emulator, 'GET', 'permission/events/receive-msg/rights', device1.deviceId), {
+                system: 'allow'
+            });
+        });
+
+        it('checks the effective permission right at the device, client and system levels', () => {
+            const checkRight = deviceId => callApi(emulator, 'GET',
+                `permission/events/receive-msg/rights/${deviceId}`, device2.deviceId)[deviceId];
+
+            assert.equal(checkRight(device1.deviceId), 'allow');
+
+            callApi(emulator, 'POST', 'permission/events/receive-msg/rights', device2.deviceId, {
+                system: 'deny'
+            });
+
+            assert.equal(checkRight(device1.deviceId), 'deny');
+
+            callApi(emulator, 'POST', 'permission/events/receive-msg/rights', device2.deviceId, {
+                client: {
+                    allow: 'cClient1'
+                }
+            });
+
+            assert.equal(checkRight(device1.deviceId), 'allow');
+            assert.equal(checkRight(device3.deviceId), 'deny');
+
+            callApi(emulator, 'POST', 'permission/events/receive-msg/rights', device2.deviceId, {
+                device: {
+                    deny: {
+                        id: device1.deviceId
+                    }
+                }
+            });
+
+            assert.equal(checkRight(device1.deviceId), 'deny');
+        });
+
+        it('sets and retrieves the permission rights at the Catenis node level', () => {
+            const checkRight = deviceId => callApi(emulator, 'GET',
+                `permission/events/receive-msg/rights/${deviceId}`, device2.deviceId)[deviceId];
+
+            callApi(emulator, 'POST', 'permission/events/receive-msg/rights', device2.deviceId, {
+                system: 'deny',
+                catenisNode: {
+                    allow: 'self'
+                }
+            });
+
+            assert.deepEqual(callApi(emulator, 'GET', 'permission/events/receive-msg/rights', device2.deviceId), {
+                system: 'deny',
+                catenisNode: {
+                    allow: ['0']
+                }
+            });
+            assert.equal(checkRight(device3.deviceId), 'allow');
+
+            callApi(emulator, 'POST', 'permission/events/receive-msg/rights', device2.deviceId, {
+                catenisNode: {
+                    deny: '0'
+                },
+                client: {
+                    allow: 'cClient1'
+                }
+            });
+
+            assert.equal(checkRight(device1.deviceId), 'allow');
+            assert.equal(checkRight(device3.deviceId), 'deny');
+
+            callApi(emulator, 'POST', 'permission/events/receive-msg/rights', device2.deviceId, {
+                catenisNode: {
+                    none: '0'
+                }
+            });
+
+            assert.equal(callApi(emulator, 'GET', 'permission/events/receive-msg/rights', device2.deviceId)
+                .catenisNode, undefined);
+            assert.throws(() => callApi(emulator, 'POST', 'permission/events/receive-msg/rights', device2.deviceId, {
+                catenisNode: {
+                    allow: '1'
+                }
+            }), new ApiEmulatorError(400, 'Invalid Catenis node'));
+        });
+
+        it('rejects sending a message to a device that has not granted the receive-msg permission right', () => {
+            callApi(emulator, 'POST', 'permission/events/receive-msg/rights', device2.deviceId, {
+                device: {
+                    deny: {
+                        id: device1.deviceId
+                    }
+                }
+            });
+
+            assert.throws(() => callApi(emulator, 'POST', 'messages/send', device1.deviceId, {
+                message: 'Hello',
+                targetDevice: {
+                    id: device2.deviceId
+                }
+            }), new ApiEmulatorError(403, 'No permission to send message to target device'));
+        });
+
+        it('rejects transferring an asset to a device that has not granted the receive-asset-of right', () => {
+            const {assetId} = callApi(emulator, 'POST', 'assets/issue', device1.deviceId, {
+                assetInfo: {
+                    name: 'Test asset',
+                    canReissue: false,
+                    decimalPlaces: 0
+                },
+                amount: 10
+            });
+
+            callApi(emulator, 'POST', 'permission/events/receive-asset-of/rights', device2.deviceId, {
+                system: 'deny'
+            });
+
+            assert.throws(() => callApi(emulator, 'POST', `assets/${assetId}/transfer`, device1.deviceId, {
+                amount: 1,
+                receivingDevice: {
+                    id: device2.deviceId
+                }
+            }), new ApiEmulatorError(403, 'No permission to transfer asset to receiving device'));
+        });
+
+        it('rejects an invalid permission event name', () => {
+            assert.throws(() => callApi(emulator, 'GET', 'permission/events/bogus-event/rights', device1.deviceId),
+                new ApiEmulatorError(400, 'Invalid event name'));
+            assert.throws(() => callApi(emulator, 'GET', 'permission/events/constructor/rights', device1.deviceId),
+                new ApiEmulatorError(400, 'Invalid event name'));
+        });
+
+        it('discards the permission rights when reset', () => {
+            callApi(emulator, 'POST', 'permission/events/receive-msg/rights', device2.deviceId, {
+                system: 'deny'
+            });
+
+            emulator.reset();
+
+            assert.deepEqual(callApi(emulator, 'GET', 'permission/events/receive-msg/rights', device2.deviceId), {
+                system: 'allow'
+            });
+        });
+    });
+
+    describe('devices', () => {
+        const namedDevice2 = {
+            ...device2,
+            clientId: 'cClient1',
+            name: 'Device #2',
+            prodUniqueId: 'PUID-2'
+        };
+        const privateDevice3 = {
+            ...device3,
+            clientId: 'cClient3',
+            name: 'Device #3',
+            public: false
+        };
+
+        beforeEach(() => {
+            emulator = new ApiEmulator({
+                credentials: [
+                    {...device1, clientId: 'cClient1'},
+                    namedDevice2,
+                    privateDevice3
+                ]
+            });
+            emulator.settings = {
+                enabled: true
+            };
+        });
+
+        /**
+         * Send a message, and read it back as its origin device.
+         * @param {string} fromDeviceId
+         * @param {{id: string, isProdUniqueId: boolean}} targetDevice
+         * @return {Object} The info about the target device returned when reading the message.
+         */
+        function sendMessage(fromDeviceId, targetDevice) {
+            const {messageId} = callApi(emulator, 'POST', 'messages/send', fromDeviceId, {
+                message: 'Hello',
+                targetDevice
+            });
+
+            return callApi(emulator, 'GET', `messages/${messageId}`, fromDeviceId).msgInfo.to;
+        }
+
+        it('sends a message to a device identified by its product unique ID', () => {
+            assert.deepEqual(sendMessage(device1.deviceId, {id: 'PUID-2', isProdUniqueId: true}), {
+                deviceId: device2.deviceId,
+                name: 'Device #2',
+                prodUniqueId: 'PUID-2'
+            });
+            assert.throws(() => sendMessage(device1.deviceId, {id: device2.deviceId, isProdUniqueId: true}),
+                new ApiEmulatorError(400, 'Invalid target device'));
+        });
+
+        it('does not disclose the main properties of a device without the disclose-main-props permission right', () => {
+            callApi(emulator, 'POST', 'permission/events/disclose-main-props/rights', device2.deviceId, {
+                system: 'deny'
+            });
+
+            assert.deepEqual(sendMessage(device1.deviceId, {id: device2.deviceId}), {
+                deviceId: device2.deviceId
+            });
+        });
+
+        it('does not disclose the identity of a private device to devices of other clients', () => {
+            assert.deepEqual(sendMessage(device1.deviceId, {id: device3.deviceId}), {
+                deviceId: device3.deviceId
+            });
+            assert.throws(() => callApi(emulator, 'GET', `devices/${device3.deviceId}`, device1.deviceId),
+                new ApiEmulatorError(403, 'No permission to retrieve info'));
+            assert.equal(callApi(emulator, 'GET', `devices/${device3.deviceId}`, device3.deviceId).device.name,
+                'Device #3');
+        });
+
+        it('retrieves the device identification info', () => {
+            assert.deepEqual(callApi(emulator, 'GET', 'devices/PUID-2?isProdUniqueId=true', device1.deviceId), {
+                catenisNode: {
+                    ctnNodeIndex: 0,
+                    name: 'Catenis Hub',
+                    description: 'Central Catenis node used to house clients that access the system through the '
+                        + 'Internet'
+                },
+                client: {
+                    clientId: 'cClient1'
+                },
+                device: {
+                    deviceId: device2.deviceId,
+                    name: 'Device #2',
+                    prodUniqueId: 'PUID-2'
+                }
+            });
+
+            callApi(emulator, 'POST', 'permission/events/disclose-identity-info/rights', device2.deviceId, {
+                device: {
+                    deny: {
+                        id: device1.deviceId
+                    }
+                }
+            });
+
+            assert.throws(() => callApi(emulator, 'GET', `devices/${device2.deviceId}`, device1.deviceId),
+                new ApiEmulatorError(403, 'No permission to retrieve info'));
+            assert.throws(() => callApi(emulator, 'GET', 'devices/dXXXXXXXXXXXXXXXXXXX', device1.deviceId),
+                new ApiEmulatorError(400, 'Invalid device'));
+        });
+    });
+});
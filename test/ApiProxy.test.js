@@ -0,0 +1,144 @@
+/**
+ * Tests for the record-and-replay proxy mode, run against two instances of the app: one acting as the upstream
+ *  Catenis API server, and the other one as the proxy.
+ */
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    mkdtemp,
+    readdir,
+    rm
+} from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import {
+    device1,
+    startApp,
+    stopApp,
+    sendCommand,
+    sendApiRequest
+} from './helpers.js';
+
+describe('Record-and-replay proxy', () => {
+    let upstream;
+    let proxy;
+    let fixturesDir;
+
+    before(async () => {
+        fixturesDir = await mkdtemp(path.join(os.tmpdir(), 'catenis-api-emulator-'));
+        upstream = await startApp(3820, 3821);
+        proxy = await startApp(3822, 3823);
+
+        await sendCommand(upstream, 'POST', '/device-credentials', device1);
+        await sendCommand(upstream, 'POST', '/emulation', {
+            enabled: true
+        });
+        await sendCommand(proxy, 'POST', '/device-credentials', device1);
+    });
+
+    after(async () => {
+        await stopApp(proxy);
+        await stopApp(upstream);
+        await rm(fixturesDir, {recursive: true, force: true});
+    });
+
+    it('rejects incomplete proxy settings', async () => {
+        assert.equal((await sendCommand(proxy, 'POST', '/proxy', {mode: 'record'})).status, 400);
+        assert.equal((await sendCommand(proxy, 'POST', '/proxy', {mode: 'replay'})).status, 400);
+    });
+
+    it('records the forwarded requests', async () => {
+        await sendCommand(proxy, 'POST', '/proxy', {
+            mode: 'record',
+            upstreamUrl: `http://localhost:${upstream.apiPort}`,
+            fixturesDir
+        });
+
+        assert.equal((await sendApiRequest(proxy, 'GET', 'messages', undefined, device1)).body.data.msgCount, 0);
+        assert.equal((await sendApiRequest(proxy, 'POST', 'messages/log', {message: 'Hello'}, device1)).status, 200);
+        assert.equal((await sendApiRequest(proxy, 'GET', 'messages')).status, 401);
+
+        // Start a new recording session into the same directory
+        await sendCommand(proxy, 'POST', '/proxy', {
+            mode: 'record',
+            upstreamUrl: `http://localhost:${upstream.apiPort}`,
+            fixturesDir
+        });
+
+        assert.equal((await sendApiRequest(proxy, 'GET', 'messages', undefined, device1)).body.data.msgCount, 1);
+
+        assert.deepEqual((await readdir(fixturesDir)).sort(), [
+            '0001-GET-messages.json',
+            '0002-POST-messages_log.json',
+            '0003-GET-messages.json'
+        ]);
+        assert.deepEqual(JSON.parse((await sendCommand(proxy, 'GET', '/requests')).body)[0].matchedBy, {
+            type: 'proxy'
+        });
+    });
+
+    it('returns an error response if the upstream server cannot be reached', async () => {
+        await sendCommand(proxy, 'POST', '/proxy', {
+            mode: 'record',
+            upstreamUrl: 'http://localhost:3829',
+            fixturesDir: path.join(fixturesDir, 'unreachable')
+        });
+
+        assert.equal((await sendApiRequest(proxy, 'GET', 'messages', undefined, device1)).status, 502);
+    });
+
+    it('returns an error response if the upstream server does not respond in time', async () => {
+        await sendCommand(upstream, 'POST', '/http-stubs', {
+            expectedRequest: {
+                httpMethod: 'GET',
+                apiMethodPath: 'messages/mdx8vuCGWdb6mDZOvJ2i',
+                authenticate: false
+            },
+            latency: 'never'
+        });
+        await sendCommand(proxy, 'POST', '/proxy', {
+            mode: 'record',
+            upstreamUrl: `http://localhost:${upstream.apiPort}`,
+            fixturesDir: path.join(fixturesDir, 'timeout'),
+            timeout: 200
+        });
+
+        const res = await sendApiRequest(proxy, 'GET', 'messages/mdx8vuCGWdb6mDZOvJ2i', undefined, device1);
+
+        assert.equal(res.status, 504);
+        assert.equal(res.body.message, 'Timeout forwarding request to upstream server');
+        assert.equal((await sendCommand(proxy, 'POST', '/proxy', {
+            mode: 'record',
+            upstreamUrl: `http://localhost:${upstream.apiPort}`,
+            fixturesDir,
+            timeout: 0
+        })).status, 400);
+
+        await sendCommand(upstream, 'POST', '/http-stubs', []);
+    });
+
+    it('replays the recorded responses in order', async () => {
+        await sendCommand(proxy, 'POST', '/proxy', {
+            mode: 'replay',
+            fixturesDir
+        });
+
+        assert.equal(JSON.parse((await sendCommand(proxy, 'GET', '/proxy')).body).mode, 'replay');
+        assert.equal((await sendApiRequest(proxy, 'GET', 'messages')).body.data.msgCount, 0);
+        assert.equal((await sendApiRequest(proxy, 'POST', 'messages/log', {message: 'Hello'})).status, 200);
+        assert.equal((await sendApiRequest(proxy, 'GET', 'messages')).body.data.msgCount, 1);
+        assert.equal((await sendApiRequest(proxy, 'GET', 'messages')).status, 500);
+    });
+
+    it('discards the replayed fixtures when the proxy is turned off', async () => {
+        await sendCommand(proxy, 'POST', '/proxy', {
+            mode: 'replay',
+            fixturesDir
+        });
+        await sendCommand(proxy, 'POST', '/proxy', {
+            mode: 'off'
+        });
+
+        assert.deepEqual(JSON.parse((await sendCommand(proxy, 'GET', '/http-context/pending')).body), []);
+    });
+});
@@ -0,0 +1,1545 @@
+/**
+ * Tests for the API server, run against the app started in a child process.
+ */
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { setTimeout as delay } from 'node:timers/promises';
+import {
+    device1,
+    device2,
+    startApp,
+    stopApp,
+    sendCommand,
+    sendApiRequest,
+    openNotifyChannel
+} from './helpers.js';
+
+describe('HTTP context list', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp(3810, 3811);
+    });
+
+    after(async () => {
+        await stopApp(app);
+    });
+
+    const httpContexts = [{
+        expectedRequest: {
+            httpMethod: 'POST',
+            apiMethodPath: 'messages/log',
+            data: '{"message":"Hello"}',
+            authenticate: false
+        },
+        requiredResponse: {
+            data: '{"messageId":"mdx8vuCGWdb6mDZOvJ2i"}'
+        }
+    }, {
+        expectedRequest: {
+            httpMethod: 'GET',
+            apiMethodPath: 'messages/mdx8vuCGWdb6mDZOvJ2i',
+            authenticate: false
+        },
+        requiredResponse: {
+            data: '{"msgData":"Hello"}'
+        }
+    }];
+
+    it('consumes the HTTP contexts in order', async () => {
+        assert.equal((await sendCommand(app, 'POST', '/http-context', httpContexts)).status, 200);
+
+        let res = await sendApiRequest(app, 'POST', 'messages/log', {message: 'Hello'});
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.data, {messageId: 'mdx8vuCGWdb6mDZOvJ2i'});
+        assert.deepEqual(JSON.parse((await sendCommand(app, 'GET', '/http-context/pending')).body),
+            httpContexts.slice(1));
+
+        res = await sendApiRequest(app, 'GET', 'messages/mdx8vuCGWdb6mDZOvJ2i');
+
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.data, {msgData: 'Hello'});
+        assert.deepEqual(JSON.parse((await sendCommand(app, 'GET', '/http-context/pending')).body), []);
+    });
+
+    it('rejects a request that does not match the next pending HTTP context', async () => {
+        await sendCommand(app, 'POST', '/http-context', httpContexts);
+
+        const res = await sendApiRequest(app, 'GET', 'messages/mdx8vuCGWdb6mDZOvJ2i');
+
+        assert.equal(res.status, 500);
+        assert.match(res.body.message, /^\[HTTP context #1 of 2\] Unexpected HTTP request method/);
+        assert.equal(JSON.parse((await sendCommand(app, 'GET', '/http-context/pending')).body).length, 2);
+    });
+
+    it('rejects a request once every HTTP context has been consumed', async () => {
+        await sendCommand(app, 'POST', '/http-context', httpContexts.slice(0, 1));
+        await sendApiRequest(app, 'POST', 'messages/log', {message: 'Hello'});
+
+        const res = await sendApiRequest(app, 'POST', 'messages/log', {message: 'Hello'});
+
+        assert.equal(res.status, 500);
+        assert.match(res.body.message, /^No more pending HTTP contexts \(1 already consumed\)/);
+    });
+
+    it('rejects a list with an invalid HTTP context', async () => {
+        assert.equal((await sendCommand(app, 'POST', '/http-context', [httpContexts[0], {}])).status, 400);
+    });
+});
+
+describe('HTTP stubs', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp(3810, 3811);
+    });
+
+    after(async () => {
+        await stopApp(app);
+    });
+
+    const httpStubs = [{
+        id: 'read-message-1',
+        expectedRequest: {
+            httpMethod: 'GET',
+            apiMethodPath: 'messages/mdx8vuCGWdb6mDZOvJ2i',
+            authenticate: false
+        },
+        requiredResponse: {
+            data: '{"msgData":"Message #1"}'
+        }
+    }, {
+        id: 'read-message-2',
+        expectedRequest: {
+            httpMethod: 'GET',
+            apiMethodPath: 'messages/mNEWqgSMAeDAmBAkBDWr',
+            authenticate: false
+        },
+        requiredResponse: {
+            data: '{"msgData":"Message #2"}'
+        }
+    }];
+
+    it('processes concurrent requests, in any order, with the matching HTTP stubs', async () => {
+        assert.equal((await sendCommand(app, 'POST', '/http-stubs', httpStubs)).status, 200);
+
+        const results = await Promise.all([
+            sendApiRequest(app, 'GET', 'messages/mNEWqgSMAeDAmBAkBDWr'),
+            sendApiRequest(app, 'GET', 'messages/mdx8vuCGWdb6mDZOvJ2i'),
+            sendApiRequest(app, 'GET', 'messages/mNEWqgSMAeDAmBAkBDWr')
+        ]);
+
+        assert.deepEqual(results.map(res => res.body.data.msgData), ['Message #2', 'Message #1', 'Message #2']);
+        assert.deepEqual(JSON.parse((await sendCommand(app, 'GET', '/http-stubs')).body), httpStubs);
+    });
+
+    it('rejects a request that does not match any HTTP stub', async () => {
+        await sendCommand(app, 'POST', '/http-stubs', httpStubs);
+
+        const res = await sendApiRequest(app, 'GET', 'messages/mXXXXXXXXXXXXXXXXXXX');
+
+        assert.equal(res.status, 500);
+        assert.equal(res.body.message, 'No matching HTTP stub for request: GET /api/0.13/messages/mXXXXXXXXXXXXXXXXXXX');
+    });
+
+    it('tries the HTTP stubs after the current HTTP context', async () => {
+        await sendCommand(app, 'POST', '/http-stubs', httpStubs[0]);
+        await sendCommand(app, 'POST', '/http-context', {
+            expectedRequest: {
+                httpMethod: 'POST',
+                apiMethodPath: 'messages/log',
+                authenticate: false
+            },
+            requiredResponse: {
+                data: '{"messageId":"mdx8vuCGWdb6mDZOvJ2i"}'
+            }
+        });
+
+        assert.deepEqual((await sendApiRequest(app, 'POST', 'messages/log')).body.data, {
+            messageId: 'mdx8vuCGWdb6mDZOvJ2i'
+        });
+        assert.deepEqual((await sendApiRequest(app, 'GET', 'messages/mdx8vuCGWdb6mDZOvJ2i')).body.data, {
+            msgData: 'Message #1'
+        });
+        assert.match((await sendApiRequest(app, 'GET', 'messages/mNEWqgSMAeDAmBAkBDWr')).body.message,
+            /^Unexpected HTTP request method/);
+    });
+
+    it('rejects an invalid HTTP stub', async () => {
+        assert.equal((await sendCommand(app, 'POST', '/http-stubs', {id: ''})).status, 400);
+    });
+});
+
+describe('JSON data matching', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp(3810, 3811);
+    });
+
+    after(async () => {
+        await stopApp(app);
+    });
+
+    /**
+     * @param {DataMatchSpec} [dataMatch]
+     * @return {HttpContext}
+     */
+    function newHttpContext(dataMatch) {
+        return {
+            expectedRequest: {
+                httpMethod: 'POST',
+                apiMethodPath: 'messages/log',
+                data: '{"message":"Hello","options":{"encoding":"utf8","nonce":"1"}}',
+                dataMatch,
+                authenticate: false
+            },
+            requiredResponse: {
+                data: '{"messageId":"mdx8vuCGWdb6mDZOvJ2i"}'
+            }
+        };
+    }
+
+    it('compares the request data exactly by default', async () => {
+        await sendCommand(app, 'POST', '/http-context', newHttpContext());
+
+        const res = await sendApiRequest(app, 'POST', 'messages/log', {
+            options: {nonce: '1', encoding: 'utf8'},
+            message: 'Hello'
+        });
+
+        assert.equal(res.status, 500);
+        assert.match(res.body.message, /^Unexpected HTTP request body:/);
+    });
+
+    it('compares the request data structurally in json mode', async () => {
+        await sendCommand(app, 'POST', '/http-context', newHttpContext({mode: 'json'}));
+
+        assert.equal((await sendApiRequest(app, 'POST', 'messages/log', {
+            options: {nonce: '1', encoding: 'utf8'},
+            message: 'Hello'
+        })).status, 200);
+
+        const res = await sendApiRequest(app, 'POST', 'messages/log', {
+            options: {nonce: '2', encoding: 'utf8'},
+            message: 'Hello'
+        });
+
+        assert.equal(res.status, 500);
+        assert.match(res.body.message, /^Unexpected HTTP request body \(mismatch at \$\.options\.nonce\)/);
+    });
+
+    it('applies the partial and ignore fields options', async () => {
+        await sendCommand(app, 'POST', '/http-context', newHttpContext({
+            partial: true,
+            ignoreFields: ['options.nonce']
+        }));
+
+        assert.equal((await sendApiRequest(app, 'POST', 'messages/log', {
+            message: 'Hello',
+            options: {encoding: 'utf8', nonce: '2', async: false}
+        })).status, 200);
+    });
+});
+
+describe('JSON schema and JSONPath matching', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp(3810, 3811);
+    });
+
+    after(async () => {
+        await stopApp(app);
+    });
+
+    it('matches the request data against a JSON schema and JSONPath predicates', async () => {
+        assert.equal((await sendCommand(app, 'POST', '/http-context', {
+            expectedRequest: {
+                httpMethod: 'POST',
+                apiMethodPath: 'messages/send',
+                dataSchema: {
+                    type: 'object',
+                    required: ['message', 'targetDevice']
+                },
+                dataPaths: [{
+                    path: '$.targetDevice.id',
+                    regex: '^d\\w{19}$'
+                }, {
+                    path: '$.options.async',
+                    exists: false
+                }],
+                authenticate: false
+            },
+            requiredResponse: {
+                data: '{"messageId":"mdx8vuCGWdb6mDZOvJ2i"}'
+            }
+        })).status, 200);
+
+        assert.equal((await sendApiRequest(app, 'POST', 'messages/send', {
+            message: 'Hello',
+            targetDevice: {id: 'd8YpQ7jgPBJEkBrnvp58'}
+        })).status, 200);
+
+        let res = await sendApiRequest(app, 'POST', 'messages/send', {
+            targetDevice: {id: 'd8YpQ7jgPBJEkBrnvp58'}
+        });
+
+        assert.equal(res.status, 500);
+        assert.match(res.body.message, /does not conform to JSON schema: \$ must have required property 'message'/);
+
+        res = await sendApiRequest(app, 'POST', 'messages/send', {
+            message: 'Hello',
+            targetDevice: {id: 'XYZ'}
+        });
+
+        assert.equal(res.status, 500);
+        assert.match(res.body.message, /\$\.targetDevice\.id does not match/);
+    });
+
+    it('rejects an HTTP context with an invalid JSON schema', async () => {
+        assert.equal((await sendCommand(app, 'POST', '/http-context', {
+            expectedRequest: {
+                httpMethod: 'POST',
+                apiMethodPath: 'messages/send',
+                dataSchema: {
+                    type: 'bogus'
+                }
+            }
+        })).status, 400);
+    });
+
+    it('rejects an HTTP stub with a malformed JSONPath predicate', async () => {
+        const res = await sendCommand(app, 'POST', '/http-stubs', {
+            expectedRequest: {
+                httpMethod: 'POST',
+                apiMethodPath: 'messages/log',
+                dataPaths: [{
+                    path: '$[?(@.a==',
+                    exists: true
+                }],
+                authenticate: false
+            }
+        });
+
+        assert.equal(res.status, 400);
+    });
+
+    it('accepts the same HTTP stub with a JSON schema $id more than once', async () => {
+        const httpStub = {
+            expectedRequest: {
+                httpMethod: 'POST',
+                apiMethodPath: 'messages/log',
+                dataSchema: {
+                    $id: 'https://example.com/log-message.json',
+                    type: 'object'
+                },
+                authenticate: false
+            }
+        };
+
+        assert.equal((await sendCommand(app, 'POST', '/http-stubs', httpStub)).status, 200);
+        assert.equal((await sendCommand(app, 'POST', '/http-stubs', httpStub)).status, 200);
+    });
+});
+
+describe('Header and query parameter matching', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp(3810, 3811);
+    });
+
+    after(async () => {
+        await stopApp(app);
+    });
+
+    it('matches the request headers against value matchers', async () => {
+        await sendCommand(app, 'POST', '/http-context', {
+            expectedRequest: {
+                httpMethod: 'GET',
+                apiMethodPath: 'messages/mdx8vuCGWdb6mDZOvJ2i',
+                headers: {
+                    'Accept-Encoding': {
+                        glob: '*deflate*'
+                    }
+                },
+                authenticate: false
+            },
+            requiredResponse: {
+                data: '{"msgData":"Hello"}'
+            }
+        });
+
+        const url = `http://localhost:${app.apiPort}/api/0.13/messages/mdx8vuCGWdb6mDZOvJ2i`;
+
+        assert.equal((await fetch(url, {headers: {'accept-encoding': 'gzip, deflate'}})).status, 200);
+
+        const res = await fetch(url, {headers: {'accept-encoding': 'gzip'}});
+
+        assert.equal(res.status, 500);
+        assert.equal((await res.json()).message,
+            'Inconsistent value for HTTP header Accept-Encoding: expected: glob(*deflate*); received: gzip');
+    });
+
+    it('matches the query parameters against value matchers, optionally allowing extra ones', async () => {
+        const httpContext = {
+            expectedRequest: {
+                httpMethod: 'GET',
+                apiMethodPath: 'messages?action=send',
+                queryParams: {
+                    startDate: {
+                        regex: '^\\d{4}-\\d{2}-\\d{2}T'
+                    },
+                    limit: null
+                },
+                authenticate: false
+            },
+            requiredResponse: {
+                data: '{"msgCount":0}'
+            }
+        };
+
+        await sendCommand(app, 'POST', '/http-context', httpContext);
+
+        assert.equal((await sendApiRequest(app, 'GET', 'messages?action=send&startDate=2026-10-19T00:00:00Z')).status,
+            200);
+        assert.match((await sendApiRequest(app, 'GET', 'messages?action=send&startDate=yesterday')).body.message,
+            /^Inconsistent value for query parameter startDate/);
+        assert.match((await sendApiRequest(app, 'GET', 'messages?action=send')).body.message,
+            /^Missing required query parameter: startDate/);
+        assert.match((await sendApiRequest(app, 'GET', 'messages?action=send&startDate=2026-10-19T00:00:00Z&limit=1'))
+            .body.message, /^Unexpected query parameter: limit/);
+        assert.match((await sendApiRequest(app, 'GET', 'messages?action=send&startDate=2026-10-19T00:00:00Z&skip=1'))
+            .body.message, /^Unexpected HTTP request path/);
+
+        httpContext.expectedRequest.allowExtraQueryParams = true;
+        await sendCommand(app, 'POST', '/http-context', httpContext);
+
+        assert.equal((await sendApiRequest(app, 'GET', 'messages?action=send&startDate=2026-10-19T00:00:00Z&skip=1'))
+            .status, 200);
+        assert.match((await sendApiRequest(app, 'GET', 'messages?action=log&startDate=2026-10-19T00:00:00Z')).body
+            .message, /^Unexpected HTTP request path/);
+    });
+});
+
+describe('Path templates', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp(3810, 3811);
+    });
+
+    after(async () => {
+        await stopApp(app);
+    });
+
+    it('matches the request path against path templates and wildcards', async () => {
+        await sendCommand(app, 'POST', '/http-stubs', [{
+            expectedRequest: {
+                httpMethod: 'GET',
+                apiMethodPath: 'messages/:messageId',
+                authenticate: false
+            },
+            requiredResponse: {
+                data: '{"msgData":"Hello"}'
+            }
+        }, {
+            expectedRequest: {
+                httpMethod: 'GET',
+                apiMethodPath: 'assets/*/balance',
+                authenticate: false
+            },
+            requiredResponse: {
+                data: '{"total":10}'
+            }
+        }]);
+
+        assert.deepEqual((await sendApiRequest(app, 'GET', 'messages/mdx8vuCGWdb6mDZOvJ2i')).body.data, {
+            msgData: 'Hello'
+        });
+        assert.deepEqual((await sendApiRequest(app, 'GET', 'assets/aQjlzShmrnEZeeYBZihc/balance')).body.data, {
+            total: 10
+        });
+        assert.equal((await sendApiRequest(app, 'GET', 'messages/mdx8vuCGWdb6mDZOvJ2i/container')).status, 500);
+    });
+
+    it('does not match a path with a malformed escape sequence', async () => {
+        const res = await sendApiRequest(app, 'GET', 'messages/%ZZ');
+
+        assert.equal(res.status, 500);
+        assert.match(res.body.message, /No matching HTTP stub/);
+        assert.equal((await sendApiRequest(app, 'GET', 'messages/m123')).status, 200);
+        assert.equal(app.exitCode, null);
+    });
+});
+
+describe('Response templates', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp(3810, 3811);
+        await sendCommand(app, 'POST', '/device-credentials', device1);
+    });
+
+    after(async () => {
+        await stopApp(app);
+    });
+
+    it('renders the response data with the request data', async () => {
+        await sendCommand(app, 'POST', '/http-stubs', {
+            expectedRequest: {
+                httpMethod: 'POST',
+                apiMethodPath: 'messages/:messageId/read',
+                allowExtraQueryParams: true,
+                dataMatch: {
+                    partial: true
+                },
+                data: '{}'
+            },
+            requiredResponse: {
+                data: JSON.stringify({
+                    messageId: '{{request.params.messageId}}',
+                    from: {
+                        deviceId: '{{deviceId}}'
+                    },
+                    encoding: '{{request.query.encoding}}',
+                    msgData: 'Echo: {{request.body.note}}',
+                    txid: '{{generate.txid}}'
+                }),
+                template: true
+            }
+        });
+
+        const res = await sendApiRequest(app, 'POST', 'messages/mdx8vuCGWdb6mDZOvJ2i/read?encoding=utf8', {
+            note: 'Hi'
+        }, device1);
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.data.messageId, 'mdx8vuCGWdb6mDZOvJ2i');
+        assert.deepEqual(res.body.data.from, {deviceId: device1.deviceId});
+        assert.equal(res.body.data.encoding, 'utf8');
+        assert.equal(res.body.data.msgData, 'Echo: Hi');
+        assert.match(res.body.data.txid, /^[0-9a-f]{64}$/);
+    });
+
+    it('renders the error message', async () => {
+        await sendCommand(app, 'POST', '/http-stubs', {
+            expectedRequest: {
+                httpMethod: 'GET',
+                apiMethodPath: 'messages/:messageId',
+                authenticate: false
+            },
+            requiredResponse: {
+                statusCode: 400,
+                errorMessage: 'Invalid message ID: {{request.params.messageId}}',
+                template: true
+            }
+        });
+
+        const res = await sendApiRequest(app, 'GET', 'messages/mXXX');
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.message, 'Invalid message ID: mXXX');
+    });
+
+    it('does not render the response data unless it is a template', async () => {
+        await sendCommand(app, 'POST', '/http-context', {
+            expectedRequest: {
+                httpMethod: 'GET',
+                apiMethodPath: 'messages/:messageId',
+                authenticate: false
+            },
+            requiredResponse: {
+                data: '{"messageId":"{{request.params.messageId}}"}'
+            }
+        });
+
+        assert.deepEqual((await sendApiRequest(app, 'GET', 'messages/m123')).body.data, {
+            messageId: '{{request.params.messageId}}'
+        });
+    });
+});
+
+describe('HTTP methods', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp(3810, 3811);
+        await sendCommand(app, 'POST', '/device-credentials', device1);
+    });
+
+    after(async () => {
+        await stopApp(app);
+    });
+
+    it('matches and authenticates PUT, DELETE, PATCH and HEAD requests', async () => {
+        const methods = ['PUT', 'DELETE', 'PATCH', 'HEAD'];
+
+        assert.equal((await sendCommand(app, 'POST', '/http-stubs', methods.map(method => ({
+            expectedRequest: {
+                httpMethod: method,
+                apiMethodPath: 'devices/drc3XdxNtzoucpw9xiRp',
+                data: method === 'PUT' || method === 'PATCH' ? '{"name":"Device #1"}' : undefined
+            },
+            requiredResponse: {
+                data: JSON.stringify({method})
+            }
+        })))).status, 200);
+
+        for (const method of ['PUT', 'DELETE', 'PATCH']) {
+            const res = await sendApiRequest(app, method, 'devices/drc3XdxNtzoucpw9xiRp',
+                method !== 'DELETE' ? {name: 'Device #1'} : undefined, device1);
+
+            assert.equal(res.status, 200, method);
+            assert.deepEqual(res.body.data, {method});
+        }
+
+        assert.equal((await sendApiRequest(app, 'HEAD', 'devices/drc3XdxNtzoucpw9xiRp', undefined, device1)).status,
+            200);
+        assert.equal((await sendApiRequest(app, 'PUT', 'devices/drc3XdxNtzoucpw9xiRp', {
+            name: 'Device #1'
+        })).status, 401);
+    });
+
+    it('advertises the HTTP methods in use in the CORS preflight response', async () => {
+        await sendCommand(app, 'POST', '/http-stubs', {
+            expectedRequest: {
+                httpMethod: 'DELETE',
+                apiMethodPath: 'devices/drc3XdxNtzoucpw9xiRp'
+            }
+        });
+
+        const res = await fetch(`http://localhost:${app.apiPort}/api/0.13/devices/drc3XdxNtzoucpw9xiRp`, {
+            method: 'OPTIONS',
+            headers: {
+                origin: 'http://localhost',
+                'access-control-request-method': 'DELETE'
+            }
+        });
+
+        assert.equal(res.status, 204);
+        assert.equal(res.headers.get('access-control-allow-methods'), 'POST, GET, DELETE, OPTIONS');
+    });
+});
+
+describe('Response latency', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp(3810, 3811);
+    });
+
+    after(async () => {
+        await stopApp(app);
+    });
+
+    const url = () => `http://localhost:${app.apiPort}/api/0.13/messages/mdx8vuCGWdb6mDZOvJ2i`;
+
+    /**
+     * @param {ResponseLatency} [latency]
+     * @return {HttpContext}
+     */
+    function newHttpContext(latency) {
+        return {
+            expectedRequest: {
+                httpMethod: 'GET',
+                apiMethodPath: 'messages/mdx8vuCGWdb6mDZOvJ2i',
+                authenticate: false
+            },
+            requiredResponse: {
+                data: '{"msgData":"Hello"}'
+            },
+            latency
+        };
+    }
+
+    it('delays the response by the HTTP context latency', async () => {
+        await sendCommand(app, 'POST', '/http-context', newHttpContext({min: 200, max: 250}));
+
+        const start = Date.now();
+        const res = await sendApiRequest(app, 'GET', 'messages/mdx8vuCGWdb6mDZOvJ2i');
+
+        assert.equal(res.status, 200);
+        assert.ok(Date.now() - start >= 200);
+    });
+
+    it('delays the response by the global latency, unless overridden by the HTTP context', async () => {
+        assert.equal((await sendCommand(app, 'POST', '/api-settings', {latency: 200})).status, 200);
+        await sendCommand(app, 'POST', '/http-context', newHttpContext());
+
+        let start = Date.now();
+
+        await sendApiRequest(app, 'GET', 'messages/mdx8vuCGWdb6mDZOvJ2i');
+        assert.ok(Date.now() - start >= 200);
+
+        await sendCommand(app, 'POST', '/http-context', newHttpContext(0));
+        start = Date.now();
+
+        await sendApiRequest(app, 'GET', 'messages/mdx8vuCGWdb6mDZOvJ2i');
+        assert.ok(Date.now() - start < 200);
+
+        await sendCommand(app, 'POST', '/api-settings', {});
+    });
+
+    it('delays the response body separately from its headers', async () => {
+        await sendCommand(app, 'POST', '/http-context', newHttpContext({headers: 0, body: 300}));
+
+        const start = Date.now();
+        const res = await fetch(url());
+
+        assert.equal(res.status, 200);
+        assert.ok(Date.now() - start < 300);
+        assert.deepEqual((await res.json()).data, {msgData: 'Hello'});
+        assert.ok(Date.now() - start >= 300);
+    });
+
+    it('never responds', async () => {
+        await sendCommand(app, 'POST', '/http-context', newHttpContext('never'));
+
+        await assert.rejects(fetch(url(), {signal: AbortSignal.timeout(300)}), {name: 'TimeoutError'});
+    });
+
+    it('rejects an invalid latency', async () => {
+        assert.equal((await sendCommand(app, 'POST', '/api-settings', {latency: {min: 5, max: 1}})).status, 400);
+        assert.equal((await sendCommand(app, 'POST', '/http-context', newHttpContext(-1))).status, 400);
+    });
+});
+
+describe('Network faults', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp(3810, 3811);
+    });
+
+    after(async () => {
+        await stopApp(app);
+    });
+
+    /**
+     * Set an HTTP context that simulates a given network fault, and send a request that matches it.
+     * @param {ResponseFault} fault
+     * @return {Promise<Response>}
+     */
+    async function fetchWithFault(fault) {
+        await sendCommand(app, 'POST', '/http-context', {
+            expectedRequest: {
+                httpMethod: 'GET',
+                apiMethodPath: 'messages/mdx8vuCGWdb6mDZOvJ2i',
+                authenticate: false
+            },
+            requiredResponse: {
+                data: '{"msgData":"Hello"}',
+                fault
+            }
+        });
+
+        return fetch(`http://localhost:${app.apiPort}/api/0.13/messages/mdx8vuCGWdb6mDZOvJ2i`);
+    }
+
+    it('resets the connection', async () => {
+        await assert.rejects(fetchWithFault('connection-reset'), err => err.cause.code === 'ECONNRESET');
+    });
+
+    it('closes the connection without a response', async () => {
+        await assert.rejects(fetchWithFault('close-without-response'), TypeError);
+    });
+
+    it('sends a truncated body', async () => {
+        const res = await fetchWithFault('truncated-body');
+
+        assert.equal(res.status, 200);
+        await assert.rejects(res.text(), TypeError);
+    });
+
+    it('sends a malformed JSON', async () => {
+        const res = await fetchWithFault('malformed-json');
+        const text = await res.text();
+
+        assert.equal(res.status, 200);
+        assert.throws(() => JSON.parse(text), SyntaxError);
+        assert.match(text, /"msgData": "Hello"/);
+    });
+
+    it('sends a wrong content length', async () => {
+        const res = await fetchWithFault('wrong-content-length');
+
+        assert.equal(res.status, 200);
+        await assert.rejects(res.text(), TypeError);
+    });
+
+    it('simulates a fault without a required response status', async () => {
+        await sendCommand(app, 'POST', '/http-context', {
+            expectedRequest: {
+                httpMethod: 'GET',
+                apiMethodPath: 'messages/mdx8vuCGWdb6mDZOvJ2i',
+                authenticate: false
+            },
+            requiredResponse: {
+                fault: 'malformed-json'
+            }
+        });
+
+        const res = await fetch(`http://localhost:${app.apiPort}/api/0.13/messages/mdx8vuCGWdb6mDZOvJ2i`);
+        const text = await res.text();
+
+        assert.equal(res.status, 200);
+        assert.throws(() => JSON.parse(text), SyntaxError);
+    });
+
+    it('rejects an unknown fault', async () => {
+        assert.equal((await sendCommand(app, 'POST', '/http-context', {
+            expectedRequest: {
+                httpMethod: 'GET',
+                apiMethodPath: 'messages/mdx8vuCGWdb6mDZOvJ2i'
+            },
+            requiredResponse: {
+                fault: 'timeout'
+            }
+        })).status, 400);
+    });
+});
+
+describe('Response headers and compression', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp(3810, 3811);
+    });
+
+    after(async () => {
+        await stopApp(app);
+    });
+
+    const url = () => `http://localhost:${app.apiPort}/api/0.13/messages/mdx8vuCGWdb6mDZOvJ2i`;
+
+    /**
+     * @param {Object} [requiredResponse]
+     * @return {HttpContext}
+     */
+    function newHttpContext(requiredResponse) {
+        return {
+            expectedRequest: {
+                httpMethod: 'GET',
+                apiMethodPath: 'messages/:messageId',
+                authenticate: false
+            },
+            requiredResponse: {
+                data: '{"msgData":"Hello"}',
+                ...requiredResponse
+            }
+        };
+    }
+
+    it('sends the additional response headers, rendering them if required', async () => {
+        await sendCommand(app, 'POST', '/http-context', newHttpContext({
+            headers: {
+                'X-Message-Id': '{{request.params.messageId}}'
+            },
+            template: true
+        }));
+
+        const res = await fetch(url());
+
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('x-message-id'), 'mdx8vuCGWdb6mDZOvJ2i');
+    });
+
+    it('compresses the response body with an encoding accepted by the client when required', async () => {
+        await sendCommand(app, 'POST', '/http-context', newHttpContext({compress: true}));
+
+        let res = await fetch(url(), {headers: {'accept-encoding': 'deflate, gzip;q=0'}});
+
+        assert.equal(res.headers.get('content-encoding'), 'deflate');
+        assert.deepEqual((await res.json()).data, {msgData: 'Hello'});
+
+        res = await fetch(url(), {headers: {'accept-encoding': 'gzip, deflate'}});
+
+        assert.equal(res.headers.get('content-encoding'), 'gzip');
+        assert.equal(res.headers.get('vary'), 'Accept-Encoding');
+        assert.deepEqual((await res.json()).data, {msgData: 'Hello'});
+
+        res = await fetch(url(), {headers: {'accept-encoding': 'identity'}});
+
+        assert.equal(res.headers.get('content-encoding'), null);
+    });
+
+    it('compresses the response body according to the global compression threshold', async () => {
+        assert.equal((await sendCommand(app, 'POST', '/api-settings', {compression: {threshold: 1}})).status, 200);
+        await sendCommand(app, 'POST', '/http-context', newHttpContext());
+
+        assert.equal((await fetch(url(), {headers: {'accept-encoding': 'gzip'}})).headers.get('content-encoding'),
+            'gzip');
+
+        await sendCommand(app, 'POST', '/http-context', newHttpContext({compress: false}));
+
+        assert.equal((await fetch(url(), {headers: {'accept-encoding': 'gzip'}})).headers.get('content-encoding'),
+            null);
+
+        await sendCommand(app, 'POST', '/api-settings', {compression: {threshold: 1000}});
+        await sendCommand(app, 'POST', '/http-context', newHttpContext());
+
+        assert.equal((await fetch(url(), {headers: {'accept-encoding': 'gzip'}})).headers.get('content-encoding'),
+            null);
+
+        await sendCommand(app, 'POST', '/api-settings', {});
+    });
+
+    it('rejects additional response headers with invalid names or values', async () => {
+        let res = await sendCommand(app, 'POST', '/http-context', newHttpContext({headers: {'X Bad': 'value'}}));
+
+        assert.equal(res.status, 400);
+
+        res = await sendCommand(app, 'POST', '/http-context', newHttpContext({headers: {'X-Bad': 'a\nb'}}));
+
+        assert.equal(res.status, 400);
+    });
+
+    it('sends an error response if a rendered response header value is invalid', async () => {
+        await sendCommand(app, 'POST', '/http-context', {
+            expectedRequest: {
+                httpMethod: 'POST',
+                apiMethodPath: 'messages/log',
+                dataMatch: {
+                    partial: true
+                },
+                data: '{}',
+                authenticate: false
+            },
+            requiredResponse: {
+                data: '{"messageId":"mdx8vuCGWdb6mDZOvJ2i"}',
+                headers: {
+                    'X-Value': 'v={{request.body.message}}'
+                },
+                template: true
+            }
+        });
+
+        const postMessage = message => fetch(`http://localhost:${app.apiPort}/api/0.13/messages/log`, {
+            method: 'POST',
+            headers: {'content-type': 'application/json'},
+            body: JSON.stringify({message})
+        });
+        let res = await postMessage('a\nb');
+
+        assert.equal(res.status, 500);
+        assert.equal((await res.json()).message, 'Invalid rendered response headers');
+
+        res = await postMessage('ab');
+
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get('x-value'), 'v=ab');
+        assert.equal(app.exitCode, null);
+    });
+});
+
+describe('Encoded request bodies', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp(3810, 3811);
+    });
+
+    after(async () => {
+        await stopApp(app);
+    });
+
+    const data = '{"message":"Hello"}';
+
+    /**
+     * @param {(Buffer|string)} body
+     * @param {string} contentEncoding
+     * @return {Promise<Response>}
+     */
+    function postEncoded(body, contentEncoding) {
+        return fetch(`http://localhost:${app.apiPort}/api/0.13/messages/log`, {
+            method: 'POST',
+            headers: {
+                'content-type': 'application/json',
+                'content-encoding': contentEncoding
+            },
+            body
+        });
+    }
+
+    it('decodes gzip, brotli and deflate request bodies', async () => {
+        await sendCommand(app, 'POST', '/http-stubs', [{
+            expectedRequest: {
+                httpMethod: 'POST',
+                apiMethodPath: 'messages/log',
+                data,
+                authenticate: false
+            }
+        }]);
+
+        assert.equal((await postEncoded(zlib.gzipSync(data), 'gzip')).status, 200);
+        assert.equal((await postEncoded(zlib.brotliCompressSync(data), 'br')).status, 200);
+        assert.equal((await postEncoded(zlib.deflateSync(data), 'deflate')).status, 200);
+        assert.equal((await postEncoded(zlib.gzipSync(zlib.deflateSync(data)), 'deflate, gzip')).status, 200);
+    });
+
+    it('matches the encoding with which the request body has been sent', async () => {
+        await sendCommand(app, 'POST', '/http-stubs', [{
+            expectedRequest: {
+                httpMethod: 'POST',
+                apiMethodPath: 'messages/log',
+                data,
+                dataEncoding: 'br',
+                authenticate: false
+            }
+        }]);
+
+        assert.equal((await postEncoded(zlib.brotliCompressSync(data), 'br')).status, 200);
+
+        const res = await postEncoded(zlib.gzipSync(data), 'gzip');
+
+        assert.equal(res.status, 500);
+        assert.equal((await res.json()).message, 'No matching HTTP stub for request: POST /api/0.13/messages/log');
+    });
+
+    it('rejects a request body that cannot be decoded', async () => {
+        let res = await postEncoded(data, 'gzip');
+
+        assert.equal(res.status, 400);
+        assert.match((await res.json()).message, /data not valid for content encoding: gzip/);
+
+        res = await postEncoded(data, 'compress');
+
+        assert.equal(res.status, 415);
+        assert.match((await res.json()).message, /unsupported content encoding: compress/);
+    });
+
+    it('rejects an inherited object property name as a content encoding', async () => {
+        const res = await postEncoded(data, 'constructor');
+
+        assert.equal(res.status, 415);
+        assert.match((await res.json()).message, /unsupported content encoding: constructor/);
+        assert.equal(app.exitCode, null);
+    });
+
+    it('rejects a command request body that cannot be decoded', async () => {
+        /**
+         * @param {string} contentEncoding
+         * @return {Promise<Response>}
+         */
+        function postCommand(contentEncoding) {
+            return fetch(`http://localhost:${app.cmdPort}/http-stubs`, {
+                method: 'POST',
+                headers: {
+                    'content-type': 'application/json',
+                    'content-encoding': contentEncoding
+                },
+                body: '[]'
+            });
+        }
+
+        let res = await postCommand('gzip');
+
+        assert.equal(res.status, 400);
+        assert.match(await res.text(), /data not valid for content encoding: gzip/);
+
+        res = await postCommand('compress');
+
+        assert.equal(res.status, 415);
+        assert.equal(app.exitCode, null);
+        assert.equal((await sendCommand(app, 'POST', '/http-stubs', [])).status, 200);
+    });
+});
+
+describe('Request journal', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp(3810, 3811);
+        await sendCommand(app, 'POST', '/device-credentials', device1);
+    });
+
+    after(async () => {
+        await stopApp(app);
+    });
+
+    it('records the received requests, and how they have been processed', async () => {
+        await sendCommand(app, 'POST', '/http-stubs', {
+            id: 'log-message',
+            expectedRequest: {
+                httpMethod: 'POST',
+                apiMethodPath: 'messages/log',
+                data: '{"message":"Hello"}'
+            },
+            requiredResponse: {
+                data: '{"messageId":"mdx8vuCGWdb6mDZOvJ2i"}'
+            }
+        });
+
+        await sendApiRequest(app, 'POST', 'messages/log', {message: 'Hello'}, device1);
+        await sendApiRequest(app, 'GET', 'messages/mdx8vuCGWdb6mDZOvJ2i');
+
+        const entries = JSON.parse((await sendCommand(app, 'GET', '/requests')).body);
+
+        assert.equal(entries.length, 2);
+        assert.equal(entries[0].request.method, 'POST');
+        assert.equal(entries[0].request.url, '/api/0.13/messages/log');
+        assert.equal(entries[0].request.path, 'messages/log');
+        assert.equal(entries[0].request.body, '{"message":"Hello"}');
+        assert.equal(entries[0].deviceId, device1.deviceId);
+        assert.deepEqual(entries[0].matchedBy, {type: 'httpStub', index: 0, id: 'log-message'});
+        assert.equal(entries[0].response.statusCode, 200);
+        assert.deepEqual(JSON.parse(entries[0].response.body).data, {messageId: 'mdx8vuCGWdb6mDZOvJ2i'});
+        assert.ok(entries[0].duration >= 0);
+        assert.equal(entries[1].matchedBy, undefined);
+        assert.equal(entries[1].response.statusCode, 500);
+    });
+
+    it('filters the received requests', async () => {
+        const query = new URLSearchParams({
+            path: 'messages/:messageId',
+            method: 'get'
+        });
+        const entries = JSON.parse((await sendCommand(app, 'GET', `/requests?${query}`)).body);
+
+        assert.deepEqual(entries.map(entry => entry.request.path), ['messages/mdx8vuCGWdb6mDZOvJ2i']);
+        assert.equal(JSON.parse((await sendCommand(app, 'GET', `/requests?deviceId=${device1.deviceId}`)).body)
+            .length, 1);
+    });
+
+    it('clears the received requests', async () => {
+        assert.equal((await sendCommand(app, 'POST', '/requests/clear')).status, 200);
+        assert.deepEqual(JSON.parse((await sendCommand(app, 'GET', '/requests')).body), []);
+    });
+
+    it('records the parameters captured from the request path', async () => {
+        await sendCommand(app, 'POST', '/requests/clear');
+        await sendCommand(app, 'POST', '/http-stubs', {
+            expectedRequest: {
+                httpMethod: 'GET',
+                apiMethodPath: 'messages/:messageId/container',
+                authenticate: false
+            }
+        });
+        await sendCommand(app, 'POST', '/emulation', {enabled: true});
+
+        await sendApiRequest(app, 'GET', 'messages/mdx8vuCGWdb6mDZOvJ2i/container');
+        await sendApiRequest(app, 'GET', 'messages/mdx8vuCGWdb6mDZOvJ2i', undefined, device1);
+        await sendApiRequest(app, 'POST', 'messages/log', {message: 'Hello'}, device1);
+        await sendCommand(app, 'POST', '/emulation', {enabled: false});
+
+        const entries = JSON.parse((await sendCommand(app, 'GET', '/requests')).body);
+
+        assert.deepEqual(entries.map(entry => entry.params), [
+            {messageId: 'mdx8vuCGWdb6mDZOvJ2i'},
+            {messageId: 'mdx8vuCGWdb6mDZOvJ2i'},
+            {}
+        ]);
+        assert.equal(entries[1].matchedBy.type, 'emulator');
+    });
+});
+
+describe('Request verification', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp(3810, 3811);
+        await sendCommand(app, 'POST', '/http-stubs', {
+            expectedRequest: {
+                httpMethod: 'POST',
+                apiMethodPath: 'messages/send',
+                dataMatch: {
+                    partial: true
+                },
+                data: '{}',
+                authenticate: false
+            }
+        });
+
+        for (const targetDeviceId of ['d8YpQ7jgPBJEkBrnvp58', 'd8YpQ7jgPBJEkBrnvp58', 'dOTHER', 'd8YpQ7jgPBJEkBrnvp58']) {
+            await sendApiRequest(app, 'POST', 'messages/send', {
+                message: 'Hello',
+                targetDevice: {
+                    id: targetDeviceId
+                }
+            });
+        }
+
+        await sendApiRequest(app, 'GET', 'messages/mdx8vuCGWdb6mDZOvJ2i');
+    });
+
+    after(async () => {
+        await stopApp(app);
+    });
+
+    /**
+     * @param {RequestCount} [count]
+     * @return {Promise<RequestVerificationResult>}
+     */
+    async function verify(count) {
+        const res = await sendCommand(app, 'POST', '/verify', {
+            expectedRequest: {
+                httpMethod: 'POST',
+                apiMethodPath: 'messages/send',
+                data: '{"targetDevice":{"id":"d8YpQ7jgPBJEkBrnvp58"}}',
+                dataMatch: {
+                    partial: true
+                }
+            },
+            count
+        });
+
+        assert.equal(res.status, 200);
+
+        return JSON.parse(res.body);
+    }
+
+    it('passes when the request has been received the expected number of times', async () => {
+        const result = await verify({exactly: 3});
+
+        assert.equal(result.passed, true);
+        assert.equal(result.count, 3);
+        assert.deepEqual(result.matches, [1, 2, 4]);
+        assert.equal(result.message, undefined);
+        assert.equal((await verify()).passed, true);
+        assert.equal((await verify({atLeast: 2, atMost: 3})).passed, true);
+    });
+
+    it('fails when the request has not been received the expected number of times', async () => {
+        let result = await verify({atMost: 2});
+
+        assert.equal(result.passed, false);
+        assert.equal(result.message, 'Request received 3 time(s); expected: at most 2 time(s)');
+
+        result = await verify('never');
+
+        assert.equal(result.passed, false);
+        assert.equal(result.message, 'Request received 3 time(s); expected: never');
+    });
+
+    it('reports the near misses for the same API method path', async () => {
+        const result = await verify({exactly: 3});
+
+        assert.equal(result.nearMisses.length, 1);
+        assert.equal(result.nearMisses[0].seqNum, 3);
+        assert.equal(result.nearMisses[0].url, '/api/0.13/messages/send');
+        assert.match(result.nearMisses[0].reason, /^Unexpected HTTP request body/);
+    });
+
+    it('rejects an invalid request verification', async () => {
+        assert.equal((await sendCommand(app, 'POST', '/verify', {
+            expectedRequest: {
+                httpMethod: 'POST',
+                apiMethodPath: 'messages/send'
+            },
+            count: {exactly: -1}
+        })).status, 400);
+    });
+
+    it('reports the received requests discarded from the journal', async () => {
+        assert.equal((await sendCommand(app, 'POST', '/requests/settings', {maxEntries: 0})).status, 400);
+        assert.equal((await sendCommand(app, 'POST', '/requests/settings', {maxEntries: 2})).status, 200);
+        await sendCommand(app, 'POST', '/requests/clear');
+
+        for (let idx = 0; idx < 3; idx++) {
+            await sendApiRequest(app, 'GET', 'messages/m123');
+        }
+
+        const res = await sendCommand(app, 'POST', '/verify', {
+            expectedRequest: {
+                httpMethod: 'GET',
+                apiMethodPath: 'messages/m123'
+            },
+            count: {
+                exactly: 3
+            }
+        });
+        const result = JSON.parse(res.body);
+
+        assert.equal(result.passed, false);
+        assert.equal(result.count, 2);
+        assert.equal(result.droppedEntries, 1);
+        assert.equal(JSON.parse((await sendCommand(app, 'GET', '/requests/settings')).body).maxEntries, 2);
+    });
+});
+
+describe('Mismatch reports', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp(3810, 3811);
+    });
+
+    after(async () => {
+        await stopApp(app);
+    });
+
+    it('reports every aspect of the request that does not match the HTTP context', async () => {
+        await sendCommand(app, 'POST', '/http-context', {
+            expectedRequest: {
+                httpMethod: 'POST',
+                apiMethodPath: 'messages/send',
+                headers: {
+                    'Content-Encoding': 'deflate'
+                },
+                data: '{"targetDevice":{"id":"d8YpQ7jgPBJEkBrnvp58"},"message":"Test message"}',
+                dataMatch: {
+                    mode: 'json'
+                },
+                authenticate: false
+            }
+        });
+
+        const res = await sendApiRequest(app, 'POST', 'messages/send', {
+            targetDevice: {
+                id: 'dOTHER'
+            },
+            message: 'Test message'
+        });
+
+        assert.equal(res.status, 500);
+
+        const mismatchReport = res.body.mismatchReport;
+
+        assert.equal(mismatchReport.seqNum, 1);
+        assert.deepEqual(mismatchReport.request, {method: 'POST', url: '/api/0.13/messages/send'});
+        assert.deepEqual(mismatchReport.httpContext.mismatches.map(mismatch => mismatch.aspect), ['header', 'body']);
+        assert.deepEqual(mismatchReport.httpContext.mismatches[0], {
+            aspect: 'header',
+            name: 'Content-Encoding',
+            expected: 'deflate',
+            message: 'Missing required HTTP header: Content-Encoding'
+        });
+        assert.deepEqual(mismatchReport.httpContext.mismatches[1].diff, [{
+            path: '$.targetDevice.id',
+            kind: 'changed',
+            expected: 'd8YpQ7jgPBJEkBrnvp58',
+            received: 'dOTHER'
+        }]);
+        assert.deepEqual(JSON.parse((await sendCommand(app, 'GET', '/mismatches')).body), [mismatchReport]);
+    });
+
+    it('reports the HTTP stub that most closely matches the request', async () => {
+        await sendCommand(app, 'POST', '/http-context', []);
+        await sendCommand(app, 'POST', '/http-stubs', [{
+            id: 'read-message',
+            expectedRequest: {
+                httpMethod: 'GET',
+                apiMethodPath: 'messages/:messageId',
+                authenticate: false
+            }
+        }, {
+            id: 'log-message',
+            expectedRequest: {
+                httpMethod: 'POST',
+                apiMethodPath: 'messages/log',
+                data: '{"message":"Hello"}',
+                authenticate: false
+            }
+        }, {
+            id: 'send-message',
+            expectedRequest: {
+                httpMethod: 'POST',
+                apiMethodPath: 'messages/send',
+                authenticate: false
+            }
+        }]);
+
+        const res = await sendApiRequest(app, 'POST', 'messages/log', {message: 'Bye'});
+        const closestStub = res.body.mismatchReport.closestStub;
+
+        assert.equal(res.status, 500);
+        assert.equal(closestStub.index, 1);
+        assert.equal(closestStub.id, 'log-message');
+        assert.deepEqual(closestStub.mismatches.map(mismatch => mismatch.aspect), ['body']);
+        assert.equal(res.body.mismatchReport.httpContext, undefined);
+    });
+});
+
+describe('API emulation', () => {
+    let app;
+
+    before(async () => {
+        app = await startApp(3810, 3811);
+        await sendCommand(app, 'POST', '/device-credentials', device1);
+    });
+
+    after(async () => {
+        await stopApp(app);
+    });
+
+    it('processes the requests that do not match any HTTP context with the API emulator', async () => {
+        assert.equal((await sendCommand(app, 'POST', '/emulation', {enabled: true})).status, 200);
+
+        const {messageId} = (await sendApiRequest(app, 'POST', 'messages/log', {message: 'Hello'}, device1)).body.data;
+        const res = await sendApiRequest(app, 'GET', `messages/${messageId}`, undefined, device1);
+
+        assert.equal(res.status, 200);
+        assert.equal(res.body.data.msgData, 'Hello');
+        assert.deepEqual(JSON.parse((await sendCommand(app, 'GET', '/requests')).body)[0].matchedBy, {
+            type: 'emulator'
+        });
+    });
+
+    it('sets and retrieves the emulation credits', async () => {
+        assert.equal((await sendCommand(app, 'POST', '/emulation/credits', {
+            devices: {
+                [device1.deviceId]: 10
+            }
+        })).status, 200);
+
+        await sendApiRequest(app, 'POST', 'messages/log', {message: 'Hello'}, device1);
+
+        const credits = JSON.parse((await sendCommand(app, 'GET', '/emulation/credits')).body);
+
+        assert.deepEqual(credits.devices, {
+            [device1.deviceId]: 9.5
+        });
+        assert.deepEqual(credits.clients, {});
+
+        const res = await sendCommand(app, 'POST', '/emulation/credits', {prices: {bogusService: 1}});
+
+        assert.equal(res.status, 400);
+        assert.match(res.body, /Invalid emulation credits/);
+        assert.equal((await sendCommand(app, 'POST', '/emulation/credits', {})).status, 200);
+    });
+
+    it('identifies the target devices by their product unique ID', async () => {
+        assert.equal((await sendCommand(app, 'POST', '/device-credentials', {
+            ...device2,
+            public: 'yes'
+        })).status, 400);
+        assert.equal((await sendCommand(app, 'POST', '/device-credentials', [device1, {
+            ...device2,
+            name: 'Device #2',
+            prodUniqueId: 'PUID-2'
+        }])).status, 200);
+
+        const res = await sendApiRequest(app, 'POST', 'messages/send', {
+            message: 'Hello',
+            targetDevice: {
+                id: 'PUID-2',
+                isProdUniqueId: true
+            }
+        }, device1);
+
+        assert.equal(res.status, 200);
+        assert.equal((await sendApiRequest(app, 'GET', `messages/${res.body.data.messageId}`, undefined, device2))
+            .body.data.msgInfo.from.deviceId, device1.deviceId);
+    });
+
+    it('requires the emulated requests to be authenticated', async () => {
+        assert.equal((await sendApiRequest(app, 'POST', 'messages/log', {message: 'Hello'})).status, 401);
+    });
+
+    it('returns the emulated API errors', async () => {
+        const res = await sendApiRequest(app, 'GET', 'messages/mXXXXXXXXXXXXXXXXXXX', undefined, device1);
+
+        assert.equal(res.status, 400);
+        assert.equal(res.body.message, 'Invalid message ID');
+    });
+
+    it('discards the emulated state when reset', async () => {
+        await sendApiRequest(app, 'POST', 'messages/log', {message: 'Hello'}, device1);
+        assert.equal((await sendCommand(app, 'POST', '/emulation/reset')).status, 200);
+
+        assert.equal((await sendApiRequest(app, 'GET', 'messages', undefined, device1)).body.data.msgCount, 0);
+    });
+
+    it('does not process the requests with the API emulator when it is disabled', async () => {
+        await sendCommand(app, 'POST', '/emulation', {enabled: false});
+
+        const res = await sendApiRequest(app, 'GET', 'messages', undefined, device1);
+
+        assert.equal(res.status, 500);
+        assert.equal(res.body.message, 'Missing HTTP context');
+    });
+
+    it('survives a malformed escape sequence in the path of an emulated request', async () => {
+        await sendCommand(app, 'POST', '/emulation', {enabled: true});
+
+        const res = await sendApiRequest(app, 'GET', 'messages/%ZZ', undefined, device1);
+
+        assert.equal(res.status, 500);
+        assert.equal(res.body.message, 'Missing HTTP context');
+        assert.equal(app.exitCode, null);
+    });
+});
+
+describe('Notification rules', () => {
+    const rule = {
+        trigger: {
+            httpMethod: 'POST',
+            apiMethodPath: 'messages/send'
+        },
+        notify: {
+            deviceId: '{{request.body.targetDevice.id}}',
+            eventName: 'new-msg-received',
+            data: '{"messageId":"{{response.body.data.messageId}}","from":{"deviceId":"{{deviceId}}"}}'
+        }
+    };
+    let app;
+
+    before(async () => {
+        app = await startApp(3810, 3811);
+        await sendCommand(app, 'POST', '/device-credentials', [device1, device2]);
+        await sendCommand(app, 'POST', '/emulation', {enabled: true});
+    });
+
+    after(async () => {
+        await stopApp(app);
+    });
+
+    it('sets and retrieves the notification rules', async () => {
+        assert.equal((await sendCommand(app, 'POST', '/notify-rules', rule)).status, 200);
+        assert.deepEqual(JSON.parse((await sendCommand(app, 'GET', '/notify-rules')).body), [rule]);
+    });
+
+    it('rejects invalid notification rules', async () => {
+        const res = await sendCommand(app, 'POST', '/notify-rules', {
+            ...rule,
+            notify: {
+                ...rule.notify,
+                eventName: 'bogus-event'
+            }
+        });
+
+        assert.equal(res.status, 400);
+        assert.match(res.body, /Invalid notification rules/);
+    });
+
+    it('dispatches a notification when an API request triggers a rule', async () => {
+        await sendCommand(app, 'POST', '/notify-rules', [rule]);
+
+        const {ws, messages} = await openNotifyChannel(app, 'new-msg-received', device2);
+
+        try {
+            // A failed request (status code other than 200) does not trigger the rule
+            await sendApiRequest(app, 'POST', 'messages/send', {
+                message: 'Hello',
+                targetDevice: {
+                    id: 'dXXXXXXXXXXXXXXXXXXX'
+                }
+            }, device1);
+
+            const res = await sendApiRequest(app, 'POST', 'messages/send', {
+                message: 'Hello',
+                targetDevice: {
+                    id: device2.deviceId
+                }
+            }, device1);
+
+            for (let attempt = 0; attempt < 100 && messages.length === 0; attempt++) {
+                await delay(20);
+            }
+
+            assert.deepEqual(messages, [{
+                messageId: res.body.data.messageId,
+                from: {
+                    deviceId: device1.deviceId
+                }
+            }]);
+        }
+        finally {
+            ws.close();
+        }
+    });
+});
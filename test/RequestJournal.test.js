@@ -0,0 +1,97 @@
+/**
+ * Tests for the request journal.
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RequestJournal } from '../src/RequestJournal.js';
+
+/**
+ * @param {string} method
+ * @param {string} path
+ * @return {JournalRequestInfo}
+ */
+function newRequest(method, path) {
+    return {
+        method,
+        url: `/api/0.13/${path}`,
+        path,
+        headers: {}
+    };
+}
+
+describe('RequestJournal', () => {
+    it('finds entries by path template, method and device ID', () => {
+        const journal = new RequestJournal();
+
+        journal.addEntry(newRequest('POST', 'assets/issue')).deviceId = 'd1';
+        journal.addEntry(newRequest('GET', 'messages/m123')).deviceId = 'd2';
+        journal.addEntry(newRequest('GET', 'messages/m456')).deviceId = 'd1';
+
+        assert.deepEqual(journal.find({path: 'messages/:messageId'}).map(entry => entry.seqNum), [2, 3]);
+        assert.deepEqual(journal.find({method: 'post'}).map(entry => entry.seqNum), [1]);
+        assert.deepEqual(journal.find({deviceId: 'd1'}).map(entry => entry.seqNum), [1, 3]);
+        assert.equal(journal.find().length, 3);
+    });
+
+    it('records the response sent', () => {
+        const journal = new RequestJournal();
+        const entry = journal.addEntry(newRequest('GET', 'messages/m123'));
+
+        journal.recordResponse(entry, {statusCode: 200});
+
+        assert.equal(entry.response.statusCode, 200);
+        assert.ok(entry.duration >= 0);
+    });
+
+    it('discards the oldest entries when the maximum number of entries is reached', () => {
+        const journal = new RequestJournal(2);
+
+        for (let idx = 0; idx < 5; idx++) {
+            journal.addEntry(newRequest('POST', 'messages/log'));
+        }
+
+        assert.deepEqual(journal.entries.map(entry => entry.seqNum), [4, 5]);
+
+        journal.clear();
+
+        assert.equal(journal.entries.length, 0);
+        assert.equal(journal.addEntry(newRequest('POST', 'messages/log')).seqNum, 6);
+    });
+
+    it('counts the entries discarded when the maximum number of entries is reached', () => {
+        const journal = new RequestJournal(2);
+
+        for (let idx = 0; idx < 5; idx++) {
+            journal.addEntry(newRequest('POST', 'messages/log'));
+        }
+
+        assert.equal(journal.droppedEntries, 3);
+
+        journal.clear();
+
+        assert.equal(journal.droppedEntries, 0);
+    });
+
+    it('applies a new maximum number of entries', () => {
+        const journal = new RequestJournal();
+
+        for (let idx = 0; idx < 3; idx++) {
+            journal.addEntry(newRequest('POST', 'messages/log'));
+        }
+
+        journal.settings = {maxEntries: 1};
+
+        assert.deepEqual(journal.settings, {maxEntries: 1});
+        assert.deepEqual(journal.entries.map(entry => entry.seqNum), [3]);
+        assert.equal(journal.droppedEntries, 2);
+    });
+
+    it('rejects invalid settings', () => {
+        const journal = new RequestJournal();
+
+        assert.throws(() => journal.settings = {maxEntries: 0}, TypeError);
+        assert.throws(() => journal.settings = {maxEntries: 1.5}, TypeError);
+        assert.throws(() => journal.settings = {}, TypeError);
+        assert.equal(journal.maxEntries, 1000);
+    });
+});
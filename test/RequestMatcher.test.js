@@ -0,0 +1,210 @@
+/**
+ * Tests for the request matching functions.
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    findJsonMismatch,
+    findJsonDifferences,
+    isValidJsonSchema,
+    findJsonSchemaErrors,
+    isValidJsonPathPredicate,
+    findJsonPathPredicateFailure,
+    isValidValueMatcher,
+    isValueMatch,
+    describeValueMatcher,
+    matchPathTemplate
+} from '../src/RequestMatcher.js';
+
+describe('findJsonMismatch', () => {
+    it('ignores the order of the object properties', () => {
+        assert.equal(findJsonMismatch({a: 1, b: [1, {c: 2}]}, {b: [1, {c: 2}], a: 1}), undefined);
+    });
+
+    it('reports the path of the first value that does not match', () => {
+        assert.equal(findJsonMismatch({a: 1, b: [1, {c: 2}]}, {a: 1, b: [1, {c: 3}]}), '$.b[1].c');
+        assert.equal(findJsonMismatch({a: [1, 2]}, {a: [1]}), '$.a');
+        assert.equal(findJsonMismatch({a: 1}, {}), '$.a');
+    });
+
+    it('rejects extra object properties unless the match is partial', () => {
+        assert.equal(findJsonMismatch({a: 1}, {a: 1, b: 2}), '$.b');
+        assert.equal(findJsonMismatch({a: {b: 1}}, {a: {b: 1, c: 2}, d: 3}, {partial: true}), undefined);
+    });
+
+    it('does not compare the ignored fields', () => {
+        assert.equal(findJsonMismatch({options: {nonce: 'x', encoding: 'utf8'}}, {
+            options: {nonce: 'y', encoding: 'utf8'}
+        }, {ignoreFields: ['options.nonce']}), undefined);
+        assert.equal(findJsonMismatch({items: [{id: 1, ts: 1}, {id: 2, ts: 2}]}, {
+            items: [{id: 1, ts: 3}, {id: 2}]
+        }, {ignoreFields: ['items.*.ts']}), undefined);
+    });
+
+    it('does not take inherited object properties for expected or received ones', () => {
+        assert.equal(findJsonMismatch({message: 'x'}, JSON.parse('{"message":"x","constructor":1}')), '$.constructor');
+        assert.equal(findJsonMismatch({message: 'x'}, JSON.parse('{"message":"x","toString":"y"}')), '$.toString');
+        assert.equal(findJsonMismatch(JSON.parse('{"message":"x","constructor":1}'), {message: 'x'}, {partial: true}),
+            '$.constructor');
+    });
+});
+
+describe('findJsonDifferences', () => {
+    it('lists every difference', () => {
+        assert.deepEqual(findJsonDifferences({a: 1, b: {c: 2}, d: [1]}, {a: 2, b: {e: 3}, d: [1], f: null}), [
+            {path: '$.f', kind: 'unexpected', expected: undefined, received: null},
+            {path: '$.a', kind: 'changed', expected: 1, received: 2},
+            {path: '$.b.e', kind: 'unexpected', expected: undefined, received: 3},
+            {path: '$.b.c', kind: 'missing', expected: 2, received: undefined}
+        ]);
+    });
+
+    it('lists no differences for matching JSON values', () => {
+        assert.deepEqual(findJsonDifferences({a: [1, {b: 2}]}, {a: [1, {b: 2}]}), []);
+    });
+});
+
+describe('JSON schema', () => {
+    const schema = {
+        type: 'object',
+        properties: {
+            message: {
+                type: 'string'
+            }
+        },
+        required: ['message']
+    };
+
+    it('accepts a valid schema', () => {
+        assert.equal(isValidJsonSchema(schema), true);
+    });
+
+    it('rejects an invalid schema', () => {
+        assert.equal(isValidJsonSchema({type: 'bogus'}), false);
+    });
+
+    it('reports the validation errors', () => {
+        assert.equal(findJsonSchemaErrors(schema, {message: 'Hello'}), undefined);
+        assert.match(findJsonSchemaErrors(schema, {}), /must have required property 'message'/);
+    });
+
+    it('accepts the same schema (with an $id) more than once', () => {
+        const newSchema = () => ({
+            $id: 'https://example.com/log-message.json',
+            ...schema
+        });
+
+        assert.equal(isValidJsonSchema(newSchema()), true);
+        assert.equal(isValidJsonSchema(newSchema()), true);
+    });
+});
+
+describe('JSONPath predicates', () => {
+    it('accepts a well formed predicate', () => {
+        assert.equal(isValidJsonPathPredicate({path: '$.items[?(@.price > 10)].name', exists: true}), true);
+        assert.equal(isValidJsonPathPredicate({path: '$.id', regex: '^d\\w{19}$', flags: 'i'}), true);
+    });
+
+    it('rejects a predicate with unknown or invalid options', () => {
+        assert.equal(isValidJsonPathPredicate({path: '$.a', bogus: true}), false);
+        assert.equal(isValidJsonPathPredicate({path: '$.a', regex: '('}), false);
+        assert.equal(isValidJsonPathPredicate({path: '$.a', flags: 'i'}), false);
+        assert.equal(isValidJsonPathPredicate({path: '$.a', type: 'date'}), false);
+        assert.equal(isValidJsonPathPredicate({path: ''}), false);
+    });
+
+    it('reports a predicate that is not satisfied', () => {
+        assert.equal(findJsonPathPredicateFailure({path: '$.a', equals: 1}, {a: 1}), undefined);
+        assert.match(findJsonPathPredicateFailure({path: '$.a', equals: 1}, {a: 2}), /is not equal to 1/);
+        assert.match(findJsonPathPredicateFailure({path: '$.a', regex: '^x'}, {a: 'yx'}), /does not match \/\^x\//);
+        assert.match(findJsonPathPredicateFailure({path: '$.a', type: 'integer'}, {a: 1.5}), /is not of type integer/);
+        assert.equal(findJsonPathPredicateFailure({path: '$.a', type: 'number'}, {a: 1}), undefined);
+        assert.match(findJsonPathPredicateFailure({path: '$.a', exists: true}, {}), /does not exist/);
+        assert.match(findJsonPathPredicateFailure({path: '$.a', exists: false}, {a: null}), /should not exist/);
+    });
+
+    it('checks every selected value', () => {
+        const json = {items: [{price: 5}, {price: 15}]};
+
+        assert.equal(findJsonPathPredicateFailure({path: '$.items[*].price', type: 'integer'}, json), undefined);
+        assert.match(findJsonPathPredicateFailure({path: '$.items[?(@.price > 10)].price', equals: 5}, json),
+            /value: 15/);
+    });
+
+    it('rejects a predicate with a malformed filter expression', () => {
+        assert.equal(isValidJsonPathPredicate({path: '$[?(@.a==', exists: true}), false);
+        assert.equal(isValidJsonPathPredicate({path: '$.a[?(@.b==)]', exists: true}), false);
+    });
+
+    it('reports (instead of throwing) a predicate that cannot be evaluated', () => {
+        assert.match(findJsonPathPredicateFailure({path: '$[?(@.a==', exists: true}, {a: {b: 1}}),
+            /could not be evaluated/);
+    });
+
+    it('accepts a predicate whose filter expression may fail to evaluate for some values', () => {
+        assert.equal(isValidJsonPathPredicate({path: '$.a[?(@.b.c == 1)]', exists: true}), true);
+        assert.equal(isValidJsonPathPredicate({path: '$.a[?(@.b[0] == 1 && @property != "x")]', exists: true}), true);
+        assert.equal(isValidJsonPathPredicate({path: '$.a[(@.length - 1)]', exists: true}), true);
+        assert.equal(isValidJsonPathPredicate({path: '$.a[(@.length - )]', exists: true}), false);
+    });
+});
+
+describe('Value matchers', () => {
+    it('accepts well formed value matchers', () => {
+        assert.equal(isValidValueMatcher({regex: 'deflate', flags: 'i'}), true);
+        assert.equal(isValidValueMatcher({glob: '*deflate*'}), true);
+    });
+
+    it('rejects malformed value matchers', () => {
+        assert.equal(isValidValueMatcher({regex: '('}), false);
+        assert.equal(isValidValueMatcher({regex: 'a', glob: 'a'}), false);
+        assert.equal(isValidValueMatcher({glob: 'a', flags: 'i'}), false);
+        assert.equal(isValidValueMatcher(['a']), false);
+    });
+
+    it('matches a value against a regular expression', () => {
+        assert.equal(isValueMatch({regex: '^\\d{4}-\\d{2}-\\d{2}T'}, '2026-10-19T12:00:00Z'), true);
+        assert.equal(isValueMatch({regex: 'DEFLATE', flags: 'i'}, 'gzip, deflate'), true);
+        assert.equal(isValueMatch({regex: 'br'}, 'gzip, deflate'), false);
+    });
+
+    it('matches a whole value against a glob pattern', () => {
+        assert.equal(isValueMatch({glob: '*deflate*'}, 'gzip, deflate'), true);
+        assert.equal(isValueMatch({glob: 'gzip?'}, 'gzip, deflate'), false);
+        assert.equal(isValueMatch({glob: 'a.b?'}, 'a.bc'), true);
+        assert.equal(isValueMatch({glob: 'a.b'}, 'axb'), false);
+    });
+
+    it('describes a value matcher', () => {
+        assert.equal(describeValueMatcher({regex: 'a', flags: 'i'}), '/a/i');
+        assert.equal(describeValueMatcher({glob: '*a'}), 'glob(*a)');
+    });
+});
+
+describe('matchPathTemplate', () => {
+    it('captures the named and wildcard parameters', () => {
+        assert.deepEqual(matchPathTemplate('messages/:messageId/*', 'messages/m123/container'), {
+            messageId: 'm123',
+            0: 'container'
+        });
+    });
+
+    it('decodes the captured parameters', () => {
+        assert.deepEqual(matchPathTemplate('assets/:assetId', 'assets/a%20b'), {
+            assetId: 'a b'
+        });
+    });
+
+    it('does not match a path with a different number of segments', () => {
+        assert.equal(matchPathTemplate('messages/:messageId', 'messages/m123/container'), undefined);
+    });
+
+    it('does not match an empty path segment or a different literal segment', () => {
+        assert.equal(matchPathTemplate('messages/:messageId', 'messages/'), undefined);
+        assert.equal(matchPathTemplate('assets/*/balance', 'assets/a123/holders'), undefined);
+    });
+
+    it('does not match (instead of throwing) a path with a malformed escape sequence', () => {
+        assert.equal(matchPathTemplate('messages/:messageId', 'messages/%ZZ'), undefined);
+    });
+});
@@ -0,0 +1,68 @@
+/**
+ * Tests for the response templates.
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderTemplate } from '../src/ResponseTemplate.js';
+import { newCatenisId } from '../src/CatenisId.js';
+
+const context = {
+    request: {
+        method: 'POST',
+        path: 'messages/send',
+        params: {},
+        query: {},
+        headers: {},
+        body: {
+            targetDevice: {
+                id: 'd8YpQ7jgPBJEkBrnvp58'
+            },
+            tags: ['a', 'b']
+        }
+    },
+    deviceId: 'drc3XdxNtzoucpw9xiRp'
+};
+
+describe('renderTemplate', () => {
+    it('replaces a whole string expression keeping its JSON type', () => {
+        assert.deepEqual(renderTemplate({tags: '{{request.body.tags}}'}, context), {
+            tags: ['a', 'b']
+        });
+    });
+
+    it('interpolates expressions into strings', () => {
+        assert.equal(renderTemplate('from {{deviceId}} to {{ request.body.targetDevice.id }}', context),
+            'from drc3XdxNtzoucpw9xiRp to d8YpQ7jgPBJEkBrnvp58');
+    });
+
+    it('renders missing values as null or an empty string', () => {
+        assert.deepEqual(renderTemplate(['{{request.body.bogus}}', 'x{{request.body.bogus}}'], context), [null, 'x']);
+    });
+
+    it('generates Catenis IDs, dates and transaction IDs', () => {
+        const result = renderTemplate({
+            messageId: '{{generate.messageId}}',
+            date: '{{generate.isoDate}}',
+            txid: '{{generate.txid}}'
+        }, context);
+
+        assert.match(result.messageId, /^m[1-9A-HJ-NP-Za-km-z]{19}$/);
+        assert.ok(!Number.isNaN(Date.parse(result.date)));
+        assert.match(result.txid, /^[0-9a-f]{64}$/);
+    });
+
+    it('leaves values other than strings untouched', () => {
+        assert.deepEqual(renderTemplate({count: 1, ok: true, none: null}, context), {count: 1, ok: true, none: null});
+    });
+
+    it('does not resolve inherited object properties', () => {
+        assert.deepEqual(renderTemplate(['{{generate.constructorId}}', '{{request.body.constructor}}',
+            '{{request.body.tags.length}}'], context), [null, null, 2]);
+    });
+});
+
+describe('newCatenisId', () => {
+    it('rejects an unknown ID type', () => {
+        assert.throws(() => newCatenisId('constructor'), TypeError);
+    });
+});
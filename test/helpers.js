@@ -0,0 +1,201 @@
+/**
+ * Helper functions shared by the test files.
+ */
+import { spawn } from 'node:child_process';
+import { setTimeout as delay } from 'node:timers/promises';
+import { WebSocket } from 'ws';
+import { signHttpRequest } from '../src/Authentication.js';
+
+export const device1 = {
+    deviceId: 'drc3XdxNtzoucpw9xiRp',
+    apiAccessSecret: '4c1749c8e86f65e0a73e5fb19f2aa9e74a716bc22d7956bf3072b4bc3fbfe2a0'
+};
+export const device2 = {
+    deviceId: 'd8YpQ7jgPBJEkBrnvp58',
+    apiAccessSecret: '267a687115b9752f2eec5be849b570b29133528f928868d811bad5e48e97a1d6'
+};
+
+/**
+ * @typedef {Object} TestApp
+ * @property {module:child_process.ChildProcess} process
+ * @property {number} apiPort
+ * @property {number} cmdPort
+ * @property {(number|null)} exitCode The exit code of the app, or null if it is still running.
+ */
+
+/**
+ * Start the app in a child process, and wait for its command server to be ready.
+ * @param {number} apiPort
+ * @param {number} cmdPort
+ * @return {Promise<TestApp>}
+ */
+export async function startApp(apiPort, cmdPort) {
+    const app = {
+        process: spawn(process.execPath, ['--no-warnings', new URL('../src/main.js', import.meta.url).pathname, '-s',
+            '-p', String(apiPort), '-c', String(cmdPort)], {stdio: 'ignore'}),
+        apiPort,
+        cmdPort,
+        exitCode: null
+    };
+
+    app.process.on('exit', code => {
+        app.exitCode = code;
+    });
+
+    for (let attempt = 0; attempt < 100; attempt++) {
+        await delay(50);
+
+        try {
+            await fetch(`http://localhost:${cmdPort}/info`);
+            return app;
+        }
+        catch (err) {}
+    }
+
+    app.process.kill();
+    throw new Error('App did not start');
+}
+
+/**
+ * Stop an app started by startApp().
+ * @param {TestApp} app
+ * @return {Promise<void>}
+ */
+export async function stopApp(app) {
+    if (app.exitCode === null) {
+        const exited = new Promise(resolve => app.process.once('exit', resolve));
+
+        app.process.kill();
+        await exited;
+    }
+}
+
+/**
+ * Send a request to the app's command server.
+ * @param {TestApp} app
+ * @param {string} method
+ * @param {string} path
+ * @param {*} [body]
+ * @return {Promise<{status: number, body: string}>}
+ */
+export async function sendCommand(app, method, path, body) {
+    const res = await fetch(`http://localhost:${app.cmdPort}${path}`, {
+        method,
+        headers: body !== undefined ? {'content-type': 'application/json'} : {},
+        body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+
+    return {
+        status: res.status,
+        body: await res.text()
+    };
+}
+
+/**
+ * Send a (signed) request to the app's API server.
+ * @param {TestApp} app
+ * @param {string} method
+ * @param {string} path The Catenis API method path (e.g. messages/log).
+ * @param {*} [body]
+ * @param {{deviceId: string, apiAccessSecret: string}} [credentials] The credentials used to sign the request. If not
+ *                                                                      specified, the request is not signed.
+ * @return {Promise<{status: number, body: *}>} The response, with its body parsed as JSON whenever possible.
+ */
+export async function sendApiRequest(app, method, path, body, credentials) {
+    const url = `/api/0.13/${path}`;
+    const reqBody = Buffer.from(body !== undefined ? JSON.stringify(body) : '');
+    const headers = getAuthHeaders(app, method, url, reqBody, credentials);
+
+    if (body !== undefined) {
+        headers['content-type'] = 'application/json';
+    }
+
+    const res = await fetch(`http://localhost:${app.apiPort}${url}`, {
+        method,
+        headers,
+        body: body !== undefined ? reqBody : undefined
+    });
+    const text = await res.text();
+    let parsedBody;
+
+    try {
+        parsedBody = JSON.parse(text);
+    }
+    catch (err) {
+        parsedBody = text;
+    }
+
+    return {
+        status: res.status,
+        body: parsedBody
+    };
+}
+
+/**
+ * Open a WebSocket notification channel on the app's API server.
+ * @param {TestApp} app
+ * @param {string} eventName
+ * @param {{deviceId: string, apiAccessSecret: string}} credentials
+ * @return {Promise<{ws: WebSocket, messages: Object[]}>} Resolves once the channel is open. The (parsed) notification
+ *                                                          messages received through the channel are collected in
+ *                                                          `messages`.
+ */
+export function openNotifyChannel(app, eventName, credentials) {
+    const url = `/api/0.13/notify/ws/${eventName}`;
+    const authMessage = JSON.stringify(getAuthHeaders(app, 'GET', url, Buffer.from(''), credentials));
+    const ws = new WebSocket(`ws://localhost:${app.apiPort}${url}`, 'notify.catenis.io');
+    const messages = [];
+
+    return new Promise((resolve, reject) => {
+        ws.on('open', () => ws.send(authMessage));
+        ws.on('message', data => {
+            const text = data.toString();
+
+            if (text === 'NOTIFICATION_CHANNEL_OPEN') {
+                resolve({ws, messages});
+            }
+            else {
+                messages.push(JSON.parse(text));
+            }
+        });
+        ws.on('close', (code, reason) => reject(new Error(`Notification channel closed: ${code} ${reason}`)));
+        ws.on('error', reject);
+    });
+}
+
+/**
+ * @param {TestApp} app
+ * @param {string} method
+ * @param {string} url
+ * @param {Buffer} reqBody
+ * @param {{deviceId: string, apiAccessSecret: string}} [credentials]
+ * @return {Object} The timestamp and (if credentials are specified) authorization headers.
+ */
+function getAuthHeaders(app, method, url, reqBody, credentials) {
+    const timestamp = new Date().toISOString().replace(/[-:]|\.\d{3}/g, '');
+    const signDate = timestamp.substring(0, 8);
+    const headers = {
+        'x-bcot-timestamp': timestamp
+    };
+
+    if (credentials) {
+        const signature = signHttpRequest({
+            method,
+            url,
+            headers: {
+                host: `localhost:${app.apiPort}`,
+                ...headers
+            }
+        }, {
+            timestamp,
+            signDate,
+            apiAccessSecret: credentials.apiAccessSecret,
+            reqBody
+        });
+
+        headers.authorization = `CTN1-HMAC-SHA256 Credential=${credentials.deviceId}/${signDate}/ctn1_request, `
+            + `Signature=${signature}`;
+    }
+
+    return headers;
+}